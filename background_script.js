@@ -7,75 +7,44 @@
  * Background script for Jira Issue Copy Helper
  * Manages page action visibility based on URL patterns
  *
- * Shows the icon only when a specific issue can be identified:
+ * Shows the icon only when there is something to copy:
  * - Direct issue pages: /browse/ISSUE-123
  * - Board/backlog/timeline views WITH selectedIssue parameter
+ * - Server/DC views: /secure/RapidBoard.jspa?selectedIssue=,
+ *   /projects/X/issues/ISSUE-123
+ * - Boards, backlogs and issue search results, for copying several
+ *   issues at once
+ *
+ * Also registers the content script on self-hosted Jira instances the
+ * user has added on the options page (see lib/jira_urls.js), and handles
+ * the keyboard shortcuts and the link and selection context menus that
+ * copy without opening the popup
  */
 
 (function () {
   "use strict";
 
-  /**
-   * Check if URL points to an identifiable Jira issue
-   * Returns true only if we can determine which issue to copy
-   */
-  function hasIdentifiableIssue(url) {
-    if (!url) return false;
-
-    try {
-      const urlObj = new URL(url);
-      const hostname = urlObj.hostname;
-      const pathname = urlObj.pathname;
-      const searchParams = urlObj.searchParams;
-
-      // Must be an Atlassian site
-      if (!hostname.endsWith(".atlassian.net")) {
-        return false;
-      }
-
-      // Pattern 1: Direct issue view - /browse/ISSUE-123
-      // Always show - the issue key is in the URL path
-      if (/\/browse\/[A-Z][A-Z0-9]+-\d+/i.test(pathname)) {
-        return true;
-      }
+  const CONTENT_SCRIPT_ID = "custom-jira-hosts";
 
-      // Pattern 2: Board view - /jira/software/*/boards/*
-      // Only show if selectedIssue parameter exists
-      if (/\/jira\/software\/[^/]+\/boards\/\d+\/?$/.test(pathname)) {
-        return searchParams.has("selectedIssue");
-      }
+  // Keyboard shortcuts are named "copy-<format id>", plus this one
+  const DEFAULT_FORMAT_COMMAND = "copy-default-format";
 
-      // Pattern 3: Backlog view - /jira/software/*/boards/*/backlog
-      // Only show if selectedIssue parameter exists
-      if (/\/jira\/software\/[^/]+\/boards\/\d+\/backlog\/?/.test(pathname)) {
-        return searchParams.has("selectedIssue");
-      }
+  const NOTIFICATION_ID = "jira-copy-helper";
 
-      // Pattern 4: Timeline view - /jira/software/*/boards/*/timeline
-      // Only show if selectedIssue parameter exists
-      if (/\/jira\/software\/[^/]+\/boards\/\d+\/timeline\/?/.test(pathname)) {
-        return searchParams.has("selectedIssue");
-      }
+  // Parent of the "copy link as <format>" context menu entries
+  const LINK_MENU_ID = "copy-link";
 
-      // Pattern 5: Issue detail panel in other views
-      // Check for selectedIssue in any /jira/ path
-      if (pathname.startsWith("/jira/") && searchParams.has("selectedIssue")) {
-        return true;
-      }
+  // Parent of the "copy selection with Jira links as <format>" entries
+  const SELECTION_MENU_ID = "copy-selection";
 
-      // No identifiable issue found
-      return false;
-    } catch (e) {
-      console.debug("Error parsing URL:", e);
-      return false;
-    }
-  }
+  // Self-hosted Jira base URLs from settings, kept in sync with storage
+  let customHosts = [];
 
   /**
    * Update page action visibility for a tab
    */
   function updatePageAction(tabId, url) {
-    if (hasIdentifiableIssue(url)) {
+    if (JiraUrls.hasCopyableIssues(url, customHosts)) {
       browser.pageAction.show(tabId);
     } else {
       browser.pageAction.hide(tabId);
@@ -83,11 +52,21 @@
   }
 
   // Listen for tab updates (URL changes, including SPA navigation)
+  // Jira is a single-page app: history.pushState/replaceState, back/forward
+  // and hash changes all arrive here as changeInfo.url, without a reload
   browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     // Check on URL change or when page completes loading
     if (changeInfo.url || changeInfo.status === "complete") {
       updatePageAction(tabId, tab.url);
     }
+
+    // Let the inline buttons find the new page's header and board; tabs
+    // without the content script have no listener, which is fine
+    if (changeInfo.url) {
+      browser.tabs
+        .sendMessage(tabId, { action: "urlChanged", url: changeInfo.url })
+        .catch(() => {});
+    }
   });
 
   // Listen for tab activation (switching tabs)
@@ -101,21 +80,417 @@
     }
   });
 
-  // Check all existing tabs on startup
-  browser.tabs.query({}).then((tabs) => {
+  /**
+   * Update page action visibility for every open tab
+   */
+  async function updateAllPageActions() {
+    const tabs = await browser.tabs.query({});
     tabs.forEach((tab) => {
       if (tab.id && tab.url) {
         updatePageAction(tab.id, tab.url);
       }
     });
+  }
+
+  /**
+   * Register the content script for the configured self-hosted Jira hosts
+   * Hosts whose optional permission hasn't been granted are skipped
+   */
+  async function registerCustomHostScripts() {
+    try {
+      await browser.scripting.unregisterContentScripts({
+        ids: [CONTENT_SCRIPT_ID],
+      });
+    } catch (err) {
+      // Nothing registered yet
+    }
+
+    const matches = [];
+    for (const entry of customHosts) {
+      const host = JiraUrls.parseHost(entry);
+      if (!host) continue;
+
+      const granted = await browser.permissions.contains({
+        origins: [JiraUrls.permissionPattern(host)],
+      });
+      if (granted) {
+        matches.push(JiraUrls.contentScriptPattern(host));
+      }
+    }
+
+    if (matches.length === 0) {
+      return;
+    }
+
+    try {
+      await browser.scripting.registerContentScripts([
+        {
+          id: CONTENT_SCRIPT_ID,
+          matches: matches,
+          // Same scripts as the built-in Jira Cloud registration
+          js: browser.runtime.getManifest().content_scripts[0].js,
+          runAt: "document_idle",
+        },
+      ]);
+    } catch (err) {
+      console.error("Failed to register content script for custom hosts:", err);
+    }
+  }
+
+  // The latest applySettings run; each waits for the one before, as
+  // overlapping runs would interleave removing and creating the menus
+  let settingsApplied = Promise.resolve();
+
+  /**
+   * Load the configured hosts and bring registrations, menus and icons up
+   * to date, after any run still in progress
+   */
+  function applySettings() {
+    settingsApplied = settingsApplied
+      .then(async () => {
+        const settings = await JiraSettings.loadSettings();
+        customHosts = settings.customHosts;
+        await registerCustomHostScripts();
+        await createLinkMenus(settings);
+        await updateAllPageActions();
+      })
+      .catch((err) => console.error("Could not apply settings:", err));
+    return settingsApplied;
+  }
+
+  // Re-apply when hosts, formats or profiles change on the options page
+  JiraSettings.onSettingsChanged((changes) => {
+    if (changes.customHosts || changes.templates || changes.disabledFormats || changes.profiles) {
+      applySettings();
+    }
   });
 
-  // Handle history state changes (SPA navigation without full page load)
-  // This is triggered by the content script when it detects URL changes
-  browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === "urlChanged" && sender.tab) {
-      updatePageAction(sender.tab.id, request.url);
+  // Host access can also be granted or revoked from the add-ons manager
+  browser.permissions.onAdded.addListener(applySettings);
+  browser.permissions.onRemoved.addListener(applySettings);
+
+  // Check all existing tabs on startup
+  applySettings();
+
+  /**
+   * Copy the active tab's issue in a format (null for its default), for
+   * keyboard shortcuts
+   * Reports the outcome with a notification
+   */
+  async function copyIssueFromTab(tab, formatId) {
+    // Read settings directly: the event page may have just woken up
+    const settings = await JiraSettings.loadSettings();
+
+    if (!tab || !JiraUrls.hasIdentifiableIssue(tab.url, settings.customHosts)) {
+      notify(
+        IssueI18n.message("notificationNothingCopied"),
+        IssueI18n.message("notificationNoIssue"),
+      );
+      return;
+    }
+
+    let response;
+    try {
+      response = await browser.tabs.sendMessage(tab.id, {
+        action: "getIssueData",
+      });
+    } catch (err) {
+      console.error("Content script not responding:", err);
+      notify(
+        IssueI18n.message("notificationNothingCopied"),
+        IssueI18n.message("notificationNotResponding"),
+      );
+      return;
+    }
+
+    if (!response || !response.formats || !response.issueData.key) {
+      notify(
+        IssueI18n.message("notificationNothingCopied"),
+        IssueI18n.message("stateNotIssuePage"),
+      );
+      return;
+    }
+
+    await copyIssue(response.issueData, formatId, settings);
+  }
+
+  /**
+   * Copy an issue in a format (null for its default) and report the
+   * outcome with a notification
+   */
+  async function copyIssue(issueData, formatId, globalSettings) {
+    // The issue's profile picks the templates, default format and the
+    // formats that may be copied at all, see lib/profiles.js
+    const settings = IssueProfiles.resolveSettings(globalSettings, issueData);
+    formatId = formatId || settings.defaultFormat;
+
+    if (IssueProfiles.excludesFormat(settings, formatId)) {
+      const excluded = IssueFormats.findFormat(formatId, globalSettings.templates);
+      const label = excluded ? localizedLabel(excluded) : formatId;
+      notify(
+        IssueI18n.message("notificationNothingCopied"),
+        IssueI18n.message("notificationFormatExcluded", [label, settings.profile.name]),
+      );
+      return;
+    }
+
+    const format = IssueFormats.findFormat(formatId, settings.templates);
+    const formats = IssueFormats.renderFormats(
+      IssueFormats.generateFormats(issueData, settings),
+      issueData,
+      settings.templates,
+    );
+    const textToCopy = format ? formats[format.id] : null;
+
+    if (!textToCopy) {
+      notify(
+        IssueI18n.message("notificationNothingCopied"),
+        IssueI18n.message("notificationFormatGone", [formatId]),
+      );
+      return;
+    }
+
+    try {
+      await IssueClipboard.copyFlavors(IssueClipboard.flavorsFor(format, formats, issueData));
+      notify(
+        IssueI18n.message("notificationCopied", [issueData.key, localizedLabel(format)]),
+        textToCopy,
+      );
+    } catch (err) {
+      console.error("Copy failed:", err);
+      notify(IssueI18n.message("notificationNothingCopied"), IssueI18n.message("copyFailed"));
+      return;
+    }
+
+    try {
+      await CopyHistory.recordCopy(issueData, format.id, settings.historyLimit);
+    } catch (err) {
+      console.error("Could not save copy history:", err);
+    }
+  }
+
+  /**
+   * (Re)create the link context menu: one entry per enabled format, shown
+   * on links to Jira Cloud and the configured self-hosted sites
+   */
+  async function createLinkMenus(settings) {
+    await browser.contextMenus.removeAll();
+
+    const targetUrlPatterns = ["*://*.atlassian.net/*"].concat(
+      customHosts
+        .map(JiraUrls.parseHost)
+        .filter(Boolean)
+        .map(JiraUrls.contentScriptPattern),
+    );
+
+    browser.contextMenus.create({
+      id: LINK_MENU_ID,
+      title: IssueI18n.message("menuCopyLink"),
+      contexts: ["link"],
+      targetUrlPatterns: targetUrlPatterns,
+    });
+
+    for (const format of IssueFormats.listFormats(settings.templates, settings.disabledFormats)) {
+      browser.contextMenus.create({
+        id: `${LINK_MENU_ID}:${format.id}`,
+        parentId: LINK_MENU_ID,
+        title: localizedLabel(format),
+        contexts: ["link"],
+      });
+    }
+
+    browser.contextMenus.create({
+      id: SELECTION_MENU_ID,
+      title: IssueI18n.message("menuCopySelection"),
+      contexts: ["selection"],
+    });
+
+    for (const [format, label] of Object.entries(IssueLinkify.LINKIFY_FORMATS)) {
+      browser.contextMenus.create({
+        id: `${SELECTION_MENU_ID}:${format}`,
+        parentId: SELECTION_MENU_ID,
+        title: IssueI18n.label("linkifyFormat", format, label),
+        contexts: ["selection"],
+      });
+    }
+  }
+
+  /**
+   * Copy the issue a link points to
+   * Uses the link text as summary, or fetches it when we have access to the
+   * site; otherwise the formats fall back to the key alone
+   */
+  async function copyIssueFromLink(info) {
+    const formatId = String(info.menuItemId).slice(LINK_MENU_ID.length + 1);
+    const settings = await JiraSettings.loadSettings();
+
+    let issueData = JiraUrls.issueFromLink(info.linkUrl, info.linkText, settings.customHosts);
+    if (!issueData) {
+      notify(
+        IssueI18n.message("notificationNothingCopied"),
+        IssueI18n.message("notificationNotIssueLink"),
+      );
+      return;
+    }
+
+    if (!issueData.summary) {
+      issueData = await fetchLinkedIssue(issueData, settings.customHosts);
+    }
+
+    await copyIssue(issueData, formatId, settings);
+  }
+
+  /**
+   * Fill in issue data from the REST API of the linked site, if the
+   * extension has access to it and the user is logged in
+   */
+  async function fetchLinkedIssue(issueData, hosts) {
+    const site = JiraUrls.findSite(issueData.url, hosts);
+    const origin = new URL(issueData.url);
+
+    const granted = await browser.permissions.contains({
+      origins: [`${origin.protocol}//${origin.hostname}/*`],
+    });
+    if (!granted) {
+      return issueData;
+    }
+
+    try {
+      // Cross-origin from here, so the session cookie must be sent explicitly
+      const apiData = await IssueApi.fetchIssue(site.baseUrl, issueData.key, (url, init) =>
+        fetch(url, Object.assign({}, init, { credentials: "include" })),
+      );
+      return IssueApi.mergeIssueData(issueData, apiData);
+    } catch (err) {
+      console.debug("Could not fetch linked issue:", err);
+      return issueData;
+    }
+  }
+
+  /**
+   * Copy the selected text with its issue keys as links (see lib/linkify.js)
+   */
+  async function copySelectionWithLinks(info, tab) {
+    const format = String(info.menuItemId).slice(SELECTION_MENU_ID.length + 1);
+    const settings = await JiraSettings.loadSettings();
+
+    let history = [];
+    try {
+      history = await CopyHistory.loadHistory();
+    } catch (err) {
+      console.error("Could not load copy history:", err);
+    }
+
+    const options = {
+      projectSites: IssueLinkify.projectSites(history, settings.projectSites),
+      defaultSite: settings.defaultSite,
+    };
+    const text = await readSelection(info, tab);
+    const keys = IssueLinkify.findKeys(text, options);
+
+    if (keys.length === 0) {
+      notify(
+        IssueI18n.message("notificationNothingCopied"),
+        settings.defaultSite
+          ? IssueI18n.message("notificationNoKeys")
+          : IssueI18n.message("notificationNoKnownKeys"),
+      );
+      return;
+    }
+
+    const flavors = { "text/plain": IssueLinkify.linkifyText(text, format, options) };
+    if (format === "html") {
+      flavors["text/html"] = flavors["text/plain"];
+      flavors["text/plain"] = text;
+    }
+
+    try {
+      await IssueClipboard.copyFlavors(flavors);
+      notify(
+        keys.length === 1
+          ? IssueI18n.message("notificationCopiedSelectionOne")
+          : IssueI18n.message("notificationCopiedSelection", [String(keys.length)]),
+        keys.map((found) => found.key).join(", "),
+      );
+    } catch (err) {
+      console.error("Copy failed:", err);
+      notify(IssueI18n.message("notificationNothingCopied"), IssueI18n.message("copyFailed"));
+    }
+  }
+
+  /**
+   * The selected text with its line breaks, which the menu's selectionText
+   * may have flattened; falls back to selectionText where the page can't
+   * be scripted
+   */
+  async function readSelection(info, tab) {
+    try {
+      const [result] = await browser.scripting.executeScript({
+        target: { tabId: tab.id, frameIds: [info.frameId || 0] },
+        func: () => String(window.getSelection()),
+      });
+      if (result && result.result) {
+        return result.result;
+      }
+    } catch (err) {
+      console.debug("Could not read the selection from the page:", err);
+    }
+    return info.selectionText || "";
+  }
+
+  browser.contextMenus.onClicked.addListener((info, tab) => {
+    if (String(info.menuItemId).startsWith(`${LINK_MENU_ID}:`)) {
+      copyIssueFromLink(info);
+    } else if (String(info.menuItemId).startsWith(`${SELECTION_MENU_ID}:`)) {
+      copySelectionWithLinks(info, tab);
+    }
+  });
+
+  // Firefox can hide the menu for links that aren't to a specific issue
+  if (browser.contextMenus.onShown) {
+    browser.contextMenus.onShown.addListener((info) => {
+      if (!info.linkUrl) return;
+
+      browser.contextMenus.update(LINK_MENU_ID, {
+        visible: JiraUrls.issueFromLink(info.linkUrl, info.linkText, customHosts) !== null,
+      });
+      browser.contextMenus.refresh();
+    });
+  }
+
+  /**
+   * Show a short-lived notification, replacing any previous one
+   */
+  async function notify(title, message) {
+    await browser.notifications.create(NOTIFICATION_ID, {
+      type: "basic",
+      iconUrl: browser.runtime.getURL("icons/icon-default-48.png"),
+      title: title,
+      message: message,
+    });
+    setTimeout(() => browser.notifications.clear(NOTIFICATION_ID), 3000);
+  }
+
+  /**
+   * A format's name in the browser's UI language, for notifications and
+   * the link menu
+   */
+  function localizedLabel(format) {
+    return IssueFormats.localizeFormat(format, IssueI18n.message).label;
+  }
+
+  // Keyboard shortcuts (rebindable in the browser's shortcut settings)
+  browser.commands.onCommand.addListener(async (command, tab) => {
+    if (!tab) {
+      const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+      tab = tabs[0];
+    }
+
+    if (command === DEFAULT_FORMAT_COMMAND) {
+      // The default format of the issue's profile, or the global one
+      copyIssueFromTab(tab, null);
+    } else if (command.startsWith("copy-")) {
+      copyIssueFromTab(tab, command.slice("copy-".length));
     }
-    return false;
   });
 })();
@@ -0,0 +1,25 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Offscreen document for the Chrome build
+ * Copies for the background service worker, which has no clipboard access
+ * (see copyOffscreen in lib/clipboard.js)
+ */
+
+(function () {
+  "use strict";
+
+  browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.target !== "offscreen" || request.action !== "copy") {
+      return false;
+    }
+
+    // The Clipboard API needs focus, which offscreen documents never have,
+    // so this only works through the copy event
+    sendResponse({ copied: IssueClipboard.copyWithEvent(request.flavors) });
+    return false;
+  });
+})();
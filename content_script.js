@@ -5,33 +5,144 @@
 
 /**
  * Content script for Jira Issue Copy Helper
- * Extracts issue key and summary from Jira pages
+ * Extracts issue key, summary and the main issue fields from Jira pages
+ * Prefers the Jira REST API once the key is known, with DOM scraping
+ * as the fallback
+ * Relies on the lib/ scripts listed before it in manifest.json
  */
 
 (function () {
   "use strict";
 
-  // Track current URL for SPA navigation detection
-  let currentUrl = window.location.href;
+  // The popup injects this script into tabs opened before the extension
+  // was installed or updated. Don't add a second set of listeners to a
+  // page where it already runs, unless that copy was cut off by an update.
+  if (window.__jiraCopyHelper && window.__jiraCopyHelper.isConnected()) {
+    return;
+  }
+
+  // Issue cards and rows on boards, backlogs and search results
+  const ISSUE_LIST_ITEM_SELECTORS = [
+    '[data-testid="platform-board-kit.ui.card.card"]',
+    '[data-testid="software-backlog.card-list.card.card-contents.card-container"]',
+    '[data-testid="native-issue-table.ui.issue-row"]',
+    ".ghx-issue",
+    ".ghx-issue-compact",
+    "tr.issuerow",
+    ".issue-list li[data-key]",
+  ];
+
+  // Summary text inside a card or row
+  const ISSUE_LIST_SUMMARY_SELECTORS = [
+    '[data-testid="platform-card.common.ui.summary"]',
+    '[data-testid*="summary"]',
+    ".ghx-summary",
+    "td.summary .issue-link",
+    ".issue-link-summary",
+  ];
+
+  // Other columns of a search result row or card, read when the API
+  // can't supply them
+  const ISSUE_LIST_FIELD_SELECTORS = {
+    type: ["td.issuetype img", '[data-testid*="issue-type"] img'],
+    status: ["td.status", '[data-testid*="status"]'],
+    priority: ["td.priority img", '[data-testid*="priority"] img'],
+    assignee: ["td.assignee", '[data-testid*="assignee"]'],
+    reporter: ["td.reporter", '[data-testid*="reporter"]'],
+  };
+
+  // Rendered description, read when the REST API is unavailable
+  const DESCRIPTION_SELECTORS = [
+    '[data-testid="issue.views.field.rich-text.description"]',
+    "#description-val .user-content-block",
+    "#description-val",
+  ];
+
+  // Server/DC comments on the page: the comment, its author and its body
+  const PAGE_COMMENT_SELECTORS = {
+    comment: ".activity-comment",
+    author: ".action-details .user-hover",
+    created: ".action-details time",
+    body: ".action-body",
+  };
+
+  // Board and backlog cards that get a hover copy button
+  const CARD_SELECTORS = [
+    '[data-testid="platform-board-kit.ui.card.card"]',
+    '[data-testid="software-backlog.card-list.card.card-contents.card-container"]',
+    ".ghx-issue",
+    ".ghx-issue-compact",
+  ];
+
+  // What holds the cards on boards and backlogs, most specific first
+  const BOARD_SELECTORS = [
+    '[data-testid="platform-board-kit.ui.board.scroll.board-scroll"]',
+    '[data-testid="software-backlog.backlog-content.scrollable"]',
+    "#ghx-pool",
+    "#ghx-backlog",
+    "#ghx-plan",
+    '[role="main"]',
+    "main",
+  ];
+
+  // The part of the issue header around the key that Jira re-renders;
+  // the key's parent when none match
+  const HEADER_CONTAINER_SELECTORS = [
+    '[data-testid*="breadcrumbs"]',
+    ".aui-nav-breadcrumbs",
+    "#stalker .aui-page-header-main",
+  ];
+
+  // How Jira marks multi-selected cards and rows
+  const SELECTED_ITEM_SELECTORS = [
+    '[aria-selected="true"]',
+    '[data-selected="true"]',
+    ".ghx-selected",
+    ".is-selected",
+  ];
+
+  // Firefox content scripts must use the page's fetch for the request to
+  // count as same-origin and carry the user's Jira session
+  const pageFetch =
+    typeof content !== "undefined" && content.fetch
+      ? content.fetch.bind(content)
+      : window.fetch.bind(window);
+
+  // Placeholder text Jira shows for empty fields
+  const EMPTY_FIELD_TEXT = ["none", "unassigned", "no sprint", "add parent"];
 
   /**
    * Extracts issue data from the current Jira page
    * Handles both Jira Cloud and various page layouts
+   * Each strategy tried is recorded in diagnostics (see lib/diagnostics.js)
+   * selectors come from lib/selectors.js, with the user's changes applied
    */
-  function extractIssueData() {
+  function extractIssueData(
+    diagnostics = IssueDiagnostics.createDiagnostics(),
+    selectors = IssueSelectors.resolveSelectors(),
+  ) {
+    const record = (field, strategy, value) =>
+      IssueDiagnostics.recordStep(diagnostics, field, strategy, value);
+
     const data = {
       key: null,
       summary: null,
       url: window.location.href,
+      type: null,
+      status: null,
+      priority: null,
+      assignee: null,
+      reporter: null,
+      parent: null,
+      sprint: null,
+      labels: [],
+      fixVersions: [],
     };
 
-    // Strategy 1: Extract from URL (most reliable for issue key)
-    const urlMatch = window.location.href.match(
-      /\/browse\/([A-Z][A-Z0-9]+-\d+)/i,
-    );
-    if (urlMatch) {
-      data.key = urlMatch[1].toUpperCase();
-    }
+    // Strategy 1: Extract from URL path (most reliable for issue key)
+    // Covers /browse/KEY-1 and Server/DC /projects/X/issues/KEY-1
+    data.key = JiraUrls.keyFromPath(window.location.pathname);
+    record("key", "URL path", data.key);
 
     // Strategy 2: Check for selectedIssue query param (board/backlog views)
     if (!data.key) {
@@ -40,6 +151,7 @@
       if (selectedIssue && /^[A-Z][A-Z0-9]+-\d+$/i.test(selectedIssue)) {
         data.key = selectedIssue.toUpperCase();
       }
+      record("key", "selectedIssue parameter", data.key);
     }
 
     // Strategy 3: Check for issue key in breadcrumb or header
@@ -51,66 +163,64 @@
       if (breadcrumbKey) {
         data.key = breadcrumbKey.textContent.trim();
       }
+      record("key", "breadcrumb", data.key);
     }
 
     if (!data.key) {
       // Look for issue key in various common selectors
-      const keySelectors = [
-        '[data-testid="issue.views.issue-base.foundation.breadcrumbs.breadcrumb-current-issue-container"]',
-        '[data-testid="issue.views.issue-base.foundation.breadcrumbs.current-issue.item"]',
-        "#key-val",
-        ".issue-link-key",
-        '[data-test-id="issue.views.issue-details.issue-key"]',
-      ];
-
-      for (const selector of keySelectors) {
-        const element = document.querySelector(selector);
-        if (element) {
-          const keyMatch = element.textContent.match(/([A-Z][A-Z0-9]+-\d+)/i);
-          if (keyMatch) {
-            data.key = keyMatch[1].toUpperCase();
-            break;
-          }
+      for (const [index, selector] of selectors.key.entries()) {
+        const element = querySelectorSafe(selector);
+        const keyMatch = element && element.textContent.match(/([A-Z][A-Z0-9]+-\d+)/i);
+        if (keyMatch) {
+          data.key = keyMatch[1].toUpperCase();
+        }
+        if (record("key", `selector ${index + 1} (${selector})`, data.key)) {
+          break;
         }
       }
     }
 
     // Extract summary/title
-    const summarySelectors = [
-      '[data-testid="issue.views.issue-base.foundation.summary.heading"]',
-      '[data-testid="issue.views.issue-details.issue-layout.summary"]',
-      "#summary-val",
-      'h1[data-testid="issue.views.issue-details.issue-header.title"]',
-      ".ghx-summary",
-      "h1.sc-bwzfXH", // Newer Jira Cloud
-      '[data-test-id="issue.views.issue-details.issue-header"]',
-    ];
-
-    for (const selector of summarySelectors) {
-      const element = document.querySelector(selector);
+    for (const [index, selector] of selectors.summary.entries()) {
+      const element = querySelectorSafe(selector);
       if (element && element.textContent.trim()) {
         data.summary = element.textContent.trim();
+      }
+      if (record("summary", `selector ${index + 1} (${selector})`, data.summary)) {
         break;
       }
     }
 
     // Fallback: Try to get summary from page title
-    if (!data.summary && document.title) {
-      // Page titles often follow pattern: "[KEY] Summary - Jira"
-      const titleMatch = document.title.match(
-        /\[([A-Z][A-Z0-9]+-\d+)\]\s*(.+?)(?:\s*-\s*Jira)?$/i,
-      );
-      if (titleMatch) {
-        if (!data.key) {
-          data.key = titleMatch[1].toUpperCase();
+    const title = IssueSelectors.normalizeTitle(document.title);
+    if (!data.summary && title) {
+      for (const [index, value] of selectors.titlePatterns.entries()) {
+        const pattern = IssueSelectors.compileTitlePattern(value);
+        const titleMatch = pattern && title.match(pattern);
+        const keyMissing = !data.key;
+        if (titleMatch && titleMatch[1] && titleMatch[2]) {
+          if (keyMissing) {
+            data.key = titleMatch[1].toUpperCase();
+          }
+          data.summary = titleMatch[2].trim();
+        }
+        const strategy = `page title pattern ${index + 1}`;
+        if (keyMissing) {
+          record("key", strategy, data.key);
+        }
+        if (record("summary", strategy, data.summary)) {
+          break;
         }
-        data.summary = titleMatch[2].trim();
       }
     }
 
+    // Extra fields shown in the issue view (type, status, people, etc.)
+    Object.assign(data, extractIssueFields(diagnostics, selectors));
+
     // Clean up the URL to be canonical
+    // (keeps the context path of self-hosted instances, e.g. /jira)
     if (data.key) {
-      const baseUrl = window.location.origin;
+      const baseUrl = JiraUrls.inferBaseUrl(window.location.href);
       data.url = `${baseUrl}/browse/${data.key}`;
     }
 
@@ -118,87 +228,634 @@
   }
 
   /**
-   * Generates formatted strings for different copy formats
+   * Gets issue data from the REST API, falling back to the page DOM
+   * The DOM is always read first: it supplies the key for the API call
+   * and fills in anything the API response doesn't have
    */
-  function generateFormats(issueData) {
-    const { key, summary, url } = issueData;
+  async function getIssueData(diagnostics = IssueDiagnostics.createDiagnostics()) {
+    const domData = extractIssueData(diagnostics, await loadSelectors());
+    if (!domData.key) {
+      diagnostics.api = "skipped, no issue key";
+      return domData;
+    }
 
+    try {
+      const apiData = await IssueApi.fetchIssue(
+        JiraUrls.inferBaseUrl(window.location.href),
+        domData.key,
+        pageFetch,
+      );
+      diagnostics.api = "used";
+      return IssueApi.mergeIssueData(domData, apiData);
+    } catch (err) {
+      console.debug("Jira API unavailable, using page data:", err);
+      diagnostics.api = `failed, page data used (${err.name}: ${err.message})`;
+      return domData;
+    }
+  }
+
+  /**
+   * The page selectors with the user's changes from the options page
+   */
+  async function loadSelectors() {
+    try {
+      const settings = await JiraSettings.loadSettings();
+      return IssueSelectors.resolveSelectors(settings.selectorOverrides);
+    } catch (err) {
+      console.debug("Could not load selector settings, using defaults:", err);
+      return IssueSelectors.resolveSelectors();
+    }
+  }
+
+  /**
+   * document.querySelector that treats an invalid selector as no match,
+   * since user selectors may have been written for another browser
+   */
+  function querySelectorSafe(selector, all = false) {
+    try {
+      return all ? document.querySelectorAll(selector) : document.querySelector(selector);
+    } catch (err) {
+      console.debug("Invalid selector:", selector);
+      return all ? [] : null;
+    }
+  }
+
+  /**
+   * What each selector and title pattern matches on this page, for
+   * "Test against current tab" on the options page
+   * entries: { group: [value] }
+   * Returns { group: { value: { matches, text } or { error } } }
+   */
+  function testSelectors(entries) {
+    const results = {};
+
+    for (const [group, values] of Object.entries(entries)) {
+      results[group] = {};
+      for (const value of values) {
+        if (group === "titlePatterns") {
+          const pattern = IssueSelectors.compileTitlePattern(value);
+          const titleMatch =
+            pattern && IssueSelectors.normalizeTitle(document.title).match(pattern);
+          results[group][value] = pattern
+            ? {
+                matches: titleMatch ? 1 : 0,
+                text: titleMatch ? `${titleMatch[1]} | ${titleMatch[2]}` : null,
+              }
+            : { error: "invalid pattern" };
+          continue;
+        }
+
+        try {
+          const elements = Array.from(document.querySelectorAll(value));
+          const texts = elements.map(readFieldText).filter(Boolean);
+          results[group][value] = { matches: elements.length, text: texts[0] || null };
+        } catch (err) {
+          results[group][value] = { error: "invalid selector" };
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Extracts the issues listed on a board, backlog or search results page
+   * Returns the selected cards/rows if any are selected, otherwise
+   * (or when scope is "visible") every card/row currently shown
+   */
+  function extractIssueList(scope) {
+    const baseUrl = JiraUrls.inferBaseUrl(window.location.href);
+    const items = Array.from(
+      document.querySelectorAll(ISSUE_LIST_ITEM_SELECTORS.join(",")),
+    )
+      // Skip cards hidden by quick filters or collapsed swimlanes
+      .filter((element) => element.getClientRects().length > 0);
+
+    const issues = [];
+    const selectedIssues = [];
+
+    for (const element of items) {
+      const issue = readListItem(element, baseUrl);
+      if (!issue || issues.some((other) => other.key === issue.key)) {
+        continue;
+      }
+
+      issues.push(issue);
+      if (isSelectedItem(element)) {
+        selectedIssues.push(issue);
+      }
+    }
+
+    const useSelection = scope !== "visible" && selectedIssues.length > 0;
+
+    return {
+      issues: useSelection ? selectedIssues : issues,
+      selectedCount: selectedIssues.length,
+      visibleCount: issues.length,
+    };
+  }
+
+  /**
+   * Gets the listed issues, optionally filled in with field data from
+   * the REST API (for table copies); falls back to what the page shows
+   */
+  async function getIssueList(scope, withDetails) {
+    const list = extractIssueList(scope);
+    if (!withDetails || list.issues.length === 0) {
+      return list;
+    }
+
+    try {
+      const apiIssues = await IssueApi.fetchIssues(
+        JiraUrls.inferBaseUrl(window.location.href),
+        list.issues.map((issue) => issue.key),
+        pageFetch,
+      );
+      list.issues = list.issues.map((issue) => {
+        const apiIssue = apiIssues.find((other) => other.key === issue.key);
+        return apiIssue ? IssueApi.mergeIssueData(issue, apiIssue) : issue;
+      });
+    } catch (err) {
+      console.debug("Jira API unavailable, using page data:", err);
+    }
+
+    return list;
+  }
+
+  /**
+   * Reads key, summary and any shown columns from a board card or
+   * search result row
+   */
+  function readListItem(element, baseUrl) {
+    let key = element.getAttribute("data-issue-key") || element.getAttribute("data-key");
+
+    const link = element.querySelector('a[href*="/browse/"]');
+    if (!key && link) {
+      key = JiraUrls.keyFromPath(new URL(link.href, window.location.href).pathname);
+    }
     if (!key) {
+      const keyMatch = element.textContent.match(/([A-Z][A-Z0-9]+-\d+)/);
+      key = keyMatch ? keyMatch[1] : null;
+    }
+    if (!key || !/^[A-Z][A-Z0-9]+-\d+$/i.test(key)) {
+      return null;
+    }
+    key = key.toUpperCase();
+
+    let summary = null;
+    for (const selector of ISSUE_LIST_SUMMARY_SELECTORS) {
+      const summaryElement = element.querySelector(selector);
+      if (summaryElement && summaryElement.textContent.trim()) {
+        summary = summaryElement.textContent.trim();
+        break;
+      }
+    }
+
+    const issue = {
+      key: key,
+      summary: summary,
+      url: `${baseUrl}/browse/${key}`,
+    };
+
+    for (const [name, selectors] of Object.entries(ISSUE_LIST_FIELD_SELECTORS)) {
+      for (const selector of selectors) {
+        const value = readFieldText(element.querySelector(selector));
+        if (value) {
+          issue[name] = value;
+          break;
+        }
+      }
+    }
+
+    return issue;
+  }
+
+  /**
+   * Checks whether a card or row is part of the user's selection
+   */
+  function isSelectedItem(element) {
+    return (
+      SELECTED_ITEM_SELECTORS.some((selector) => element.matches(selector)) ||
+      element.querySelector('input[type="checkbox"]:checked') !== null
+    );
+  }
+
+  /**
+   * Extracts type, status, priority, people, parent, sprint, labels and
+   * fix versions from the issue view
+   * Fields that can't be found are left out of the result
+   */
+  function extractIssueFields(
+    diagnostics = IssueDiagnostics.createDiagnostics(),
+    selectors = IssueSelectors.resolveSelectors(),
+  ) {
+    const fields = {};
+    const groups = Object.entries(IssueSelectors.GROUPS);
+
+    for (const [name] of groups.filter(([, group]) => group.kind === "field")) {
+      let matched = -1;
+      for (const [index, selector] of selectors[name].entries()) {
+        const value = readFieldText(querySelectorSafe(selector));
+        if (value) {
+          fields[name] = value;
+          matched = index;
+          break;
+        }
+      }
+      recordFieldStep(diagnostics, name, selectors[name], matched);
+    }
+
+    // The parent field is only useful as an issue key
+    if (fields.parent) {
+      const parentMatch = fields.parent.match(/([A-Z][A-Z0-9]+-\d+)/i);
+      fields.parent = parentMatch ? parentMatch[1].toUpperCase() : null;
+    }
+
+    for (const [name] of groups.filter(([, group]) => group.kind === "list")) {
+      let matched = -1;
+      for (const [index, selector] of selectors[name].entries()) {
+        const values = Array.from(querySelectorSafe(selector, true))
+          .map(readFieldText)
+          .filter((value, position, all) => value && all.indexOf(value) === position);
+        if (values.length) {
+          fields[name] = values;
+          matched = index;
+          break;
+        }
+      }
+      recordFieldStep(diagnostics, name, selectors[name], matched);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Record only the outcome for a field: which selector matched, or that
+   * none did; listing every miss would bury the key and summary steps
+   */
+  function recordFieldStep(diagnostics, name, selectors, matched) {
+    const strategy =
+      matched === -1
+        ? `none of ${selectors.length} selectors`
+        : `selector ${matched + 1} (${selectors[matched]})`;
+    IssueDiagnostics.recordStep(diagnostics, name, strategy, matched !== -1);
+  }
+
+  /**
+   * Reads the display text of a field element
+   * Issue type icons only carry their name in alt/aria-label
+   */
+  function readFieldText(element) {
+    if (!element) return null;
+
+    const text = (
+      element.getAttribute("alt") ||
+      element.textContent ||
+      element.getAttribute("aria-label") ||
+      ""
+    )
+      .replace(/\s+/g, " ")
+      .trim();
+
+    if (!text || EMPTY_FIELD_TEXT.includes(text.toLowerCase())) {
       return null;
     }
+    return text;
+  }
+
+  /**
+   * An issue's description, comments or the selected text as Markdown and
+   * clean HTML (see lib/issue_content.js)
+   * part: "description", "latestComment", "allComments" or "selection"
+   * Resolves to { markdown, html }, both empty if there is nothing to copy
+   */
+  async function getIssueContent(key, part) {
+    const baseUrl = JiraUrls.inferBaseUrl(window.location.href);
+
+    if (part === "selection") {
+      const tree = readSelection();
+      return {
+        markdown: IssueContent.toMarkdown(tree, { baseUrl: baseUrl }),
+        html: IssueContent.toHtml(tree, { baseUrl: baseUrl }),
+      };
+    }
 
-    const fullTitle = summary ? `${key} - ${summary}` : key;
+    let content;
+    try {
+      content = await IssueApi.fetchIssueContent(baseUrl, key, pageFetch);
+    } catch (err) {
+      console.debug("Jira API unavailable, reading content from the page:", err);
+      content = readPageContent();
+    }
 
+    const options = { baseUrl: baseUrl, attachments: content.attachments };
+    const toTree = (body) => {
+      if (content.format === "adf") {
+        return body;
+      }
+      // Rendered HTML from the API, or elements of this page
+      return IssueContent.readHtml(
+        content.format === "html"
+          ? new DOMParser().parseFromString(body || "", "text/html").body
+          : body,
+      );
+    };
+
+    if (part === "description") {
+      const tree = content.description ? toTree(content.description) : null;
+      return {
+        markdown: IssueContent.toMarkdown(tree, options),
+        html: IssueContent.toHtml(tree, options),
+      };
+    }
+
+    const comments = (part === "latestComment" ? content.comments.slice(-1) : content.comments).map(
+      (comment) => Object.assign({}, comment, { body: toTree(comment.body) }),
+    );
     return {
-      plainText: fullTitle,
-      markdown: `[${fullTitle}](${url})`,
-      markdownShort: `[${key}](${url})`,
-      html: `<a href="${url}">${escapeHtml(fullTitle)}</a>`,
+      markdown: IssueContent.formatComments(comments, "markdown", options),
+      html: IssueContent.formatComments(comments, "html", options),
     };
   }
 
   /**
-   * Escapes HTML special characters
+   * The user's selection on the page as a content tree
    */
-  function escapeHtml(text) {
-    const div = document.createElement("div");
-    div.textContent = text;
-    return div.innerHTML;
+  function readSelection() {
+    const selection = window.getSelection();
+    const container = document.createElement("div");
+    for (let index = 0; selection && index < selection.rangeCount; index++) {
+      container.appendChild(selection.getRangeAt(index).cloneContents());
+    }
+    return IssueContent.readHtml(container);
   }
 
   /**
-   * Notify background script of URL changes (for SPA navigation)
+   * Description and comments as rendered on the page, in the shape of
+   * IssueApi.fetchIssueContent; comments are only found on Server/DC
    */
-  function notifyUrlChange() {
-    const newUrl = window.location.href;
-    if (newUrl !== currentUrl) {
-      currentUrl = newUrl;
-      browser.runtime
-        .sendMessage({
-          action: "urlChanged",
-          url: newUrl,
-        })
-        .catch(() => {
-          // Background script might not be ready, ignore
-        });
+  function readPageContent() {
+    const description = DESCRIPTION_SELECTORS.map((selector) =>
+      document.querySelector(selector),
+    ).find(Boolean);
+
+    const comments = Array.from(
+      document.querySelectorAll(PAGE_COMMENT_SELECTORS.comment),
+    ).map((element) => {
+      const author = element.querySelector(PAGE_COMMENT_SELECTORS.author);
+      const created = element.querySelector(PAGE_COMMENT_SELECTORS.created);
+      const body = element.querySelector(PAGE_COMMENT_SELECTORS.body);
+      return {
+        author: author ? author.textContent.trim() : null,
+        created: created ? created.getAttribute("datetime") : null,
+        body: body,
+      };
+    });
+
+    return {
+      format: "page",
+      description: description || null,
+      comments: comments.filter((comment) => comment.body),
+      attachments: {},
+    };
+  }
+
+  // Inline copy buttons (lib/inline_buttons.js), while enabled in settings
+  let inlineSettings = null;
+  let inlineButtons = null;
+
+  /**
+   * Add the copy buttons and keep them in place through Jira's re-renders
+   */
+  function startInlineButtons(settings) {
+    // Restart when already running, to pick up changed selectors
+    stopInlineButtons();
+    inlineSettings = settings;
+    inlineButtons = IssueInlineButtons.watchPage(document, {
+      findKey: findHeaderKey,
+      headerContainer: (keyElement) => {
+        const parent = keyElement.parentElement;
+        return (parent && parent.closest(HEADER_CONTAINER_SELECTORS.join(","))) || parent;
+      },
+      findBoard: findBoard,
+      cardSelector: CARD_SELECTORS.join(","),
+      cardKey: cardKey,
+      listFormats: inlineFormats,
+      loadHeaderIssue: () => getIssueData(),
+      loadCardIssue: loadCardIssue,
+      copy: copyFromPage,
+    });
+  }
+
+  /**
+   * Remove the copy buttons, e.g. when turned off on the options page
+   */
+  function stopInlineButtons() {
+    if (!inlineButtons) {
+      return;
     }
+    inlineButtons.stop();
+    inlineButtons = inlineSettings = null;
   }
 
-  // Listen for messages from the popup
-  browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === "getIssueData") {
-      const issueData = extractIssueData();
-      const formats = generateFormats(issueData);
+  /**
+   * The issue key in the header, found with the key selectors
+   */
+  function findHeaderKey() {
+    const selectors = IssueSelectors.resolveSelectors(inlineSettings.selectorOverrides);
+    for (const selector of selectors.key) {
+      const keyElement = querySelectorSafe(selector);
+      if (keyElement) {
+        return keyElement;
+      }
+    }
+    return null;
+  }
 
-      sendResponse({
-        issueData: issueData,
-        formats: formats,
-      });
+  /**
+   * The element holding the cards, only on boards and backlogs
+   */
+  function findBoard() {
+    if (!JiraUrls.isBoard(window.location.href, inlineSettings.customHosts)) {
+      return null;
     }
-    return true; // Keep the message channel open for async response
-  });
+    for (const selector of BOARD_SELECTORS) {
+      const board = document.querySelector(selector);
+      if (board) {
+        return board;
+      }
+    }
+    return null;
+  }
 
-  // Detect SPA navigation (Jira is a single-page app)
-  // Use MutationObserver to detect when the app navigates
-  const observer = new MutationObserver(() => {
-    notifyUrlChange();
-  });
+  /**
+   * Formats to offer for an issue on this page, from its profile if one
+   * matches (see lib/profiles.js)
+   */
+  function inlineFormats(key) {
+    const settings = IssueProfiles.resolveSettings(inlineSettings, {
+      key: key,
+      url: window.location.href,
+    });
+    return IssueFormats.listFormats(settings.templates, settings.disabledFormats).map((format) =>
+      IssueFormats.localizeFormat(format, IssueI18n.message),
+    );
+  }
+
+  function cardKey(card) {
+    const issue = card && readListItem(card, JiraUrls.inferBaseUrl(window.location.href));
+    return issue ? issue.key : null;
+  }
+
+  /**
+   * Issue data for a card: what the card shows, filled in from the API
+   */
+  async function loadCardIssue(card) {
+    const baseUrl = JiraUrls.inferBaseUrl(window.location.href);
+    const issue = card && readListItem(card, baseUrl);
+    if (!issue) {
+      throw new Error("No issue key on this card");
+    }
+
+    try {
+      const apiData = await IssueApi.fetchIssue(baseUrl, issue.key, pageFetch);
+      return IssueApi.mergeIssueData(issue, apiData);
+    } catch (err) {
+      console.debug("Jira API unavailable, using card data:", err);
+      return issue;
+    }
+  }
+
+  /**
+   * Copy an issue in a format, as the popup would, and add it to the
+   * copy history
+   */
+  async function copyFromPage(issueData, formatId) {
+    if (!issueData || !issueData.key) {
+      throw new Error("No Jira issue detected");
+    }
 
-  // Observe changes to the document that might indicate navigation
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true,
+    const settings = IssueProfiles.resolveSettings(await JiraSettings.loadSettings(), issueData);
+    if (IssueProfiles.excludesFormat(settings, formatId)) {
+      throw new Error(`The format "${formatId}" isn't used for ${settings.profile.name} issues`);
+    }
+
+    const format = IssueFormats.findFormat(formatId, settings.templates);
+    const formats = IssueFormats.renderFormats(
+      IssueFormats.generateFormats(issueData, settings),
+      issueData,
+      settings.templates,
+    );
+    if (!format || !formats[format.id]) {
+      throw new Error(`The format "${formatId}" is no longer available`);
+    }
+
+    await IssueClipboard.copyFlavors(IssueClipboard.flavorsFor(format, formats, issueData));
+
+    try {
+      await CopyHistory.recordCopy(issueData, format.id, settings.historyLimit);
+    } catch (err) {
+      console.error("Could not save copy history:", err);
+    }
+  }
+
+  JiraSettings.loadSettings()
+    .then((settings) => {
+      if (settings.inlineButtons) {
+        startInlineButtons(settings);
+      }
+    })
+    .catch((err) => console.error("Could not add copy buttons:", err));
+
+  JiraSettings.onSettingsChanged(async (changes) => {
+    const relevant = [
+      "inlineButtons",
+      "templates",
+      "disabledFormats",
+      "selectorOverrides",
+      "profiles",
+      "customHosts",
+    ];
+    if (!relevant.some((name) => name in changes)) {
+      return;
+    }
+
+    const settings = await JiraSettings.loadSettings();
+    if (settings.inlineButtons) {
+      startInlineButtons(settings);
+    } else {
+      stopInlineButtons();
+    }
   });
 
-  // Also check on popstate (browser back/forward)
-  window.addEventListener("popstate", notifyUrlChange);
+  // Listen for messages from the popup
+  browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "getIssueData") {
+      const diagnostics = IssueDiagnostics.createDiagnostics();
+      getIssueData(diagnostics)
+        .then((issueData) => {
+          sendResponse({
+            issueData: issueData,
+            formats: IssueFormats.generateFormats(issueData),
+            diagnostics: diagnostics,
+          });
+        })
+        .catch((err) => {
+          console.error("Could not read the issue:", err);
+          sendResponse({ error: `${err.name}: ${err.message}`, diagnostics: diagnostics });
+        });
+    } else if (request.action === "getIssueList") {
+      getIssueList(request.scope, request.withDetails).then(sendResponse);
+    } else if (request.action === "getRelatedIssues") {
+      IssueApi.fetchRelatedIssues(
+        JiraUrls.inferBaseUrl(window.location.href),
+        request.key,
+        request.relation,
+        pageFetch,
+      )
+        .then(sendResponse)
+        .catch((err) => {
+          console.error("Could not fetch related issues:", err);
+          sendResponse({ error: `${err.name}: ${err.message}` });
+        });
+    } else if (request.action === "getRelease") {
+      IssueApi.fetchRelease(JiraUrls.inferBaseUrl(window.location.href), request.source, pageFetch)
+        .then(sendResponse)
+        .catch((err) => {
+          console.error("Could not fetch the release:", err);
+          sendResponse({ error: `${err.name}: ${err.message}` });
+        });
+    } else if (request.action === "getIssueContent") {
+      getIssueContent(request.key, request.part)
+        .then(sendResponse)
+        .catch((err) => {
+          console.error("Could not read the issue content:", err);
+          sendResponse({ error: `${err.name}: ${err.message}` });
+        });
+    } else if (request.action === "testSelectors") {
+      sendResponse(testSelectors(request.entries));
+    } else if (request.action === "urlChanged") {
+      // Sent by the background script on SPA navigation; the new page's
+      // header and board replace the ones the buttons were watching
+      if (inlineButtons) {
+        inlineButtons.refresh();
+      }
+      return false;
+    }
+    return true; // Keep the message channel open for async response
+  });
 
-  // Periodic check as a fallback (every 2 seconds)
-  setInterval(notifyUrlChange, 2000);
+  // SPA navigation needs no tracking here: the background script sees
+  // pushState, replaceState and back/forward as tab URL changes and sends
+  // urlChanged
 
   // Also expose data for debugging
   window.__jiraCopyHelper = {
+    // False once an extension update or removal disconnects this copy
+    isConnected: () => Boolean(browser.runtime && browser.runtime.id),
     extractIssueData,
-    generateFormats,
+    getIssueData,
+    extractIssueList,
+    generateFormats: IssueFormats.generateFormats,
   };
 })();
@@ -0,0 +1,38 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Lets the extension's scripts use browser.* on Chrome and Edge
+ *
+ * Loaded first everywhere; does nothing in Firefox. Manifest V3 chrome.*
+ * methods already return promises when called without a callback, so
+ * browser is chrome plus a pageAction stand-in: MV3 has only the toolbar
+ * action, which is disabled by default and enabled on tabs with an issue.
+ */
+
+(function (root) {
+  "use strict";
+
+  if (typeof root.browser !== "undefined" || typeof root.chrome === "undefined") {
+    return;
+  }
+
+  const chrome = root.chrome;
+  const action = chrome.action;
+
+  if (!chrome.pageAction && action) {
+    chrome.pageAction = {
+      show: (tabId) => action.enable(tabId),
+      hide: (tabId) => action.disable(tabId),
+    };
+
+    // Only the background service worker sets the default state
+    if (typeof root.ServiceWorkerGlobalScope !== "undefined") {
+      action.disable();
+    }
+  }
+
+  root.browser = chrome;
+})(this);
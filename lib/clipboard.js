@@ -0,0 +1,207 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Clipboard helpers shared by the popup and the background script
+ * (keyboard shortcuts copy from the background page)
+ *
+ * Copies are made through a copy event wherever there is a DOM, as that is
+ * the only way to put flavors such as text/x-moz-url on the clipboard.
+ * Chrome's background service worker has no DOM or clipboard, so copies
+ * made there go through an offscreen document (chrome/offscreen.js).
+ */
+
+(function (root) {
+  "use strict";
+
+  const OFFSCREEN_URL = "chrome/offscreen.html";
+
+  const MIME_PLAIN = "text/plain";
+  const MIME_HTML = "text/html";
+  // Firefox's native link flavor: "url\ntitle"
+  const MIME_MOZ_URL = "text/x-moz-url";
+
+  function isServiceWorker() {
+    return typeof root.ServiceWorkerGlobalScope !== "undefined";
+  }
+
+  /**
+   * Clipboard flavors for one rendered format of an issue
+   * - HTML formats: their markup, with a plain-text version
+   * - link formats (see registerFormatter in lib/formats.js): their text,
+   *   plus the HTML link and a text/x-moz-url, so rich editors such as
+   *   Outlook, Google Docs or Slack paste a real hyperlink
+   * - anything else, e.g. branch names and plain templates: text only
+   */
+  function flavorsFor(format, formats, issueData) {
+    const text = formats[format.id];
+    const flavors = { [MIME_PLAIN]: text };
+
+    if (format.mime === MIME_HTML) {
+      flavors[MIME_HTML] = text;
+      flavors[MIME_PLAIN] = format.id === "html" ? formats.plainText : htmlToPlainText(text);
+    } else if (format.link) {
+      flavors[MIME_HTML] = formats.html;
+    }
+
+    if (format.link && issueData.url) {
+      // One line for the URL, one for its title
+      flavors[MIME_MOZ_URL] = `${issueData.url}\n${formats.plainText}`;
+    }
+    return flavors;
+  }
+
+  /**
+   * Copy plain text to clipboard
+   */
+  async function copyText(text) {
+    await copyFlavors({ [MIME_PLAIN]: text });
+  }
+
+  /**
+   * Copy HTML to clipboard with both HTML and plain text formats
+   */
+  async function copyHtml(html, plainText) {
+    await copyFlavors({ [MIME_HTML]: html, [MIME_PLAIN]: plainText });
+  }
+
+  /**
+   * Copy several flavors of the same content, e.g. from flavorsFor
+   * A copy event can set any flavor; the Clipboard API, used if that
+   * fails, only plain text and HTML
+   */
+  async function copyFlavors(flavors) {
+    if (isServiceWorker()) {
+      await copyOffscreen(flavors);
+      return;
+    }
+
+    if (copyWithEvent(flavors)) {
+      return;
+    }
+
+    if (flavors[MIME_HTML] && typeof ClipboardItem !== "undefined") {
+      try {
+        await navigator.clipboard.write([
+          new ClipboardItem({
+            [MIME_HTML]: new Blob([flavors[MIME_HTML]], { type: MIME_HTML }),
+            [MIME_PLAIN]: new Blob([flavors[MIME_PLAIN]], { type: MIME_PLAIN }),
+          }),
+        ]);
+        return;
+      } catch (err) {
+        console.warn("ClipboardItem not supported, copying plain text only:", err);
+      }
+    }
+
+    // Never the raw markup: pasting "<a href=...>" helps nobody
+    await navigator.clipboard.writeText(flavors[MIME_PLAIN]);
+  }
+
+  /**
+   * Copy through a copy event, setting every flavor
+   * Returns false where that isn't possible (no DOM, or the browser
+   * refused), so the caller can fall back to the Clipboard API
+   */
+  function copyWithEvent(flavors) {
+    if (typeof document === "undefined" || !document.body) {
+      return false;
+    }
+
+    // Some browsers only fire the copy event when something is selected
+    const target = document.createElement("textarea");
+    target.value = flavors[MIME_PLAIN] || "";
+    target.style.position = "fixed";
+    target.style.opacity = "0";
+    const focused = document.activeElement;
+    document.body.appendChild(target);
+    target.select();
+
+    const onCopy = (event) => {
+      for (const [type, data] of Object.entries(flavors)) {
+        if (data) {
+          event.clipboardData.setData(type, data);
+        }
+      }
+      event.preventDefault();
+    };
+
+    document.addEventListener("copy", onCopy);
+    try {
+      return document.execCommand("copy");
+    } catch (err) {
+      console.debug("Copy event not available:", err);
+      return false;
+    } finally {
+      document.removeEventListener("copy", onCopy);
+      target.remove();
+      if (focused && typeof focused.focus === "function") {
+        focused.focus();
+      }
+    }
+  }
+
+  /**
+   * Ask the offscreen document to copy, creating it on first use
+   */
+  async function copyOffscreen(flavors) {
+    const { offscreen, runtime } = browser;
+
+    const contexts = await runtime.getContexts({
+      contextTypes: ["OFFSCREEN_DOCUMENT"],
+    });
+    if (contexts.length === 0) {
+      await offscreen.createDocument({
+        url: OFFSCREEN_URL,
+        reasons: ["CLIPBOARD"],
+        justification: "Copy issues from keyboard shortcuts and the context menu",
+      });
+    }
+
+    const response = await runtime.sendMessage({
+      target: "offscreen",
+      action: "copy",
+      flavors: flavors,
+    });
+    if (!response || !response.copied) {
+      throw new Error("Offscreen document could not copy");
+    }
+  }
+
+  /**
+   * Plain-text version of an HTML snippet, for the text/plain flavor
+   */
+  function htmlToPlainText(html) {
+    if (typeof DOMParser === "undefined") {
+      // No DOM in a service worker; enough for link and template markup
+      return html
+        .replace(/<[^>]*>/g, "")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, "&")
+        .trim();
+    }
+
+    const doc = new DOMParser().parseFromString(html, "text/html");
+    return doc.body.textContent.trim();
+  }
+
+  const api = {
+    flavorsFor,
+    copyText,
+    copyHtml,
+    copyFlavors,
+    copyWithEvent,
+    htmlToPlainText,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.IssueClipboard = api;
+  }
+})(this);
@@ -0,0 +1,101 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Diagnostics for "No Jira issue detected" and missing fields
+ *
+ * The content script records each extraction strategy it tries and
+ * whether it found anything; the popup adds its own URL checks and whether
+ * the content script answered, and shows the result as a text report.
+ */
+
+(function (root) {
+  "use strict";
+
+  /**
+   * Start recording one extraction
+   */
+  function createDiagnostics() {
+    return { steps: [], api: null };
+  }
+
+  /**
+   * Record one strategy tried for a field
+   * value is only kept for the key: summaries and field values can be
+   * confidential and don't belong in bug reports
+   */
+  function recordStep(diagnostics, field, strategy, value) {
+    const found = Array.isArray(value) ? value.length > 0 : Boolean(value);
+    const step = { field: field, strategy: strategy, found: found };
+    if (found && field === "key") {
+      step.value = value;
+    }
+    diagnostics.steps.push(step);
+    return found;
+  }
+
+  function yesNo(value) {
+    return value ? "yes" : "no";
+  }
+
+  /**
+   * Plain-text report for the popup and for attaching to bug reports
+   * report: { version, userAgent, url, checks, contentScript, error, extraction }
+   */
+  function formatReport(report) {
+    const lines = [
+      "Jira Issue Copy Helper diagnostics",
+      `Extension: ${report.version || "unknown"}`,
+      `Browser: ${report.userAgent || "unknown"}`,
+      `Page: ${report.url || "unknown"}`,
+      "",
+      "URL checks:",
+      `  Jira site: ${yesNo(report.checks.jiraSite)}`,
+      `  Single issue URL: ${yesNo(report.checks.singleIssue)}`,
+      `  Issue list URL: ${yesNo(report.checks.issueList)}`,
+      "",
+      `Content script: ${report.contentScript || "not asked"}`,
+    ];
+
+    if (report.error) {
+      lines.push(`Popup error: ${report.error}`);
+    }
+
+    const extraction = report.extraction;
+    if (!extraction) {
+      return lines.join("\n");
+    }
+
+    const fields = [];
+    for (const step of extraction.steps) {
+      if (!fields.includes(step.field)) {
+        fields.push(step.field);
+      }
+    }
+
+    for (const field of fields) {
+      lines.push("", `${field}:`);
+      for (const step of extraction.steps.filter((other) => other.field === field)) {
+        const value = step.value ? ` → ${step.value}` : "";
+        lines.push(`  ${step.found ? "✓" : "✗"} ${step.strategy}${value}`);
+      }
+    }
+
+    lines.push("", `REST API: ${extraction.api || "not tried"}`);
+    return lines.join("\n");
+  }
+
+  const api = {
+    createDiagnostics,
+    recordStep,
+    formatReport,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.IssueDiagnostics = api;
+  }
+})(this);
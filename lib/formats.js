@@ -0,0 +1,392 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Copy formats offered for a single issue: a registry of built-in
+ * formatters, run by generateFormats, plus the user's templates
+ * Shared by the content script, popup, options page, keyboard shortcuts
+ * and the link context menu
+ */
+
+(function (root) {
+  "use strict";
+
+  const IssueTemplates =
+    typeof module !== "undefined" && module.exports
+      ? require("./templates")
+      : root.IssueTemplates;
+  const GitFormats =
+    typeof module !== "undefined" && module.exports
+      ? require("./git_formats")
+      : root.GitFormats;
+
+  // Formatters in the order the popup lists them, see registerFormatter
+  const BUILTIN_FORMATS = [];
+
+  /**
+   * Add a formatter to the registry
+   * A formatter describes itself like the popup buttons need (id, icon,
+   * label, example, title, mime) and has format(issueData, options), which
+   * returns the text to copy; options holds user settings such as
+   * slugOptions. link: true marks formats that stand for a link to the
+   * issue, which are also copied as an HTML link (see lib/clipboard.js).
+   * Throws if the id is already taken.
+   */
+  function registerFormatter(formatter) {
+    if (typeof formatter.format !== "function") {
+      throw new Error(`Formatter "${formatter.id}" has no format function`);
+    }
+    if (getFormatter(formatter.id)) {
+      throw new Error(`Formatter "${formatter.id}" is already registered`);
+    }
+    BUILTIN_FORMATS.push(Object.assign({ mime: IssueTemplates.MIME_PLAIN }, formatter));
+  }
+
+  /**
+   * Look up a registered formatter, or null
+   */
+  function getFormatter(id) {
+    return BUILTIN_FORMATS.find((formatter) => formatter.id === id) || null;
+  }
+
+  function titleOf(issueData) {
+    return issueData.summary ? `${issueData.key} - ${issueData.summary}` : issueData.key;
+  }
+
+  // Shown before HTML links when richLinkOptions.typeIcon is set; emoji,
+  // because Jira's own icons need a Jira session to load
+  const TYPE_ICONS = [
+    { pattern: /sub-?task/i, icon: "🔹" },
+    { pattern: /bug|defect|incident/i, icon: "🐞" },
+    { pattern: /epic/i, icon: "⚡" },
+    { pattern: /story/i, icon: "📗" },
+    { pattern: /task/i, icon: "☑️" },
+  ];
+  const DEFAULT_TYPE_ICON = "🔖";
+
+  // Lozenge colours by status name, like Jira's status categories
+  const STATUS_COLORS = [
+    { pattern: /done|closed|resolved|released|complete/i, background: "#E3FCEF", color: "#006644" },
+    { pattern: /progress|review|testing|development/i, background: "#DEEBFF", color: "#0747A6" },
+  ];
+  const DEFAULT_STATUS_COLOR = { background: "#DFE1E6", color: "#42526E" };
+
+  const DEFAULT_RICH_LINK_OPTIONS = {
+    typeIcon: false,
+    statusLozenge: false,
+  };
+
+  function typeIcon(type) {
+    const match = TYPE_ICONS.find((entry) => entry.pattern.test(type));
+    return match ? match.icon : DEFAULT_TYPE_ICON;
+  }
+
+  /**
+   * Status as a Jira-style lozenge; styles are inline so mail clients and
+   * word processors keep them
+   */
+  function statusLozenge(status) {
+    const colors =
+      STATUS_COLORS.find((entry) => entry.pattern.test(status)) || DEFAULT_STATUS_COLOR;
+    const style = [
+      `background:${colors.background}`,
+      `color:${colors.color}`,
+      "border-radius:3px",
+      "padding:0 4px",
+      "font-size:11px",
+      "font-weight:bold",
+      "text-transform:uppercase",
+    ].join(";");
+    return `<span style="${style}">${IssueTemplates.escapeHtml(status)}</span>`;
+  }
+
+  /**
+   * HTML link to the issue, with the type icon and status lozenge if the
+   * user turned them on
+   */
+  function htmlLink(issueData, options = {}) {
+    const extras = Object.assign({}, DEFAULT_RICH_LINK_OPTIONS, options.richLinkOptions);
+    const link = `<a href="${issueData.url}">${IssueTemplates.escapeHtml(titleOf(issueData))}</a>`;
+
+    const parts = [link];
+    if (extras.typeIcon && issueData.type) {
+      const type = IssueTemplates.escapeHtml(issueData.type);
+      parts.unshift(`<span title="${type}">${typeIcon(issueData.type)}</span>`);
+    }
+    if (extras.statusLozenge && issueData.status) {
+      parts.push(statusLozenge(issueData.status));
+    }
+    return parts.join(" ");
+  }
+
+  registerFormatter({
+    id: "plainText",
+    icon: "📝",
+    label: "Plain Text",
+    example: "KEY-123 - Summary",
+    title: "Copy as plain text",
+    link: true,
+    format: titleOf,
+  });
+
+  registerFormatter({
+    id: "markdown",
+    icon: "📎",
+    label: "Markdown",
+    example: "[KEY-123 - Summary](url)",
+    title: "Copy as Markdown with summary",
+    link: true,
+    format: (issueData) => `[${titleOf(issueData)}](${issueData.url})`,
+  });
+
+  registerFormatter({
+    id: "markdownShort",
+    icon: "🔗",
+    label: "Markdown (Short)",
+    example: "[KEY-123](url)",
+    title: "Copy as Markdown (key only)",
+    link: true,
+    format: (issueData) => `[${issueData.key}](${issueData.url})`,
+  });
+
+  registerFormatter({
+    id: "html",
+    icon: "🌐",
+    label: "HTML",
+    example: '<a href="...">...</a>',
+    title: "Copy as HTML link",
+    mime: IssueTemplates.MIME_HTML,
+    link: true,
+    format: htmlLink,
+  });
+
+  registerFormatter({
+    id: "htmlStatus",
+    icon: "🚦",
+    label: "HTML (with status)",
+    example: '<a href="...">...</a> (Status)',
+    title: "Copy as HTML link followed by the issue status",
+    mime: IssueTemplates.MIME_HTML,
+    link: true,
+    format: (issueData, options) => {
+      const typeOnly = {
+        richLinkOptions: Object.assign({}, options.richLinkOptions, { statusLozenge: false }),
+      };
+      return issueData.status
+        ? `${htmlLink(issueData, typeOnly)} (${IssueTemplates.escapeHtml(issueData.status)})`
+        : htmlLink(issueData, typeOnly);
+    },
+  });
+
+  registerFormatter({
+    id: "gitBranch",
+    icon: "🌿",
+    label: "Git branch",
+    example: "feature/KEY-123-summary",
+    title: "Copy a branch name, prefixed by issue type",
+    format: (issueData, options) => GitFormats.branchName(issueData, options.slugOptions),
+  });
+
+  registerFormatter({
+    id: "gitCommit",
+    icon: "💬",
+    label: "Commit message",
+    example: "KEY-123: Summary",
+    title: "Copy a commit message referencing the issue",
+    format: GitFormats.commitMessage,
+  });
+
+  registerFormatter({
+    id: "conventionalCommit",
+    icon: "🏷️",
+    label: "Conventional commit",
+    example: "fix(KEY-123): summary",
+    title: "Copy a Conventional Commits message, typed by issue type",
+    format: GitFormats.conventionalCommit,
+  });
+
+  // Jira comments and descriptions; brackets and pipes end the link early
+  registerFormatter({
+    id: "jiraWiki",
+    icon: "📘",
+    label: "Jira wiki markup",
+    example: "[KEY-123 - Summary|url]",
+    title: "Copy as a Jira wiki markup link, for comments in older editors",
+    link: true,
+    format: (issueData) =>
+      `[${titleOf(issueData).replace(/[[\]|]/g, "\\$&")}|${issueData.url}]`,
+  });
+
+  // Slack mrkdwn only needs &, < and > escaped
+  registerFormatter({
+    id: "slack",
+    icon: "#️⃣",
+    label: "Slack",
+    example: "<url|KEY-123 - Summary>",
+    title: "Copy as a Slack mrkdwn link, for messages sent through the API or bots",
+    link: true,
+    format: (issueData) => {
+      const text = titleOf(issueData)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+      return `<${issueData.url}|${text}>`;
+    },
+  });
+
+  registerFormatter({
+    id: "asciidoc",
+    icon: "📄",
+    label: "AsciiDoc",
+    example: "url[KEY-123 - Summary]",
+    title: "Copy as an AsciiDoc link",
+    link: true,
+    format: (issueData) => `${issueData.url}[${titleOf(issueData).replace(/]/g, "\\]")}]`,
+  });
+
+  // Anonymous hyperlink (two underscores), so repeated links don't clash
+  registerFormatter({
+    id: "rst",
+    icon: "📜",
+    label: "reStructuredText",
+    example: "`KEY-123 - Summary <url>`__",
+    title: "Copy as a reStructuredText link",
+    link: true,
+    format: (issueData) =>
+      `\`${titleOf(issueData).replace(/[\\`<]/g, "\\$&")} <${issueData.url}>\`__`,
+  });
+
+  // Neither Org-mode nor BBCode can escape brackets in link text
+  registerFormatter({
+    id: "orgMode",
+    icon: "🦄",
+    label: "Org-mode",
+    example: "[[url][KEY-123 - Summary]]",
+    title: "Copy as an Org-mode link",
+    link: true,
+    format: (issueData) =>
+      `[[${issueData.url}][${bracketsToParentheses(titleOf(issueData))}]]`,
+  });
+
+  registerFormatter({
+    id: "bbcode",
+    icon: "🗨️",
+    label: "BBCode",
+    example: "[url=url]KEY-123 - Summary[/url]",
+    title: "Copy as a BBCode link, for forums",
+    link: true,
+    format: (issueData) =>
+      `[url=${issueData.url}]${bracketsToParentheses(titleOf(issueData))}[/url]`,
+  });
+
+  function bracketsToParentheses(text) {
+    return text.replace(/\[/g, "(").replace(/]/g, ")");
+  }
+
+  /**
+   * Generates the text of every registered format for an issue
+   * Returns null if the issue has no key
+   */
+  function generateFormats(issueData, options = {}) {
+    if (!issueData.key) {
+      return null;
+    }
+
+    const formats = {};
+    for (const formatter of BUILTIN_FORMATS) {
+      formats[formatter.id] = formatter.format(issueData, options);
+    }
+    return formats;
+  }
+
+  /**
+   * Describe a user template the same way as a built-in format
+   */
+  function templateFormat(template) {
+    return {
+      id: template.id,
+      icon: template.mime === IssueTemplates.MIME_HTML ? "🧩" : "✏️",
+      label: template.name,
+      example: template.template,
+      title: `Copy using the "${template.name}" template`,
+      mime: template.mime,
+    };
+  }
+
+  /**
+   * All formats, built-in first, then templates in their saved order
+   * Formats the user has disabled are left out when disabled is given
+   */
+  function listFormats(templates = [], disabled = []) {
+    return BUILTIN_FORMATS.concat(templates.map(templateFormat)).filter(
+      (format) => !disabled.includes(format.id),
+    );
+  }
+
+  /**
+   * Look up a format by id, or null if it no longer exists
+   */
+  function findFormat(id, templates = []) {
+    return listFormats(templates).find((format) => format.id === id) || null;
+  }
+
+  /**
+   * A format with its label and title in the UI language, for display
+   * getMessage(name, substitutions): e.g. IssueI18n.message, returning
+   * the name itself when there is no such message
+   * Built-in formats read formatLabel_<id> and formatTitle_<id>; templates
+   * keep the name the user gave them in formatTitle_template
+   */
+  function localizeFormat(format, getMessage) {
+    const translate = (name, fallback, substitutions) => {
+      const text = getMessage(name, substitutions);
+      return text && text !== name ? text : fallback;
+    };
+
+    if (!getFormatter(format.id)) {
+      return Object.assign({}, format, {
+        title: translate("formatTitle_template", format.title, [format.label]),
+      });
+    }
+    return Object.assign({}, format, {
+      label: translate(`formatLabel_${format.id}`, format.label),
+      title: translate(`formatTitle_${format.id}`, format.title),
+    });
+  }
+
+  /**
+   * Add the user's templates, rendered for an issue, to the built-in
+   * format strings from generateFormats
+   */
+  function renderFormats(formats, issueData, templates = []) {
+    const rendered = Object.assign({}, formats);
+    for (const template of templates) {
+      rendered[template.id] = IssueTemplates.renderTemplate(
+        template.template,
+        issueData,
+        template.mime,
+      );
+    }
+    return rendered;
+  }
+
+  const api = {
+    BUILTIN_FORMATS,
+    DEFAULT_RICH_LINK_OPTIONS,
+    registerFormatter,
+    getFormatter,
+    generateFormats,
+    listFormats,
+    findFormat,
+    localizeFormat,
+    renderFormats,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.IssueFormats = api;
+  }
+})(this);
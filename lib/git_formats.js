@@ -0,0 +1,142 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Git branch names and commit messages for an issue
+ *
+ * - Branch:               feature/PROJ-123-short-slug-of-summary
+ * - Commit:               PROJ-123: Summary
+ * - Conventional Commits: fix(PROJ-123): summary
+ *
+ * Branch and commit prefixes come from the issue type when it is known.
+ */
+
+(function (root) {
+  "use strict";
+
+  const DEFAULT_SLUG_OPTIONS = {
+    maxLength: 40,
+    separator: "-",
+    lowercase: true,
+    // Drop accents, then anything else outside A-Z, a-z and 0-9
+    asciiOnly: true,
+    removeStopWords: true,
+  };
+
+  const SLUG_SEPARATORS = ["-", "_"];
+
+  const STOP_WORDS = new Set([
+    "a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "from",
+    "if", "in", "into", "is", "it", "its", "of", "on", "or", "so", "that",
+    "the", "their", "then", "there", "these", "this", "to", "was", "were",
+    "when", "which", "while", "with",
+  ]);
+
+  // Issue type name patterns, checked in order, and their prefixes
+  const TYPE_PREFIXES = [
+    { pattern: /bug|defect|incident|problem/i, branch: "bugfix", commit: "fix" },
+    { pattern: /doc/i, branch: "docs", commit: "docs" },
+    { pattern: /test/i, branch: "test", commit: "test" },
+    { pattern: /task|chore|maintenance/i, branch: "chore", commit: "chore" },
+    { pattern: /story|feature|improvement|enhancement|epic/i, branch: "feature", commit: "feat" },
+  ];
+
+  // Used when the issue type is missing or not recognised
+  const DEFAULT_PREFIX = { branch: "feature", commit: "feat" };
+
+  function prefixFor(type) {
+    return (
+      TYPE_PREFIXES.find((prefix) => type && prefix.pattern.test(type)) ||
+      DEFAULT_PREFIX
+    );
+  }
+
+  function separatorOf(options) {
+    return SLUG_SEPARATORS.includes(options.separator)
+      ? options.separator
+      : DEFAULT_SLUG_OPTIONS.separator;
+  }
+
+  /**
+   * Turn a summary into a slug for branch names
+   * Never cuts a word in half unless the first word alone is too long
+   */
+  function slugify(text, options = {}) {
+    options = Object.assign({}, DEFAULT_SLUG_OPTIONS, options);
+    const separator = separatorOf(options);
+
+    let slug = String(text || "");
+    if (options.asciiOnly) {
+      slug = slug.normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+    }
+    if (options.lowercase) {
+      slug = slug.toLowerCase();
+    }
+
+    let words = slug
+      .split(options.asciiOnly ? /[^A-Za-z0-9]+/ : /[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+    if (options.removeStopWords) {
+      const kept = words.filter((word) => !STOP_WORDS.has(word.toLowerCase()));
+      // A summary of nothing but stop words keeps them rather than vanish
+      words = kept.length > 0 ? kept : words;
+    }
+
+    const maxLength = Math.max(1, Number(options.maxLength) || DEFAULT_SLUG_OPTIONS.maxLength);
+    let result = "";
+    for (const word of words) {
+      const next = result ? result + separator + word : word;
+      if (next.length > maxLength) {
+        return result || word.slice(0, maxLength);
+      }
+      result = next;
+    }
+    return result;
+  }
+
+  /**
+   * e.g. bugfix/PROJ-123-fix-login-redirect
+   */
+  function branchName(issueData, options = {}) {
+    const slug = slugify(issueData.summary, options);
+    const name = slug ? issueData.key + separatorOf(options) + slug : issueData.key;
+    return `${prefixFor(issueData.type).branch}/${name}`;
+  }
+
+  /**
+   * e.g. PROJ-123: Fix login redirect
+   */
+  function commitMessage(issueData) {
+    return issueData.summary
+      ? `${issueData.key}: ${issueData.summary}`
+      : `${issueData.key}: `;
+  }
+
+  /**
+   * e.g. fix(PROJ-123): fix login redirect
+   * The description starts lowercase, unless it starts with an acronym
+   */
+  function conventionalCommit(issueData) {
+    const summary = (issueData.summary || "").replace(/^(\S)(?!\p{Lu})/u, (first) =>
+      first.toLowerCase(),
+    );
+    return `${prefixFor(issueData.type).commit}(${issueData.key}): ${summary}`;
+  }
+
+  const api = {
+    DEFAULT_SLUG_OPTIONS,
+    SLUG_SEPARATORS,
+    slugify,
+    branchName,
+    commitMessage,
+    conventionalCommit,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.GitFormats = api;
+  }
+})(this);
@@ -0,0 +1,186 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * History of copied issues, for re-copying without going back to the tab
+ *
+ * Kept in storage.local (it can grow and shouldn't sync). One entry per
+ * issue, newest first; copying an issue again moves it to the top.
+ * Pinned entries are never pruned or cleared.
+ */
+
+(function (root) {
+  "use strict";
+
+  const STORAGE_KEY = "copyHistory";
+
+  // Issue fields saved with each entry, so any format can be re-rendered
+  const ENTRY_FIELDS = [
+    "key",
+    "summary",
+    "url",
+    "type",
+    "status",
+    "priority",
+    "assignee",
+    "reporter",
+    "parent",
+    "sprint",
+    "labels",
+    "fixVersions",
+  ];
+
+  /**
+   * Site an entry belongs to: the issue URL without /browse/KEY, which
+   * keeps the context path of self-hosted sites
+   */
+  function siteOf(entry) {
+    const index = entry.url ? entry.url.lastIndexOf("/browse/") : -1;
+    return index > 0 ? entry.url.slice(0, index) : entry.url || "";
+  }
+
+  /**
+   * Add a copy to the history, returning the new history
+   */
+  function addEntry(history, issueData, formatId, limit, now = Date.now()) {
+    const previous = history.find((entry) => entry.url === issueData.url);
+
+    const entry = { format: formatId, time: now, pinned: previous ? previous.pinned : false };
+    for (const field of ENTRY_FIELDS) {
+      if (issueData[field] !== undefined) {
+        entry[field] = issueData[field];
+      }
+    }
+
+    return pruneHistory(
+      [entry].concat(history.filter((other) => other.url !== issueData.url)),
+      limit,
+    );
+  }
+
+  /**
+   * Keep at most limit unpinned entries, dropping the oldest
+   */
+  function pruneHistory(history, limit) {
+    let unpinned = 0;
+    return history.filter((entry) => entry.pinned || ++unpinned <= limit);
+  }
+
+  /**
+   * Entries matching every word of query in key, summary or status,
+   * pinned first
+   */
+  function searchHistory(history, query, site = null) {
+    const words = (query || "").toLowerCase().split(/\s+/).filter(Boolean);
+
+    const matches = history.filter((entry) => {
+      if (site && siteOf(entry) !== site) {
+        return false;
+      }
+      const text = [entry.key, entry.summary, entry.status].join(" ").toLowerCase();
+      return words.every((word) => text.includes(word));
+    });
+
+    return matches
+      .filter((entry) => entry.pinned)
+      .concat(matches.filter((entry) => !entry.pinned));
+  }
+
+  /**
+   * Sites that have entries, in order of most recent copy
+   */
+  function listSites(history) {
+    return Array.from(new Set(history.map(siteOf)));
+  }
+
+  /**
+   * Remove the unpinned entries of one site, or of all sites if null
+   */
+  function clearHistory(history, site = null) {
+    return history.filter(
+      (entry) => entry.pinned || (site !== null && siteOf(entry) !== site),
+    );
+  }
+
+  /**
+   * Pin or unpin the entry for an issue URL
+   */
+  function setPinned(history, url, pinned) {
+    return history.map((entry) =>
+      entry.url === url ? Object.assign({}, entry, { pinned: pinned }) : entry,
+    );
+  }
+
+  // formatAge's wording without translations, by _locales message name
+  const AGE_MESSAGES = {
+    ageJustNow: "just now",
+    ageMinutes: "$1 min ago",
+    ageHours: "$1 h ago",
+    ageDays: "$1 d ago",
+  };
+
+  function englishAge(name, substitutions = []) {
+    return AGE_MESSAGES[name].replace("$1", substitutions[0]);
+  }
+
+  /**
+   * Short relative time for display, e.g. "5 min ago"
+   * getMessage(name, substitutions) translates it, e.g. IssueI18n.message
+   */
+  function formatAge(time, now = Date.now(), getMessage = englishAge) {
+    const minutes = Math.floor((now - time) / 60000);
+    if (minutes < 1) return getMessage("ageJustNow");
+    if (minutes < 60) return getMessage("ageMinutes", [String(minutes)]);
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return getMessage("ageHours", [String(hours)]);
+
+    const days = Math.floor(hours / 24);
+    if (days < 30) return getMessage("ageDays", [String(days)]);
+
+    return new Date(time).toLocaleDateString();
+  }
+
+  async function loadHistory() {
+    const stored = await browser.storage.local.get({ [STORAGE_KEY]: [] });
+    return stored[STORAGE_KEY];
+  }
+
+  async function saveHistory(history) {
+    await browser.storage.local.set({ [STORAGE_KEY]: history });
+  }
+
+  /**
+   * Record a successful copy; a limit of 0 turns the history off
+   */
+  async function recordCopy(issueData, formatId, limit) {
+    if (!limit || !issueData || !issueData.key) {
+      return;
+    }
+    const history = await loadHistory();
+    await saveHistory(addEntry(history, issueData, formatId, limit));
+  }
+
+  const api = {
+    STORAGE_KEY,
+    siteOf,
+    addEntry,
+    pruneHistory,
+    searchHistory,
+    listSites,
+    clearHistory,
+    setPinned,
+    formatAge,
+    loadHistory,
+    saveHistory,
+    recordCopy,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.CopyHistory = api;
+  }
+})(this);
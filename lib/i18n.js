@@ -0,0 +1,71 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Translated UI strings from _locales, for the popup, the copy buttons
+ * added to Jira pages, and the background script's notifications and
+ * context menus
+ *
+ * Elements in a page are marked with the message to show:
+ * data-i18n for their text, data-i18n-title and data-i18n-placeholder
+ * for those attributes. Messages take substitutions as $1, $2…
+ */
+
+(function (root) {
+  "use strict";
+
+  const ATTRIBUTES = ["title", "placeholder"];
+
+  /**
+   * The message in the browser's UI language, or its name if there is no
+   * such message, so a missing translation is easy to spot
+   */
+  function message(name, substitutions) {
+    const i18n = typeof browser !== "undefined" && browser.i18n;
+    const text = i18n ? i18n.getMessage(name, substitutions) : "";
+    return text || name;
+  }
+
+  /**
+   * A translated label for an entry of a lib constant such as
+   * IssueList.LIST_FORMATS, from the message "<prefix>_<id>", or the
+   * constant's English label if there is none
+   */
+  function label(prefix, id, fallback, getMessage = message) {
+    const name = `${prefix}_${id}`;
+    const text = getMessage(name);
+    return text && text !== name ? text : fallback;
+  }
+
+  /**
+   * Fill in the marked elements of a page, and give it the language and
+   * text direction of the UI, so right-to-left locales lay out correctly
+   */
+  function localizePage(doc, getMessage = message) {
+    for (const element of doc.querySelectorAll("[data-i18n]")) {
+      element.textContent = getMessage(element.getAttribute("data-i18n"));
+    }
+    for (const attribute of ATTRIBUTES) {
+      for (const element of doc.querySelectorAll(`[data-i18n-${attribute}]`)) {
+        element.setAttribute(attribute, getMessage(element.getAttribute(`data-i18n-${attribute}`)));
+      }
+    }
+
+    doc.documentElement.setAttribute("lang", getMessage("@@ui_locale").replace(/_/g, "-"));
+    doc.documentElement.setAttribute("dir", getMessage("@@bidi_dir"));
+  }
+
+  const api = {
+    message,
+    label,
+    localizePage,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.IssueI18n = api;
+  }
+})(this);
@@ -0,0 +1,508 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Copy buttons shown inside Jira's own pages, with a menu of formats
+ * (placed by content_script.js next to the issue key and on board cards)
+ *
+ * Each control lives in a shadow root so Jira's styles don't reach it.
+ * Colours come from Jira's design tokens (--ds-*), which follow the
+ * user's light or dark theme; Server/DC pages without tokens get the
+ * fallbacks, picked by the data-theme attribute kept up to date by
+ * updateThemes.
+ *
+ * watchPage keeps the controls in place without watching the whole page:
+ * only the header around the issue key is observed, cards get their
+ * button from pointer events on the board, and the content script calls
+ * refresh() when the background reports a navigation.
+ */
+
+(function (root) {
+  "use strict";
+
+  const IssueI18n =
+    typeof module !== "undefined" && module.exports
+      ? require("./i18n")
+      : root.IssueI18n;
+
+  const HOST_CLASS = "jira-copy-helper";
+
+  // How long the button shows that a copy worked or failed
+  const FEEDBACK_MS = 1500;
+
+  // Jira re-renders the issue header often; wait for it to settle before
+  // checking the header button is still there
+  const HEADER_CHECK_DELAY_MS = 200;
+
+  // Jira draws a page some time after navigating to it; look for the
+  // header and board again after each of these waits
+  const REFRESH_DELAYS_MS = [250, 1000, 2500];
+
+  const STYLE = `
+    :host {
+      all: initial;
+      position: relative;
+      display: inline-flex;
+      vertical-align: middle;
+      font: 13px/1.3 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      --jich-bg: var(--ds-surface-overlay, #FFFFFF);
+      --jich-text: var(--ds-text, #172B4D);
+      --jich-subtle: var(--ds-text-subtlest, #626F86);
+      --jich-border: var(--ds-border, #DFE1E6);
+      --jich-hover: var(--ds-background-neutral-subtle-hovered, #F1F2F4);
+      --jich-success: var(--ds-text-success, #216E4E);
+      --jich-danger: var(--ds-text-danger, #AE2E24);
+    }
+    :host([data-theme="dark"]) {
+      --jich-bg: var(--ds-surface-overlay, #282E33);
+      --jich-text: var(--ds-text, #B6C2CF);
+      --jich-subtle: var(--ds-text-subtlest, #8C9BAB);
+      --jich-border: var(--ds-border, #A6C5E229);
+      --jich-hover: var(--ds-background-neutral-subtle-hovered, #A1BDD914);
+      --jich-success: var(--ds-text-success, #7EE2B8);
+      --jich-danger: var(--ds-text-danger, #FD9891);
+    }
+    .toggle {
+      display: inline-flex;
+      align-items: center;
+      padding: 2px;
+      border: none;
+      border-radius: 3px;
+      background: transparent;
+      color: var(--jich-subtle);
+      cursor: pointer;
+    }
+    .toggle:hover,
+    .toggle:focus-visible,
+    :host([open]) .toggle {
+      background: var(--jich-hover);
+      color: var(--jich-text);
+      outline: none;
+    }
+    .toggle.copied {
+      color: var(--jich-success);
+    }
+    .toggle.failed {
+      color: var(--jich-danger);
+    }
+    .menu {
+      position: absolute;
+      top: 100%;
+      left: 0;
+      z-index: 1000;
+      min-width: 200px;
+      max-height: 320px;
+      overflow-y: auto;
+      margin-top: 4px;
+      padding: 4px 0;
+      background: var(--jich-bg);
+      color: var(--jich-text);
+      border: 1px solid var(--jich-border);
+      border-radius: 4px;
+      box-shadow: 0 4px 8px rgba(9, 30, 66, 0.25);
+    }
+    :host([data-align="right"]) .menu {
+      left: auto;
+      right: 0;
+    }
+    .menu[hidden] {
+      display: none;
+    }
+    .menu button {
+      display: flex;
+      gap: 8px;
+      width: 100%;
+      padding: 6px 12px;
+      border: none;
+      background: none;
+      color: inherit;
+      font: inherit;
+      text-align: left;
+      cursor: pointer;
+    }
+    .menu button:hover,
+    .menu button:focus {
+      background: var(--jich-hover);
+      outline: none;
+    }
+  `;
+
+  // Placement of the hosts in Jira's page; card buttons show on hover
+  const PAGE_STYLE = `
+    .${HOST_CLASS}-header {
+      margin-left: 4px;
+    }
+    .${HOST_CLASS}-card {
+      position: absolute;
+      top: 4px;
+      right: 4px;
+      z-index: 10;
+      opacity: 0;
+    }
+    :hover > .${HOST_CLASS}-card,
+    .${HOST_CLASS}-card[open],
+    .${HOST_CLASS}-card:focus-within {
+      opacity: 1;
+    }
+  `;
+
+  // Two overlapping sheets, drawn in the text colour
+  const COPY_ICON_PATHS = [
+    "M8 4h9a2 2 0 0 1 2 2v11h-2V6H8z",
+    "M5 8a2 2 0 0 1 2-2h7a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2zm2 0v10h7V8z",
+  ];
+
+  function createCopyIcon(doc) {
+    const svgNs = "http://www.w3.org/2000/svg";
+    const svg = doc.createElementNS(svgNs, "svg");
+    svg.setAttribute("width", "16");
+    svg.setAttribute("height", "16");
+    svg.setAttribute("viewBox", "0 0 24 24");
+    svg.setAttribute("fill", "currentColor");
+    svg.setAttribute("aria-hidden", "true");
+    for (const data of COPY_ICON_PATHS) {
+      const path = doc.createElementNS(svgNs, "path");
+      path.setAttribute("d", data);
+      svg.appendChild(path);
+    }
+    return svg;
+  }
+
+  /**
+   * "dark" or "light", from the data-color-mode Jira sets on <html>
+   */
+  function themeOf(element) {
+    return element && element.getAttribute("data-color-mode") === "dark" ? "dark" : "light";
+  }
+
+  /**
+   * Give every control the page's current theme
+   */
+  function updateThemes(doc) {
+    const theme = themeOf(doc.documentElement);
+    for (const host of doc.querySelectorAll(`.${HOST_CLASS}`)) {
+      host.setAttribute("data-theme", theme);
+    }
+  }
+
+  /**
+   * Add the placement styles to the page once
+   */
+  function ensurePageStyle(doc) {
+    if (doc.getElementById(`${HOST_CLASS}-style`)) {
+      return;
+    }
+    const style = doc.createElement("style");
+    style.id = `${HOST_CLASS}-style`;
+    style.textContent = PAGE_STYLE;
+    (doc.head || doc.documentElement).appendChild(style);
+  }
+
+  /**
+   * Create a copy button with a menu of formats, in doc
+   * options:
+   * - placement: "header" or "card", for the page styles
+   * - title: tooltip of the button
+   * - listFormats(): formats to offer, read each time the menu opens
+   * - loadIssue(): promise of the issue data, started when the menu opens
+   *   so the copy itself is quick
+   * - copy(issueData, formatId): promise, rejected if the copy failed
+   */
+  function createControl(doc, options) {
+    const host = doc.createElement("span");
+    host.className = `${HOST_CLASS} ${HOST_CLASS}-${options.placement}`;
+    host.setAttribute("data-theme", themeOf(doc.documentElement));
+    if (options.placement === "card") {
+      host.setAttribute("data-align", "right");
+    }
+
+    const shadow = host.attachShadow({ mode: "open" });
+    const style = doc.createElement("style");
+    style.textContent = STYLE;
+
+    const toggle = doc.createElement("button");
+    toggle.type = "button";
+    toggle.className = "toggle";
+    toggle.title = options.title;
+    toggle.setAttribute("aria-haspopup", "menu");
+    toggle.setAttribute("aria-expanded", "false");
+    toggle.appendChild(createCopyIcon(doc));
+
+    const menu = doc.createElement("div");
+    menu.className = "menu";
+    menu.setAttribute("role", "menu");
+    menu.hidden = true;
+
+    shadow.append(style, toggle, menu);
+
+    let issuePromise = null;
+
+    const closeOnOutsideClick = (event) => {
+      if (!event.composedPath().includes(host)) {
+        close();
+      }
+    };
+
+    function open() {
+      menu.textContent = "";
+      for (const format of options.listFormats()) {
+        const item = doc.createElement("button");
+        item.type = "button";
+        item.setAttribute("role", "menuitem");
+        item.title = format.title;
+        item.textContent = `${format.icon} ${format.label}`;
+        item.addEventListener("click", () => copy(format.id));
+        menu.appendChild(item);
+      }
+
+      issuePromise = options.loadIssue();
+      // Reported when a format is picked
+      issuePromise.catch(() => {});
+
+      menu.hidden = false;
+      host.setAttribute("open", "");
+      toggle.setAttribute("aria-expanded", "true");
+      doc.addEventListener("click", closeOnOutsideClick, true);
+      if (menu.firstChild) {
+        menu.firstChild.focus();
+      }
+    }
+
+    function close() {
+      menu.hidden = true;
+      host.removeAttribute("open");
+      toggle.setAttribute("aria-expanded", "false");
+      doc.removeEventListener("click", closeOnOutsideClick, true);
+    }
+
+    async function copy(formatId) {
+      close();
+      try {
+        await options.copy(await issuePromise, formatId);
+        showFeedback("copied", IssueI18n.message("copied"));
+      } catch (err) {
+        console.error("Inline copy failed:", err);
+        showFeedback("failed", IssueI18n.message("copyFailed"));
+      }
+    }
+
+    function showFeedback(className, title) {
+      toggle.classList.add(className);
+      toggle.title = title;
+      setTimeout(() => {
+        toggle.classList.remove(className);
+        toggle.title = options.title;
+      }, FEEDBACK_MS);
+    }
+
+    toggle.addEventListener("click", () => (menu.hidden ? open() : close()));
+    menu.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") {
+        close();
+        toggle.focus();
+      }
+    });
+
+    // Keep clicks and drags from reaching the card or link underneath
+    for (const type of ["click", "mousedown", "pointerdown", "dragstart"]) {
+      host.addEventListener(type, (event) => {
+        event.stopPropagation();
+        if (type === "click") {
+          event.preventDefault();
+        }
+      });
+    }
+
+    return host;
+  }
+
+  /**
+   * Remove every control from the page
+   */
+  function removeControls(doc) {
+    for (const host of doc.querySelectorAll(`.${HOST_CLASS}`)) {
+      host.remove();
+    }
+  }
+
+  /**
+   * Put a control after the issue key in the header and one on the card
+   * under the pointer, and keep them there through Jira's re-renders
+   * options:
+   * - findKey(): the issue key element in the header, or null
+   * - headerContainer(keyElement): the part of the header Jira re-renders
+   *   the key in; it and its parent's children are observed
+   * - findBoard(): the board or backlog element cards are in, or null
+   *   on other pages
+   * - cardSelector: CSS selector of the cards
+   * - cardKey(card): the issue key of a card
+   * - listFormats(key), loadHeaderIssue(), loadCardIssue(card), copy:
+   *   as for createControl
+   * Returns { refresh(), stop() }: refresh looks for the header and board
+   * again, e.g. after a navigation; stop removes the controls
+   */
+  function watchPage(doc, options) {
+    const win = doc.defaultView;
+    const title = IssueI18n.message("inlineCopyTitle");
+
+    let headerControl = null;
+    let headerContainer = null;
+    let board = null;
+    let cardControl = null;
+    let checkTimer = null;
+    let refreshTimers = [];
+
+    // Only schedules a check, so a busy header stays cheap
+    const headerObserver = new win.MutationObserver(() => {
+      if (!checkTimer) {
+        checkTimer = setTimeout(() => {
+          checkTimer = null;
+          placeHeaderControl();
+        }, HEADER_CHECK_DELAY_MS);
+      }
+    });
+    const themeObserver = new win.MutationObserver(() => updateThemes(doc));
+
+    function placeHeaderControl() {
+      const keyElement = options.findKey();
+      if (!keyElement) {
+        if (headerControl) {
+          headerControl.remove();
+          headerControl = null;
+        }
+        observeHeader(null);
+        return;
+      }
+
+      if (!headerControl || headerControl.previousElementSibling !== keyElement) {
+        if (headerControl) {
+          headerControl.remove();
+        }
+        headerControl = createControl(doc, {
+          placement: "header",
+          title: title,
+          listFormats: () => options.listFormats(keyElement.textContent.trim()),
+          loadIssue: options.loadHeaderIssue,
+          copy: options.copy,
+        });
+        keyElement.after(headerControl);
+      }
+      observeHeader(options.headerContainer(keyElement));
+    }
+
+    /**
+     * Observe the header container, and its parent's children so that
+     * replacing the whole container is noticed too
+     */
+    function observeHeader(container) {
+      if (container === headerContainer) {
+        return;
+      }
+      headerObserver.disconnect();
+      headerContainer = container;
+      if (container) {
+        headerObserver.observe(container, { childList: true, subtree: true });
+        if (container.parentElement) {
+          headerObserver.observe(container.parentElement, { childList: true });
+        }
+      }
+    }
+
+    function watchBoard() {
+      const found = options.findBoard();
+      if (found === board) {
+        return;
+      }
+      if (board) {
+        board.removeEventListener("pointerover", placeCardControl);
+      }
+      board = found;
+      if (board) {
+        board.addEventListener("pointerover", placeCardControl);
+      }
+    }
+
+    /**
+     * Move the single card button to the card under the pointer
+     */
+    function placeCardControl(event) {
+      const card = event.target.closest && event.target.closest(options.cardSelector);
+      if (!card || (cardControl && cardControl.parentElement === card)) {
+        return;
+      }
+      if (cardControl && cardControl.hasAttribute("open")) {
+        return;
+      }
+
+      if (!cardControl) {
+        cardControl = createControl(doc, {
+          placement: "card",
+          title: title,
+          listFormats: () => options.listFormats(options.cardKey(cardControl.parentElement)),
+          loadIssue: () => options.loadCardIssue(cardControl.parentElement),
+          copy: options.copy,
+        });
+      }
+      if (win.getComputedStyle(card).position === "static") {
+        card.style.position = "relative";
+      }
+      card.appendChild(cardControl);
+    }
+
+    function refresh() {
+      placeHeaderControl();
+      watchBoard();
+
+      refreshTimers.forEach(clearTimeout);
+      refreshTimers = REFRESH_DELAYS_MS.map((delay) =>
+        setTimeout(() => {
+          placeHeaderControl();
+          watchBoard();
+        }, delay),
+      );
+    }
+
+    function stop() {
+      headerObserver.disconnect();
+      themeObserver.disconnect();
+      clearTimeout(checkTimer);
+      refreshTimers.forEach(clearTimeout);
+      if (board) {
+        board.removeEventListener("pointerover", placeCardControl);
+      }
+      removeControls(doc);
+      headerControl = headerContainer = board = cardControl = checkTimer = null;
+      refreshTimers = [];
+    }
+
+    // Buttons left by a copy of the content script an extension update
+    // cut off
+    removeControls(doc);
+    ensurePageStyle(doc);
+    themeObserver.observe(doc.documentElement, {
+      attributes: true,
+      attributeFilter: ["data-color-mode"],
+    });
+    refresh();
+
+    return { refresh, stop };
+  }
+
+  const api = {
+    HOST_CLASS,
+    themeOf,
+    updateThemes,
+    ensurePageStyle,
+    createControl,
+    removeControls,
+    watchPage,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.IssueInlineButtons = api;
+  }
+})(this);
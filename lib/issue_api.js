@@ -0,0 +1,576 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Jira REST API access for issue data
+ *
+ * The content script calls this same-origin, so the user's Jira session
+ * is used and no extra permissions are needed. DOM scraping in
+ * content_script.js remains the fallback when the API call fails.
+ */
+
+(function (root) {
+  "use strict";
+
+  // v2 exists on Cloud and Server/DC; v3 is Cloud-only
+  const API_VERSIONS = ["2", "3"];
+
+  // Cloud has moved search to /search/jql; Server/DC only has /search
+  const SEARCH_PATHS = ["search/jql", "search"];
+
+  // Fields needed to fill issue tables; Sprint and Epic Link aren't offered
+  const SEARCH_FIELDS = [
+    "summary",
+    "issuetype",
+    "status",
+    "priority",
+    "assignee",
+    "reporter",
+    "parent",
+    "labels",
+    "fixVersions",
+  ];
+
+  // Jira Cloud caps search results at 100 per request
+  const SEARCH_BATCH_SIZE = 50;
+  const SEARCH_PAGE_SIZE = 100;
+
+  // Epic children copied at most, which is more than fits in a plan
+  const CHILD_LIMIT = 100;
+
+  // Issues in release notes at most, fetched a page at a time; a search
+  // with more is cut off and marked truncated
+  const RELEASE_LIMIT = 1000;
+
+  // Current Cloud projects link child issues with parent; Server/DC and
+  // older company-managed projects with Epic Link
+  const CHILD_QUERIES = ["parent = {key}", '"Epic Link" = {key}'];
+
+  // Cloud's v3 API returns rich text as ADF (see lib/issue_content.js);
+  // v2 only has wiki markup, so ask it for the rendered HTML as well
+  const CONTENT_REQUESTS = [
+    { version: "3", format: "adf", query: "fields=description,comment,attachment" },
+    {
+      version: "2",
+      format: "html",
+      query: "fields=description,comment,attachment&expand=renderedFields",
+    },
+  ];
+
+  // Status category of resolved work, whatever the status itself is called
+  const DONE_CATEGORY = "done";
+
+  const REQUEST_TIMEOUT_MS = 3000;
+
+  /**
+   * Build the REST URL for an issue
+   * Sprint and Epic Link are custom fields whose ids differ between sites,
+   * so request all navigable fields plus their names to find them
+   */
+  function issueApiUrl(baseUrl, key, version) {
+    return `${baseUrl}/rest/api/${version}/issue/${encodeURIComponent(key)}?fields=*navigable&expand=names`;
+  }
+
+  /**
+   * Fetch issue data from the Jira REST API
+   * Resolves to issue data in the same shape as extractIssueData();
+   * rejects if the API is unavailable, forbidden or too slow
+   */
+  async function fetchIssue(baseUrl, key, fetchImpl = fetch, timeoutMs = REQUEST_TIMEOUT_MS) {
+    return issueFromApi(await fetchIssueJson(baseUrl, key, fetchImpl, timeoutMs), baseUrl);
+  }
+
+  /**
+   * The REST API response for an issue, trying each API version
+   */
+  async function fetchIssueJson(baseUrl, key, fetchImpl, timeoutMs) {
+    for (const version of API_VERSIONS) {
+      // Older Server/DC instances have no v3
+      const json = await requestJson(issueApiUrl(baseUrl, key, version), fetchImpl, timeoutMs);
+      if (json) {
+        return json;
+      }
+    }
+
+    throw new Error("Jira API not available");
+  }
+
+  /**
+   * GET a REST resource with the user's session
+   * Resolves to the parsed response, or null if Jira has no such path
+   * (404), so callers can try another API version; rejects on any other
+   * error status, with the status as error.status, or after timeoutMs
+   */
+  async function requestJson(url, fetchImpl, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetchImpl(url, {
+        credentials: "same-origin",
+        headers: { Accept: "application/json" },
+        signal: controller.signal,
+      });
+
+      if (response.ok) {
+        return await response.json();
+      }
+      if (response.status !== 404) {
+        const error = new Error(`Jira API returned ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Fetch issue data for several keys using JQL search
+   * Resolves to issue data in the order of keys; keys the search didn't
+   * return (deleted, no permission) are left out
+   */
+  async function fetchIssues(baseUrl, keys, fetchImpl = fetch, timeoutMs = REQUEST_TIMEOUT_MS) {
+    const issues = [];
+
+    for (let start = 0; start < keys.length; start += SEARCH_BATCH_SIZE) {
+      const batch = keys.slice(start, start + SEARCH_BATCH_SIZE);
+      issues.push(...(await searchIssues(baseUrl, batch, fetchImpl, timeoutMs)));
+    }
+
+    return keys
+      .map((key) => issues.find((issue) => issue.key === key))
+      .filter(Boolean);
+  }
+
+  /**
+   * Run one "key in (...)" search
+   * Jira rejects the whole search (400) when any key in it doesn't exist,
+   * so then each key is searched on its own and the missing ones dropped
+   */
+  async function searchIssues(baseUrl, keys, fetchImpl, timeoutMs) {
+    let issues;
+    try {
+      issues = await searchJql(
+        baseUrl,
+        `key in (${keys.join(",")})`,
+        keys.length,
+        fetchImpl,
+        timeoutMs,
+      );
+    } catch (err) {
+      if (err.status !== 400) {
+        throw err;
+      }
+      if (keys.length === 1) {
+        return [];
+      }
+
+      const found = [];
+      for (const key of keys) {
+        found.push(...(await searchIssues(baseUrl, [key], fetchImpl, timeoutMs)));
+      }
+      return found;
+    }
+    return issues.map((issue) => issueFromApi(issue, baseUrl));
+  }
+
+  /**
+   * Run a JQL search, resolving to at most maxResults issues of the REST
+   * API responses, in pages of up to SEARCH_PAGE_SIZE
+   * Set truncated on the result when the search found more
+   */
+  async function searchJql(baseUrl, jql, maxResults, fetchImpl, timeoutMs) {
+    for (const path of SEARCH_PATHS) {
+      const issues = [];
+      // /search/jql pages with a token; /search with startAt and total
+      let nextPageToken = null;
+
+      for (;;) {
+        const params = new URLSearchParams({
+          jql: jql,
+          fields: SEARCH_FIELDS.join(","),
+          maxResults: String(Math.min(maxResults - issues.length, SEARCH_PAGE_SIZE)),
+        });
+        if (nextPageToken) {
+          params.set("nextPageToken", nextPageToken);
+        } else if (issues.length > 0) {
+          params.set("startAt", String(issues.length));
+        }
+
+        const json = await requestJson(`${baseUrl}/rest/api/2/${path}?${params}`, fetchImpl, timeoutMs);
+        if (!json) {
+          break;
+        }
+
+        const page = json.issues || [];
+        issues.push(...page);
+        nextPageToken = json.nextPageToken || null;
+        const more =
+          page.length > 0 &&
+          (nextPageToken
+            ? json.isLast !== true
+            : typeof json.total === "number" && (json.startAt || 0) + page.length < json.total);
+
+        if (!more) {
+          return issues;
+        }
+        if (issues.length >= maxResults) {
+          issues.truncated = true;
+          return issues;
+        }
+      }
+
+      // Only the first page can find the path missing
+      if (issues.length > 0) {
+        throw new Error("Jira API returned 404");
+      }
+    }
+
+    throw new Error("Jira search API not available");
+  }
+
+  /**
+   * Fetch an issue together with its subtasks, linked issues or child
+   * issues, for copying as a nested list (see lib/issue_list.js)
+   * relation: "subtasks", "links" or "children"
+   * Resolves to { issue, groups: [{ label, issues }] }; every issue has a
+   * done flag from its status category
+   */
+  async function fetchRelatedIssues(
+    baseUrl,
+    key,
+    relation,
+    fetchImpl = fetch,
+    timeoutMs = REQUEST_TIMEOUT_MS,
+  ) {
+    const json = await fetchIssueJson(baseUrl, key, fetchImpl, timeoutMs);
+    const issue = relatedIssueFromApi(json, baseUrl);
+
+    if (relation === "children") {
+      const children = await fetchChildIssues(baseUrl, json.key, fetchImpl, timeoutMs);
+      return { issue: issue, groups: children.length ? [{ label: null, issues: children }] : [] };
+    }
+    return { issue: issue, groups: relatedGroupsFromApi(json, baseUrl, relation) };
+  }
+
+  /**
+   * Search for the child issues of an epic
+   * Each way of linking children is tried until one finds any; a query
+   * the site rejects (e.g. no Epic Link field) counts as finding none
+   */
+  async function fetchChildIssues(baseUrl, key, fetchImpl, timeoutMs) {
+    let lastError = null;
+    let searched = false;
+
+    for (const query of CHILD_QUERIES) {
+      try {
+        const issues = await searchJql(
+          baseUrl,
+          `${query.replace("{key}", key)} ORDER BY key ASC`,
+          CHILD_LIMIT,
+          fetchImpl,
+          timeoutMs,
+        );
+        searched = true;
+        if (issues.length > 0) {
+          return issues.map((issue) => relatedIssueFromApi(issue, baseUrl));
+        }
+      } catch (err) {
+        lastError = err;
+      }
+    }
+
+    if (!searched) {
+      throw lastError;
+    }
+    return [];
+  }
+
+  /**
+   * Fetch the issues of a release, for release notes (see
+   * lib/release_notes.js)
+   * source: from JiraUrls.releaseSourceFromUrl - a fix version, a sprint
+   * (the board's active one if id is null) or a JQL search
+   * Resolves to { name, date, issues, truncated }; name and date are null
+   * for a search, date is the release or sprint end date (YYYY-MM-DD) if
+   * set, every issue has a done flag, and truncated is true when there
+   * were more than RELEASE_LIMIT issues
+   */
+  async function fetchRelease(baseUrl, source, fetchImpl = fetch, timeoutMs = REQUEST_TIMEOUT_MS) {
+    let release = { name: null, date: null };
+    let jql = source.jql;
+
+    if (source.kind === "version") {
+      const version = await getJson(
+        `${baseUrl}/rest/api/2/version/${encodeURIComponent(source.id)}`,
+        fetchImpl,
+        timeoutMs,
+      );
+      release = { name: version.name || null, date: version.releaseDate || null };
+      jql = `fixVersion = ${version.id || source.id} ORDER BY key ASC`;
+    } else if (source.kind === "sprint") {
+      const sprint = await fetchSprint(baseUrl, source, fetchImpl, timeoutMs);
+      const end = sprint.completeDate || sprint.endDate;
+      release = { name: sprint.name || null, date: end ? end.slice(0, 10) : null };
+      jql = `sprint = ${sprint.id} ORDER BY key ASC`;
+    }
+
+    const issues = await searchJql(baseUrl, jql, RELEASE_LIMIT, fetchImpl, timeoutMs);
+    return Object.assign(release, {
+      issues: issues.map((issue) => relatedIssueFromApi(issue, baseUrl)),
+      truncated: Boolean(issues.truncated),
+    });
+  }
+
+  /**
+   * The sprint in source, or the board's active sprint
+   */
+  async function fetchSprint(baseUrl, source, fetchImpl, timeoutMs) {
+    if (source.id) {
+      return getJson(
+        `${baseUrl}/rest/agile/1.0/sprint/${encodeURIComponent(source.id)}`,
+        fetchImpl,
+        timeoutMs,
+      );
+    }
+
+    const json = await getJson(
+      `${baseUrl}/rest/agile/1.0/board/${encodeURIComponent(source.boardId)}/sprint?state=active`,
+      fetchImpl,
+      timeoutMs,
+    );
+    const active = (json.values || [])[0];
+    if (!active) {
+      throw new Error("The board has no active sprint");
+    }
+    return active;
+  }
+
+  /**
+   * GET a REST resource that every Jira version has at the same path
+   */
+  async function getJson(url, fetchImpl, timeoutMs) {
+    const json = await requestJson(url, fetchImpl, timeoutMs);
+    if (!json) {
+      throw new Error("Jira API returned 404");
+    }
+    return json;
+  }
+
+  /**
+   * Subtasks (one unlabelled group) or linked issues (one group per link
+   * direction, e.g. "blocks" and "is blocked by") from an issue response
+   */
+  function relatedGroupsFromApi(json, baseUrl, relation) {
+    const fields = json.fields || {};
+
+    if (relation === "subtasks") {
+      const subtasks = (fields.subtasks || []).map((subtask) =>
+        relatedIssueFromApi(subtask, baseUrl),
+      );
+      return subtasks.length ? [{ label: null, issues: subtasks }] : [];
+    }
+
+    if (relation !== "links") {
+      throw new Error(`Unknown relation "${relation}"`);
+    }
+
+    const groups = [];
+    for (const link of fields.issuelinks || []) {
+      const linked = link.outwardIssue || link.inwardIssue;
+      if (!linked) {
+        continue;
+      }
+
+      const type = link.type || {};
+      const label = (link.outwardIssue ? type.outward : type.inward) || type.name || "relates to";
+      let group = groups.find((other) => other.label === label);
+      if (!group) {
+        group = { label: label, issues: [] };
+        groups.push(group);
+      }
+      group.issues.push(relatedIssueFromApi(linked, baseUrl));
+    }
+    return groups;
+  }
+
+  /**
+   * Issue data plus whether the issue is done
+   */
+  function relatedIssueFromApi(json, baseUrl) {
+    const status = json.fields && json.fields.status;
+    return Object.assign(issueFromApi(json, baseUrl), {
+      done: Boolean(
+        status && status.statusCategory && status.statusCategory.key === DONE_CATEGORY,
+      ),
+    });
+  }
+
+  /**
+   * Fetch an issue's description and comments
+   * Resolves to { format, description, comments: [{ author, created, body }],
+   * attachments: { fileName: url } }, where description and comment bodies
+   * are ADF trees (format "adf") or rendered HTML strings (format "html")
+   */
+  async function fetchIssueContent(baseUrl, key, fetchImpl = fetch, timeoutMs = REQUEST_TIMEOUT_MS) {
+    for (const request of CONTENT_REQUESTS) {
+      // Server/DC has no v3
+      const json = await requestJson(
+        `${baseUrl}/rest/api/${request.version}/issue/${encodeURIComponent(key)}?${request.query}`,
+        fetchImpl,
+        timeoutMs,
+      );
+      if (json) {
+        return contentFromApi(json, request.format);
+      }
+    }
+
+    throw new Error("Jira API not available");
+  }
+
+  function contentFromApi(json, format) {
+    const fields = json.fields || {};
+    const rendered = json.renderedFields || {};
+    const comments = (fields.comment && fields.comment.comments) || [];
+    const renderedComments = (rendered.comment && rendered.comment.comments) || [];
+
+    const attachments = {};
+    for (const attachment of fields.attachment || []) {
+      attachments[attachment.filename] = attachment.content;
+    }
+
+    return {
+      format: format,
+      description: format === "html" ? rendered.description || null : fields.description || null,
+      comments: comments.map((comment, index) => ({
+        author: displayNameOf(comment.author),
+        created: comment.created || null,
+        body:
+          format === "html"
+            ? (renderedComments[index] && renderedComments[index].body) || ""
+            : comment.body,
+      })),
+      attachments: attachments,
+    };
+  }
+
+  /**
+   * Convert a REST API issue response to issue data
+   */
+  function issueFromApi(json, baseUrl) {
+    const fields = json.fields || {};
+
+    return {
+      key: json.key,
+      summary: fields.summary || null,
+      url: `${baseUrl}/browse/${json.key}`,
+      type: nameOf(fields.issuetype),
+      status: nameOf(fields.status),
+      priority: nameOf(fields.priority),
+      assignee: displayNameOf(fields.assignee),
+      reporter: displayNameOf(fields.reporter),
+      parent:
+        (fields.parent && fields.parent.key) ||
+        fieldByName(json, "Epic Link") ||
+        null,
+      sprint: currentSprint(fieldByName(json, "Sprint")),
+      labels: fields.labels || [],
+      fixVersions: (fields.fixVersions || []).map((version) => version.name),
+    };
+  }
+
+  function nameOf(value) {
+    return value && value.name ? value.name : null;
+  }
+
+  function displayNameOf(user) {
+    return user ? user.displayName || user.name || null : null;
+  }
+
+  /**
+   * Look up a custom field's value by its display name
+   */
+  function fieldByName(json, name) {
+    const names = json.names || {};
+    const id = Object.keys(names).find((fieldId) => names[fieldId] === name);
+    return id && json.fields ? json.fields[id] : null;
+  }
+
+  /**
+   * Pick the sprint name to show from the Sprint field
+   * Cloud returns objects; Server/DC returns strings such as
+   * "com.atlassian.greenhopper.service.sprint.Sprint@1f[id=1,state=ACTIVE,name=Sprint 42,...]"
+   */
+  function currentSprint(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+      return null;
+    }
+
+    const sprints = value
+      .map((sprint) => {
+        if (typeof sprint !== "string") {
+          return sprint;
+        }
+        const name = sprint.match(/[[,]name=([^,\]]*)/);
+        const state = sprint.match(/[[,]state=([^,\]]*)/);
+        return {
+          name: name ? name[1] : null,
+          state: state ? state[1] : null,
+        };
+      })
+      .filter((sprint) => sprint && sprint.name);
+
+    if (sprints.length === 0) {
+      return null;
+    }
+
+    const active = sprints.find(
+      (sprint) => String(sprint.state).toUpperCase() === "ACTIVE",
+    );
+    return (active || sprints[sprints.length - 1]).name;
+  }
+
+  /**
+   * Combine API and DOM issue data
+   * API values win; DOM values fill any gaps the API left
+   */
+  function mergeIssueData(domData, apiData) {
+    const merged = Object.assign({}, domData);
+
+    for (const [name, value] of Object.entries(apiData)) {
+      const empty =
+        value === null ||
+        value === undefined ||
+        value === "" ||
+        (Array.isArray(value) && value.length === 0);
+      if (!empty) {
+        merged[name] = value;
+      }
+    }
+
+    return merged;
+  }
+
+  const api = {
+    API_VERSIONS,
+    issueApiUrl,
+    fetchIssue,
+    fetchIssues,
+    fetchRelatedIssues,
+    fetchRelease,
+    fetchIssueContent,
+    relatedGroupsFromApi,
+    issueFromApi,
+    mergeIssueData,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.IssueApi = api;
+  }
+})(this);
@@ -0,0 +1,763 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Issue descriptions and comments as Markdown or clean HTML
+ *
+ * Jira Cloud's v3 API returns rich text as Atlassian Document Format
+ * (ADF), a JSON tree. Everything else (the v2 API's rendered HTML on
+ * Server/DC, the page itself, the user's selection) is HTML, which
+ * readHtml turns into the same kind of tree, so one pair of writers
+ * serves both. Links and images are made absolute against the site's
+ * base URL.
+ */
+
+(function (root) {
+  "use strict";
+
+  const IssueTemplates =
+    typeof module !== "undefined" && module.exports
+      ? require("./templates")
+      : root.IssueTemplates;
+
+  const CONTENT_PARTS = {
+    description: "Description",
+    latestComment: "Latest comment",
+    allComments: "All comments",
+    selection: "Selected text",
+  };
+
+  const CONTENT_FORMATS = {
+    markdown: "Markdown",
+    html: "HTML",
+  };
+
+  // Nodes that flow inside a paragraph
+  const INLINE_TYPES = [
+    "text",
+    "hardBreak",
+    "mention",
+    "emoji",
+    "inlineCard",
+    "date",
+    "status",
+    "media",
+  ];
+
+  const MARK_TAGS = {
+    strong: "strong",
+    b: "strong",
+    em: "em",
+    i: "em",
+    code: "code",
+    s: "strike",
+    del: "strike",
+    strike: "strike",
+    u: "underline",
+    ins: "underline",
+  };
+
+  // Elements that start a new paragraph but have no meaning of their own
+  const BLOCK_CONTAINERS = [
+    "div",
+    "section",
+    "article",
+    "figure",
+    "details",
+    "header",
+    "footer",
+    "main",
+    "body",
+  ];
+
+  // Page furniture that is never content
+  const SKIPPED_TAGS = ["script", "style", "noscript", "template", "button", "svg"];
+
+  const ELEMENT_NODE = 1;
+  const TEXT_NODE = 3;
+
+  // ----- Reading HTML -----
+
+  /**
+   * Read an HTML element (rendered issue body, or a container holding the
+   * user's selection) into an ADF-like tree
+   * Only uses nodeType, nodeName, childNodes, textContent and
+   * getAttribute, so it works on any DOM
+   */
+  function readHtml(element) {
+    return { type: "doc", content: groupBlocks(readChildren(element, [])) };
+  }
+
+  function readChildren(element, marks) {
+    const nodes = [];
+    for (const child of Array.from(element.childNodes || [])) {
+      nodes.push(...readNode(child, marks));
+    }
+    return nodes;
+  }
+
+  function readNode(node, marks) {
+    if (node.nodeType === TEXT_NODE) {
+      const text = node.textContent.replace(/\s+/g, " ");
+      return text ? [{ type: "text", text: text, marks: marks }] : [];
+    }
+    if (node.nodeType !== ELEMENT_NODE) {
+      return [];
+    }
+
+    const tag = node.nodeName.toLowerCase();
+    const attribute = (name) => node.getAttribute(name);
+
+    if (SKIPPED_TAGS.includes(tag)) {
+      return [];
+    }
+    if (MARK_TAGS[tag]) {
+      return readChildren(node, marks.concat({ type: MARK_TAGS[tag] }));
+    }
+    if (/^h[1-6]$/.test(tag)) {
+      return [
+        { type: "heading", attrs: { level: Number(tag[1]) }, content: readChildren(node, marks) },
+      ];
+    }
+    if (BLOCK_CONTAINERS.includes(tag)) {
+      return groupBlocks(readChildren(node, marks));
+    }
+
+    switch (tag) {
+      case "p":
+        return [{ type: "paragraph", content: readChildren(node, marks) }];
+
+      case "br":
+        return [{ type: "hardBreak" }];
+
+      case "hr":
+        return [{ type: "rule" }];
+
+      case "pre":
+        return [
+          {
+            type: "codeBlock",
+            attrs: { language: codeLanguage(node) },
+            content: [{ type: "text", text: node.textContent }],
+          },
+        ];
+
+      case "blockquote":
+        return [{ type: "blockquote", content: groupBlocks(readChildren(node, marks)) }];
+
+      case "ul":
+      case "ol":
+        return [
+          {
+            type: tag === "ul" ? "bulletList" : "orderedList",
+            attrs: { order: Number(attribute("start")) || 1 },
+            content: childElements(node, ["li"]).map((item) => ({
+              type: "listItem",
+              content: groupBlocks(readChildren(item, marks)),
+            })),
+          },
+        ];
+
+      case "table":
+        return [{ type: "table", content: tableRows(node).map((row) => readRow(row, marks)) }];
+
+      case "img": {
+        // Jira's emoticons are images with the text as alt
+        const className = attribute("class") || "";
+        if (className.includes("emoticon")) {
+          return [{ type: "emoji", attrs: { text: attribute("alt") || "" } }];
+        }
+        return [{ type: "media", attrs: { url: attribute("src"), alt: attribute("alt") } }];
+      }
+
+      case "a": {
+        const href = attribute("href");
+        const className = attribute("class") || "";
+        if (className.includes("user-hover") || attribute("data-mention-id")) {
+          return [{ type: "mention", attrs: { text: node.textContent.trim() } }];
+        }
+        // Thumbnails link to the full image
+        const image = findElement(node, "img");
+        if (image && !node.textContent.trim()) {
+          return [{ type: "media", attrs: { url: href, alt: image.getAttribute("alt") } }];
+        }
+        const link = { type: "link", attrs: { href: href } };
+        return readChildren(node, href ? marks.concat(link) : marks);
+      }
+
+      default:
+        return readChildren(node, marks);
+    }
+  }
+
+  /**
+   * Wrap runs of inline nodes between blocks in paragraphs
+   */
+  function groupBlocks(nodes) {
+    const blocks = [];
+    let run = [];
+
+    const flush = () => {
+      if (run.some((node) => node.type !== "text" || node.text.trim())) {
+        blocks.push({ type: "paragraph", content: run });
+      }
+      run = [];
+    };
+
+    for (const node of nodes) {
+      if (INLINE_TYPES.includes(node.type)) {
+        run.push(node);
+      } else {
+        flush();
+        blocks.push(node);
+      }
+    }
+    flush();
+    return blocks;
+  }
+
+  function childElements(element, tags) {
+    return Array.from(element.childNodes || []).filter(
+      (child) => child.nodeType === ELEMENT_NODE && tags.includes(child.nodeName.toLowerCase()),
+    );
+  }
+
+  function findElement(element, tag) {
+    for (const child of Array.from(element.childNodes || [])) {
+      if (child.nodeType !== ELEMENT_NODE) {
+        continue;
+      }
+      if (child.nodeName.toLowerCase() === tag) {
+        return child;
+      }
+      const found = findElement(child, tag);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Rows of a table, looking through thead, tbody and tfoot
+   */
+  function tableRows(table) {
+    const rows = [];
+    for (const child of childElements(table, ["thead", "tbody", "tfoot", "tr"])) {
+      if (child.nodeName.toLowerCase() === "tr") {
+        rows.push(child);
+      } else {
+        rows.push(...childElements(child, ["tr"]));
+      }
+    }
+    return rows;
+  }
+
+  function readRow(row, marks) {
+    return {
+      type: "tableRow",
+      content: childElements(row, ["th", "td"]).map((cell) => ({
+        type: cell.nodeName.toLowerCase() === "th" ? "tableHeader" : "tableCell",
+        content: groupBlocks(readChildren(cell, marks)),
+      })),
+    };
+  }
+
+  /**
+   * Code block language from the classes Jira and highlighters use,
+   * e.g. "code-java" or "language-js"
+   */
+  function codeLanguage(pre) {
+    const code = findElement(pre, "code");
+    const classes = [pre.getAttribute("class"), code && code.getAttribute("class")].join(" ");
+    const match =
+      classes.match(/(?:^|\s)(?:code|language|lang)-([\w+#-]+)/) ||
+      [null, pre.getAttribute("data-language")];
+    return match[1] && match[1] !== "none" ? match[1] : null;
+  }
+
+  // ----- Shared helpers -----
+
+  /**
+   * An absolute http(s) or mailto URL, or null for anything else
+   * (javascript: links and the like are dropped)
+   */
+  function absoluteUrl(url, options) {
+    if (!url) {
+      return null;
+    }
+    try {
+      const absolute = options.baseUrl ? new URL(url, `${options.baseUrl}/`) : new URL(url);
+      return ["http:", "https:", "mailto:"].includes(absolute.protocol) ? absolute.href : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * URL and name of an image or attachment
+   * ADF file media only carry a media id, so they're found among the
+   * issue's attachments by file name where possible
+   */
+  function mediaTarget(node, options) {
+    const attrs = node.attrs || {};
+    const name = attrs.alt || attrs.fileName || "attachment";
+    const attachments = options.attachments || {};
+    return { url: absoluteUrl(attrs.url || attachments[name], options), name: name };
+  }
+
+  function mentionName(node) {
+    const attrs = node.attrs || {};
+    return `@${String(attrs.text || attrs.displayName || "someone").replace(/^@/, "")}`;
+  }
+
+  function formatDate(value) {
+    const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+    return isNaN(date.getTime()) ? String(value || "") : date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Link text for a smart link: the key for Jira issues, else the URL
+   */
+  function cardText(url) {
+    const match = url.match(/\/browse\/([A-Z][A-Z0-9]+-\d+)/i);
+    return match ? match[1].toUpperCase() : url;
+  }
+
+  function codeText(node) {
+    return (node.content || []).map((child) => child.text || "").join("");
+  }
+
+  function markOf(node, type) {
+    return (node.marks || []).find((mark) => mark.type === type);
+  }
+
+  // ----- Markdown -----
+
+  /**
+   * Convert a tree (ADF or from readHtml) to Markdown
+   * options: { baseUrl, attachments: { fileName: url } }
+   */
+  function toMarkdown(doc, options = {}) {
+    return blocksToMarkdown(doc ? [doc] : [], options).trim();
+  }
+
+  function blocksToMarkdown(nodes, options, separator = "\n\n") {
+    return nodes
+      .map((node) => blockToMarkdown(node, options))
+      .filter(Boolean)
+      .join(separator);
+  }
+
+  function blockToMarkdown(node, options) {
+    const attrs = node.attrs || {};
+    const content = node.content || [];
+
+    switch (node.type) {
+      case "paragraph":
+        return inlineToMarkdown(content, options).trim();
+
+      case "heading": {
+        const level = Math.min(Math.max(Number(attrs.level) || 1, 1), 6);
+        return `${"#".repeat(level)} ${inlineToMarkdown(content, options).trim()}`;
+      }
+
+      case "bulletList":
+        return content.map((item) => listItemToMarkdown(item, "- ", options)).join("\n");
+
+      case "orderedList": {
+        const start = Number(attrs.order) || 1;
+        return content
+          .map((item, index) => listItemToMarkdown(item, `${start + index}. `, options))
+          .join("\n");
+      }
+
+      case "taskList":
+        return content
+          .map((item) => {
+            const marker = item.attrs && item.attrs.state === "DONE" ? "- [x] " : "- [ ] ";
+            return listItemToMarkdown(item, marker, options);
+          })
+          .join("\n");
+
+      case "decisionList":
+        return content.map((item) => listItemToMarkdown(item, "- ", options)).join("\n");
+
+      case "codeBlock": {
+        const text = codeText(node).replace(/\n$/, "");
+        const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+        const fence = "`".repeat(Math.max(3, longestRun + 1));
+        return `${fence}${attrs.language || ""}\n${text}\n${fence}`;
+      }
+
+      case "blockquote":
+      case "panel":
+        return blocksToMarkdown(content, options)
+          .split("\n")
+          .map((line) => (line ? `> ${line}` : ">"))
+          .join("\n");
+
+      case "rule":
+        return "---";
+
+      case "table":
+        return tableToMarkdown(node, options);
+
+      case "expand":
+      case "nestedExpand": {
+        const title = attrs.title ? `**${escapeMarkdown(attrs.title)}**` : "";
+        return [title, blocksToMarkdown(content, options)].filter(Boolean).join("\n\n");
+      }
+
+      case "mediaSingle":
+      case "mediaGroup":
+        return content.map((media) => inlineNodeToMarkdown(media, options)).join("\n\n");
+
+      default:
+        return INLINE_TYPES.includes(node.type)
+          ? inlineNodeToMarkdown(node, options)
+          : blocksToMarkdown(content, options);
+    }
+  }
+
+  /**
+   * One list item; continuation lines are indented to line up with the
+   * item's text, which also nests sub-lists
+   */
+  function listItemToMarkdown(item, marker, options) {
+    const content = item.content || [];
+    const body = content.every((node) => INLINE_TYPES.includes(node.type))
+      ? inlineToMarkdown(content, options).trim()
+      : blocksToMarkdown(content, options, "\n");
+    const indent = " ".repeat(marker.startsWith("- [") ? 2 : marker.length);
+    return marker + body.split("\n").join(`\n${indent}`).replace(/\n\s+\n/g, "\n\n");
+  }
+
+  function tableToMarkdown(table, options) {
+    const rows = (table.content || []).map((row) =>
+      (row.content || []).map((cell) =>
+        blocksToMarkdown(cell.content || [], options, "\n")
+          .replace(/\n+/g, "<br>")
+          .replace(/\|/g, "\\|"),
+      ),
+    );
+    if (rows.length === 0) {
+      return "";
+    }
+
+    const width = Math.max(...rows.map((row) => row.length));
+    const line = (cells) =>
+      `| ${Array.from({ length: width }, (_, index) => cells[index] || "").join(" | ")} |`;
+
+    return [
+      line(rows[0]),
+      line(Array.from({ length: width }, () => "---")),
+      ...rows.slice(1).map(line),
+    ].join("\n");
+  }
+
+  function inlineToMarkdown(nodes, options) {
+    return nodes.map((node) => inlineNodeToMarkdown(node, options)).join("");
+  }
+
+  function inlineNodeToMarkdown(node, options) {
+    const attrs = node.attrs || {};
+
+    switch (node.type) {
+      case "text":
+        return textToMarkdown(node, options);
+
+      case "hardBreak":
+        return "\\\n";
+
+      case "mention":
+        return escapeMarkdown(mentionName(node));
+
+      case "emoji":
+        return attrs.text || attrs.shortName || "";
+
+      case "inlineCard": {
+        const url = absoluteUrl(attrs.url, options);
+        return url ? `[${escapeMarkdown(cardText(url))}](${url})` : "";
+      }
+
+      case "date":
+        return formatDate(attrs.timestamp);
+
+      case "status":
+        return `\`${attrs.text || ""}\``;
+
+      case "media": {
+        const media = mediaTarget(node, options);
+        return media.url
+          ? `![${escapeMarkdown(media.name)}](${media.url})`
+          : `_[${escapeMarkdown(media.name)}]_`;
+      }
+
+      default:
+        return inlineToMarkdown(node.content || [], options);
+    }
+  }
+
+  function textToMarkdown(node, options) {
+    let text = markOf(node, "code") ? codeSpan(node.text) : escapeMarkdown(node.text);
+
+    if (markOf(node, "strike")) {
+      text = wrapMarkdown(text, "~~");
+    }
+    if (markOf(node, "em")) {
+      text = wrapMarkdown(text, "_");
+    }
+    if (markOf(node, "strong")) {
+      text = wrapMarkdown(text, "**");
+    }
+
+    const link = markOf(node, "link");
+    const href = link && absoluteUrl(link.attrs && link.attrs.href, options);
+    return href ? `[${text}](${href})` : text;
+  }
+
+  /**
+   * Emphasis markers must hug the text, so keep surrounding spaces outside
+   */
+  function wrapMarkdown(text, marker) {
+    const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return inner ? `${before}${marker}${inner}${marker}${after}` : text;
+  }
+
+  function codeSpan(text) {
+    const fence = text.includes("`") ? "``" : "`";
+    const padding = text.startsWith("`") || text.endsWith("`") ? " " : "";
+    return `${fence}${padding}${text}${padding}${fence}`;
+  }
+
+  function escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]])/g, "\\$1");
+  }
+
+  // ----- HTML -----
+
+  /**
+   * Convert a tree (ADF or from readHtml) to clean HTML: plain tags, no
+   * classes or styles, absolute links
+   * options: { baseUrl, attachments: { fileName: url } }
+   */
+  function toHtml(doc, options = {}) {
+    return blocksToHtml(doc ? [doc] : [], options);
+  }
+
+  function blocksToHtml(nodes, options) {
+    return nodes.map((node) => blockToHtml(node, options)).join("");
+  }
+
+  function blockToHtml(node, options) {
+    const attrs = node.attrs || {};
+    const content = node.content || [];
+    const escape = IssueTemplates.escapeHtml;
+
+    switch (node.type) {
+      case "paragraph": {
+        const inline = inlineToHtml(content, options).trim();
+        return inline ? `<p>${inline}</p>` : "";
+      }
+
+      case "heading": {
+        const level = Math.min(Math.max(Number(attrs.level) || 1, 1), 6);
+        return `<h${level}>${inlineToHtml(content, options).trim()}</h${level}>`;
+      }
+
+      case "bulletList":
+      case "decisionList":
+        return `<ul>${content.map((item) => listItemToHtml(item, "", options)).join("")}</ul>`;
+
+      case "orderedList": {
+        const start = Number(attrs.order) || 1;
+        const items = content.map((item) => listItemToHtml(item, "", options)).join("");
+        return start === 1 ? `<ol>${items}</ol>` : `<ol start="${start}">${items}</ol>`;
+      }
+
+      case "taskList":
+        return `<ul>${content
+          .map((item) => {
+            const box = item.attrs && item.attrs.state === "DONE" ? "☑ " : "☐ ";
+            return listItemToHtml(item, box, options);
+          })
+          .join("")}</ul>`;
+
+      case "codeBlock": {
+        const language = attrs.language ? ` class="language-${escape(attrs.language)}"` : "";
+        return `<pre><code${language}>${escape(codeText(node).replace(/\n$/, ""))}</code></pre>`;
+      }
+
+      case "blockquote":
+      case "panel":
+        return `<blockquote>${blocksToHtml(content, options)}</blockquote>`;
+
+      case "rule":
+        return "<hr>";
+
+      case "table":
+        return `<table>${content
+          .map(
+            (row) =>
+              `<tr>${(row.content || [])
+                .map((cell) => {
+                  const tag = cell.type === "tableHeader" ? "th" : "td";
+                  return `<${tag}>${cellToHtml(cell, options)}</${tag}>`;
+                })
+                .join("")}</tr>`,
+          )
+          .join("")}</table>`;
+
+      case "expand":
+      case "nestedExpand": {
+        const title = attrs.title ? `<p><strong>${escape(attrs.title)}</strong></p>` : "";
+        return title + blocksToHtml(content, options);
+      }
+
+      case "mediaSingle":
+      case "mediaGroup":
+        return `<p>${content.map((media) => inlineNodeToHtml(media, options)).join(" ")}</p>`;
+
+      default:
+        return INLINE_TYPES.includes(node.type)
+          ? `<p>${inlineNodeToHtml(node, options)}</p>`
+          : blocksToHtml(content, options);
+    }
+  }
+
+  /**
+   * A list item or table cell holding one paragraph drops the <p>
+   */
+  function unwrapSingleParagraph(nodes, options) {
+    if (nodes.length === 1 && nodes[0].type === "paragraph") {
+      return inlineToHtml(nodes[0].content || [], options).trim();
+    }
+    return nodes.every((node) => INLINE_TYPES.includes(node.type))
+      ? inlineToHtml(nodes, options).trim()
+      : blocksToHtml(nodes, options);
+  }
+
+  function listItemToHtml(item, prefix, options) {
+    return `<li>${prefix}${unwrapSingleParagraph(item.content || [], options)}</li>`;
+  }
+
+  function cellToHtml(cell, options) {
+    return unwrapSingleParagraph(cell.content || [], options);
+  }
+
+  function inlineToHtml(nodes, options) {
+    return nodes.map((node) => inlineNodeToHtml(node, options)).join("");
+  }
+
+  function inlineNodeToHtml(node, options) {
+    const attrs = node.attrs || {};
+    const escape = IssueTemplates.escapeHtml;
+
+    switch (node.type) {
+      case "text":
+        return textToHtml(node, options);
+
+      case "hardBreak":
+        return "<br>";
+
+      case "mention":
+        return escape(mentionName(node));
+
+      case "emoji":
+        return escape(attrs.text || attrs.shortName || "");
+
+      case "inlineCard": {
+        const url = absoluteUrl(attrs.url, options);
+        return url ? `<a href="${escape(url)}">${escape(cardText(url))}</a>` : "";
+      }
+
+      case "date":
+        return escape(formatDate(attrs.timestamp));
+
+      case "status":
+        return `<code>${escape(attrs.text || "")}</code>`;
+
+      case "media": {
+        const media = mediaTarget(node, options);
+        return media.url
+          ? `<img src="${escape(media.url)}" alt="${escape(media.name)}">`
+          : `<em>[${escape(media.name)}]</em>`;
+      }
+
+      default:
+        return inlineToHtml(node.content || [], options);
+    }
+  }
+
+  function textToHtml(node, options) {
+    let html = IssueTemplates.escapeHtml(node.text);
+
+    for (const [type, tag] of [
+      ["code", "code"],
+      ["strike", "s"],
+      ["underline", "u"],
+      ["em", "em"],
+      ["strong", "strong"],
+    ]) {
+      if (markOf(node, type)) {
+        html = `<${tag}>${html}</${tag}>`;
+      }
+    }
+
+    const link = markOf(node, "link");
+    const href = link && absoluteUrl(link.attrs && link.attrs.href, options);
+    return href ? `<a href="${IssueTemplates.escapeHtml(href)}">${html}</a>` : html;
+  }
+
+  // ----- Comments -----
+
+  /**
+   * Comments with a line naming their author and date
+   * comments: [{ author, created, body (tree) }]
+   * format: "markdown" or "html"
+   */
+  function formatComments(comments, format, options = {}) {
+    const escape = IssueTemplates.escapeHtml;
+
+    if (format === "html") {
+      return comments
+        .map((comment) => {
+          const author = escape(comment.author || "Unknown");
+          const date = escape(formatDate(comment.created));
+          const heading = `<strong>${author}</strong> commented on ${date}:`;
+          return `<p>${heading}</p><blockquote>${toHtml(comment.body, options)}</blockquote>`;
+        })
+        .join("");
+    }
+
+    return comments
+      .map((comment) => {
+        const author = escapeMarkdown(comment.author || "Unknown");
+        const heading = `**${author}** commented on ${formatDate(comment.created)}:`;
+        const body = toMarkdown(comment.body, options)
+          .split("\n")
+          .map((line) => (line ? `> ${line}` : ">"))
+          .join("\n");
+        return `${heading}\n\n${body}`;
+      })
+      .join("\n\n");
+  }
+
+  const api = {
+    CONTENT_PARTS,
+    CONTENT_FORMATS,
+    readHtml,
+    toMarkdown,
+    toHtml,
+    formatComments,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.IssueContent = api;
+  }
+})(this);
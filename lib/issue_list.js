@@ -0,0 +1,134 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Formats for copying several issues at once
+ * (board and backlog cards, issue search results, or an issue with its
+ * subtasks, linked issues or child issues)
+ */
+
+(function (root) {
+  "use strict";
+
+  const IssueTemplates =
+    typeof module !== "undefined" && module.exports
+      ? require("./templates")
+      : root.IssueTemplates;
+
+  const LIST_FORMATS = {
+    markdownList: "Markdown list",
+    markdownTasks: "Markdown task list",
+    plainList: "Plain list",
+    htmlList: "HTML list",
+  };
+
+  // Issues copied together with the current one, see
+  // IssueApi.fetchRelatedIssues
+  const RELATIONS = {
+    subtasks: "Subtasks",
+    links: "Linked issues",
+    children: "Epic child issues",
+  };
+
+  function titleOf(issue) {
+    return issue.summary ? `${issue.key} - ${issue.summary}` : issue.key;
+  }
+
+  /**
+   * Format a list of issues
+   * Returns null for an unknown format or an empty list
+   */
+  function formatIssueList(issues, format) {
+    if (!issues || issues.length === 0 || !LIST_FORMATS[format]) {
+      return null;
+    }
+    return formatNodes(
+      issues.map((issue) => ({ issue: issue, children: [] })),
+      format,
+    );
+  }
+
+  /**
+   * Format an issue with related issues nested below it
+   * groups: [{ label, issues }]; labelled groups (link types such as
+   * "blocks") get a level of their own
+   * Task lists tick off issues with done set
+   * Returns null for an unknown format
+   */
+  function formatIssueTree(issue, groups, format) {
+    if (!issue || !LIST_FORMATS[format]) {
+      return null;
+    }
+
+    const children = [];
+    for (const group of groups || []) {
+      const items = group.issues.map((child) => ({ issue: child, children: [] }));
+      if (group.label) {
+        children.push({ label: group.label, children: items });
+      } else {
+        children.push(...items);
+      }
+    }
+    return formatNodes([{ issue: issue, children: children }], format);
+  }
+
+  /**
+   * Format nodes ({ issue } or { label }, with children) as nested lists,
+   * indenting two spaces per level in the text formats
+   */
+  function formatNodes(nodes, format, depth = 0) {
+    if (format === "htmlList") {
+      const items = nodes.map((node) => {
+        const nested = node.children.length ? formatNodes(node.children, format, depth + 1) : "";
+        return `<li>${formatNode(node, format)}${nested}</li>`;
+      });
+      return `<ul>${items.join("")}</ul>`;
+    }
+
+    const indent = "  ".repeat(depth);
+    const bullet = format === "plainList" ? "" : "- ";
+    return nodes
+      .map((node) => {
+        const line = `${indent}${bullet}${formatNode(node, format)}`;
+        return node.children.length
+          ? `${line}\n${formatNodes(node.children, format, depth + 1)}`
+          : line;
+      })
+      .join("\n");
+  }
+
+  function formatNode(node, format) {
+    if (node.label) {
+      return format === "htmlList" ? IssueTemplates.escapeHtml(node.label) : node.label;
+    }
+
+    const issue = node.issue;
+    switch (format) {
+      case "markdownList":
+        return `[${titleOf(issue)}](${issue.url})`;
+      case "markdownTasks":
+        return `[${issue.done ? "x" : " "}] [${titleOf(issue)}](${issue.url})`;
+      case "htmlList": {
+        const url = IssueTemplates.escapeHtml(issue.url);
+        return `<a href="${url}">${IssueTemplates.escapeHtml(titleOf(issue))}</a>`;
+      }
+      default:
+        return titleOf(issue);
+    }
+  }
+
+  const api = {
+    LIST_FORMATS,
+    RELATIONS,
+    formatIssueList,
+    formatIssueTree,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.IssueList = api;
+  }
+})(this);
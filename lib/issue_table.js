@@ -0,0 +1,134 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Table formats for copying issue search / filter results
+ * Markdown and HTML for documents, CSV and TSV for spreadsheets
+ */
+
+(function (root) {
+  "use strict";
+
+  const IssueTemplates =
+    typeof module !== "undefined" && module.exports
+      ? require("./templates")
+      : root.IssueTemplates;
+
+  const TABLE_COLUMNS = {
+    key: "Key",
+    summary: "Summary",
+    type: "Type",
+    status: "Status",
+    priority: "Priority",
+    assignee: "Assignee",
+    reporter: "Reporter",
+    parent: "Parent",
+    labels: "Labels",
+    fixVersions: "Fix versions",
+    url: "URL",
+  };
+
+  const TABLE_FORMATS = {
+    markdownTable: "Markdown table",
+    htmlTable: "HTML table",
+    csv: "CSV",
+    tsv: "TSV",
+  };
+
+  /**
+   * Text of one cell; list fields are comma separated
+   */
+  function cellText(issue, column) {
+    const value = issue[column];
+    if (Array.isArray(value)) {
+      return value.join(", ");
+    }
+    return value === null || value === undefined ? "" : String(value);
+  }
+
+  function markdownCell(text) {
+    return text.replace(/\|/g, "\\|").replace(/\s*[\r\n]+\s*/g, " ");
+  }
+
+  function csvCell(text) {
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function tsvCell(text) {
+    return text.replace(/[\t\r\n]+/g, " ");
+  }
+
+  /**
+   * Format issues as a table with the given columns
+   * Returns null for an unknown format, no issues or no columns
+   */
+  function formatIssueTable(issues, columns, format) {
+    columns = (columns || []).filter((column) => TABLE_COLUMNS[column]);
+    if (!issues || issues.length === 0 || columns.length === 0) {
+      return null;
+    }
+
+    const headers = columns.map((column) => TABLE_COLUMNS[column]);
+
+    switch (format) {
+      case "markdownTable": {
+        const rows = issues.map((issue) =>
+          columns.map((column) => {
+            const text = markdownCell(cellText(issue, column));
+            return column === "key" ? `[${text}](${issue.url})` : text;
+          }),
+        );
+        return [headers, headers.map(() => "---")]
+          .concat(rows)
+          .map((cells) => `| ${cells.join(" | ")} |`)
+          .join("\n");
+      }
+
+      case "htmlTable": {
+        const escape = IssueTemplates.escapeHtml;
+        const head = headers.map((header) => `<th>${escape(header)}</th>`).join("");
+        const body = issues
+          .map((issue) => {
+            const cells = columns.map((column) => {
+              const text = escape(cellText(issue, column));
+              return column === "key"
+                ? `<td><a href="${escape(issue.url)}">${text}</a></td>`
+                : `<td>${text}</td>`;
+            });
+            return `<tr>${cells.join("")}</tr>`;
+          })
+          .join("");
+        return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+      }
+
+      case "csv":
+        return [headers]
+          .concat(issues.map((issue) => columns.map((column) => cellText(issue, column))))
+          .map((cells) => cells.map(csvCell).join(","))
+          .join("\r\n");
+
+      case "tsv":
+        return [headers]
+          .concat(issues.map((issue) => columns.map((column) => cellText(issue, column))))
+          .map((cells) => cells.map(tsvCell).join("\t"))
+          .join("\n");
+
+      default:
+        return null;
+    }
+  }
+
+  const api = {
+    TABLE_COLUMNS,
+    TABLE_FORMATS,
+    formatIssueTable,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.IssueTable = api;
+  }
+})(this);
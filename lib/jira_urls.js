@@ -0,0 +1,461 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Jira URL helpers shared by the background script, content script,
+ * popup and options page (and required directly by the test suite)
+ *
+ * Knows about two kinds of Jira site:
+ * - Jira Cloud on *.atlassian.net
+ * - Self-hosted Jira Server / Data Center on user-configured hosts,
+ *   optionally mounted under a context path such as /jira
+ */
+
+(function (root) {
+  "use strict";
+
+  const ISSUE_KEY = "[A-Z][A-Z0-9]+-\\d+";
+
+  /**
+   * Parse a user-entered Jira host into its origin and context path
+   * Accepts "jira.corp.example", "https://jira.corp.example/jira/", etc.
+   * Returns null if the input can't be read as an http(s) URL
+   */
+  function parseHost(input) {
+    if (!input || typeof input !== "string") return null;
+
+    let value = input.trim();
+    if (!value) return null;
+
+    // Default to https when no scheme was given
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+      value = `https://${value}`;
+    }
+
+    try {
+      const urlObj = new URL(value);
+      if (urlObj.protocol !== "https:" && urlObj.protocol !== "http:") {
+        return null;
+      }
+      if (!urlObj.hostname) {
+        return null;
+      }
+
+      const contextPath = urlObj.pathname.replace(/\/+$/, "");
+
+      return {
+        protocol: urlObj.protocol,
+        hostname: urlObj.hostname,
+        origin: urlObj.origin,
+        contextPath: contextPath,
+        baseUrl: `${urlObj.origin}${contextPath}`,
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Origin match pattern used when requesting host permission
+   * (match patterns can't carry a port or a meaningful path here)
+   */
+  function permissionPattern(host) {
+    return `${host.protocol}//${host.hostname}/*`;
+  }
+
+  /**
+   * Match pattern used when registering the content script for a host
+   */
+  function contentScriptPattern(host) {
+    return `${host.protocol}//${host.hostname}${host.contextPath}/*`;
+  }
+
+  /**
+   * Find the Jira site a URL belongs to
+   * Returns null if the URL is neither Jira Cloud nor a configured host
+   */
+  function findSite(url, customHosts = []) {
+    if (!url) return null;
+
+    try {
+      const urlObj = new URL(url);
+
+      if (urlObj.hostname.endsWith(".atlassian.net")) {
+        return {
+          origin: urlObj.origin,
+          contextPath: "",
+          baseUrl: urlObj.origin,
+        };
+      }
+
+      for (const entry of customHosts) {
+        const host = parseHost(entry);
+        if (!host || host.origin !== urlObj.origin) {
+          continue;
+        }
+        if (
+          host.contextPath &&
+          urlObj.pathname !== host.contextPath &&
+          !urlObj.pathname.startsWith(`${host.contextPath}/`)
+        ) {
+          continue;
+        }
+        return host;
+      }
+
+      return null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Check if URL belongs to Jira Cloud or a configured Jira host
+   */
+  function isJiraSite(url, customHosts = []) {
+    return findSite(url, customHosts) !== null;
+  }
+
+  /**
+   * Check if URL points to an identifiable Jira issue
+   * Returns true only if we can determine which issue to copy
+   */
+  function hasIdentifiableIssue(url, customHosts = []) {
+    if (!url) return false;
+
+    try {
+      const urlObj = new URL(url);
+      const searchParams = urlObj.searchParams;
+
+      // Must be an Atlassian site or a configured self-hosted instance
+      const site = findSite(url, customHosts);
+      if (!site) {
+        return false;
+      }
+
+      // Match against the path below the context path (e.g. /jira)
+      const pathname = urlObj.pathname.slice(site.contextPath.length);
+
+      // Pattern 1: Direct issue view - /browse/ISSUE-123
+      // Always show - the issue key is in the URL path
+      if (/\/browse\/[A-Z][A-Z0-9]+-\d+/i.test(pathname)) {
+        return true;
+      }
+
+      // Pattern 2: Board view - /jira/software/*/boards/*
+      // Only show if selectedIssue parameter exists
+      if (/\/jira\/software\/[^/]+\/boards\/\d+\/?$/.test(pathname)) {
+        return searchParams.has("selectedIssue");
+      }
+
+      // Pattern 3: Backlog view - /jira/software/*/boards/*/backlog
+      // Only show if selectedIssue parameter exists
+      if (/\/jira\/software\/[^/]+\/boards\/\d+\/backlog\/?/.test(pathname)) {
+        return searchParams.has("selectedIssue");
+      }
+
+      // Pattern 4: Timeline view - /jira/software/*/boards/*/timeline
+      // Only show if selectedIssue parameter exists
+      if (/\/jira\/software\/[^/]+\/boards\/\d+\/timeline\/?/.test(pathname)) {
+        return searchParams.has("selectedIssue");
+      }
+
+      // Pattern 5: Issue detail panel in other views
+      // Check for selectedIssue in any /jira/ path
+      if (pathname.startsWith("/jira/") && searchParams.has("selectedIssue")) {
+        return true;
+      }
+
+      // Pattern 6: Server/DC agile board - /secure/RapidBoard.jspa
+      // Only show if selectedIssue parameter exists
+      if (/^\/secure\/RapidBoard\.jspa$/i.test(pathname)) {
+        return searchParams.has("selectedIssue");
+      }
+
+      // Pattern 7: Server/DC project issue view - /projects/X/issues/ISSUE-123
+      if (keyFromPath(pathname)) {
+        return true;
+      }
+
+      // No identifiable issue found
+      return false;
+    } catch (e) {
+      console.debug("Error parsing URL:", e);
+      return false;
+    }
+  }
+
+  /**
+   * Check if URL shows a list of issues that can be copied together
+   * (boards, backlogs and issue search / filter results)
+   */
+  function hasIssueList(url, customHosts = []) {
+    if (!url) return false;
+
+    try {
+      const site = findSite(url, customHosts);
+      if (!site) {
+        return false;
+      }
+
+      const pathname = new URL(url).pathname.slice(site.contextPath.length);
+      return isBoardPath(pathname) || isIssueSearchPath(pathname);
+    } catch (e) {
+      console.debug("Error parsing URL:", e);
+      return false;
+    }
+  }
+
+  /**
+   * Check if URL shows a board or backlog with issue cards
+   */
+  function isBoard(url, customHosts = []) {
+    if (!url) return false;
+
+    try {
+      const site = findSite(url, customHosts);
+      if (!site) {
+        return false;
+      }
+
+      return isBoardPath(new URL(url).pathname.slice(site.contextPath.length));
+    } catch (e) {
+      console.debug("Error parsing URL:", e);
+      return false;
+    }
+  }
+
+  /**
+   * Check a path below the context path for the board and backlog views
+   */
+  function isBoardPath(pathname) {
+    // Cloud board and backlog - /jira/software/*/boards/*(/backlog)
+    if (/^\/jira\/software\/.*\/boards\/\d+(\/backlog)?\/?$/.test(pathname)) {
+      return true;
+    }
+
+    // Server/DC board and backlog - /secure/RapidBoard.jspa
+    return /^\/secure\/RapidBoard\.jspa$/i.test(pathname);
+  }
+
+  /**
+   * Check if URL shows issue search or saved filter results
+   */
+  function isIssueSearch(url, customHosts = []) {
+    const site = findSite(url, customHosts);
+    if (!site) {
+      return false;
+    }
+
+    const pathname = new URL(url).pathname.slice(site.contextPath.length);
+    return isIssueSearchPath(pathname);
+  }
+
+  /**
+   * Check a path below the context path for the issue search views
+   */
+  function isIssueSearchPath(pathname) {
+    return (
+      // Issue search and saved filters - /issues/?jql= or /issues/?filter=
+      /^\/issues\/?$/.test(pathname) ||
+      // Server/DC classic issue navigator
+      /^\/secure\/IssueNavigator\.jspa$/i.test(pathname) ||
+      // Cloud project issue lists - /jira/*/issues, /jira/issues
+      /^\/jira\/(.*\/)?issues\/?$/.test(pathname)
+    );
+  }
+
+  /**
+   * The issues a page could make release notes from, or null:
+   * - { kind: "version", id } on a fix version (release) page
+   * - { kind: "sprint", id, boardId } for the sprint in the URL, or the
+   *   board's active sprint (id null)
+   * - { kind: "jql", jql } for search and saved filter results
+   */
+  function releaseSourceFromUrl(url, customHosts = []) {
+    const site = findSite(url, customHosts);
+    if (!site) {
+      return null;
+    }
+
+    const urlObj = new URL(url);
+    const searchParams = urlObj.searchParams;
+    const pathname = urlObj.pathname.slice(site.contextPath.length);
+
+    // Cloud and Server/DC releases - /projects/X/versions/N,
+    // /jira/software/(c/)projects/X/versions/N, /browse/X/fixforversion/N
+    const version =
+      pathname.match(/\/projects\/[^/]+\/versions\/(\d+)/) ||
+      pathname.match(/^\/browse\/[^/]+\/fixforversion\/(\d+)/i);
+    if (version) {
+      return { kind: "version", id: version[1] };
+    }
+
+    // Boards and backlogs, and board pages such as sprint reports that
+    // name a sprint
+    const sprint = searchParams.get("sprint");
+    const sprintId = /^\d+$/.test(sprint || "") ? sprint : null;
+    const cloudBoard =
+      pathname.match(/^\/jira\/software\/.*\/boards\/(\d+)(\/backlog)?\/?$/) ||
+      (sprintId && pathname.match(/^\/jira\/software\/.*\/boards\/(\d+)\//));
+    const boardId = cloudBoard
+      ? cloudBoard[1]
+      : /^\/secure\/RapidBoard\.jspa$/i.test(pathname) && searchParams.get("rapidView");
+    if (boardId && /^\d+$/.test(boardId)) {
+      return { kind: "sprint", id: sprintId, boardId: boardId };
+    }
+
+    if (isIssueSearchPath(pathname)) {
+      const jql = searchParams.get("jql");
+      const filter = searchParams.get("filter");
+      if (jql) {
+        return { kind: "jql", jql: jql };
+      }
+      if (/^\d+$/.test(filter || "")) {
+        return { kind: "jql", jql: `filter = ${filter}` };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check if there's anything to copy on the page at URL:
+   * a single issue, a list of issues or a release
+   */
+  function hasCopyableIssues(url, customHosts = []) {
+    return (
+      hasIdentifiableIssue(url, customHosts) ||
+      hasIssueList(url, customHosts) ||
+      releaseSourceFromUrl(url, customHosts) !== null
+    );
+  }
+
+  /**
+   * Extract an issue key from a URL path
+   * Handles /browse/KEY-1 and /projects/X/issues/KEY-1, with or without
+   * a context path in front
+   */
+  function keyFromPath(pathname) {
+    const match =
+      pathname.match(new RegExp(`/browse/(${ISSUE_KEY})`, "i")) ||
+      pathname.match(new RegExp(`/projects/[^/]+/issues/(${ISSUE_KEY})`, "i"));
+    return match ? match[1].toUpperCase() : null;
+  }
+
+  /**
+   * Extract an issue key from a full URL, including the selectedIssue
+   * parameter of board, backlog and timeline views
+   */
+  function keyFromUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      const pathKey = keyFromPath(urlObj.pathname);
+      if (pathKey) {
+        return pathKey;
+      }
+
+      const selectedIssue = urlObj.searchParams.get("selectedIssue");
+      if (selectedIssue && new RegExp(`^${ISSUE_KEY}$`, "i").test(selectedIssue)) {
+        return selectedIssue.toUpperCase();
+      }
+      return null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Every issue key in a piece of text, such as a pasted list of keys or
+   * a chat message, upper-cased and without duplicates
+   */
+  function parseKeys(text) {
+    const keys = [];
+    for (const match of String(text || "").matchAll(new RegExp(`\\b${ISSUE_KEY}\\b`, "gi"))) {
+      const key = match[0].toUpperCase();
+      if (!keys.includes(key)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Issue data for a link to a Jira issue found on any page
+   * The summary is taken from the link text when it says more than the key
+   * (e.g. "PROJ-123: Fix login"); returns null if the link isn't to an issue
+   */
+  function issueFromLink(linkUrl, linkText, customHosts = []) {
+    if (!hasIdentifiableIssue(linkUrl, customHosts)) {
+      return null;
+    }
+
+    const key = keyFromUrl(linkUrl);
+    if (!key) {
+      return null;
+    }
+
+    const site = findSite(linkUrl, customHosts);
+    let summary = (linkText || "").replace(/\s+/g, " ").trim();
+
+    // Drop the key and the separator after it; ignore bare URLs
+    summary = summary
+      .replace(new RegExp(`^\\[?${key}\\]?\\s*[:\\-–—|]?\\s*`, "i"), "")
+      .trim();
+    if (/^https?:\/\//i.test(summary) || summary.toUpperCase() === key) {
+      summary = "";
+    }
+
+    return {
+      key: key,
+      summary: summary || null,
+      url: `${site.baseUrl}/browse/${key}`,
+    };
+  }
+
+  /**
+   * Work out the base URL issue links should be built from
+   * Jira Cloud lives at the origin; Server/DC may sit under a context path,
+   * which is whatever precedes the first well-known Jira path segment
+   */
+  function inferBaseUrl(url) {
+    const urlObj = new URL(url);
+
+    if (urlObj.hostname.endsWith(".atlassian.net")) {
+      return urlObj.origin;
+    }
+
+    const match = urlObj.pathname.match(
+      /^(.*?)\/(?:browse|secure|projects|issues|plugins|rest)(?:\/|$)/,
+    );
+    const contextPath = match ? match[1] : "";
+    return `${urlObj.origin}${contextPath}`;
+  }
+
+  const api = {
+    ISSUE_KEY,
+    parseHost,
+    permissionPattern,
+    contentScriptPattern,
+    findSite,
+    isJiraSite,
+    hasIdentifiableIssue,
+    hasIssueList,
+    isBoard,
+    isIssueSearch,
+    releaseSourceFromUrl,
+    hasCopyableIssues,
+    keyFromPath,
+    keyFromUrl,
+    parseKeys,
+    issueFromLink,
+    inferBaseUrl,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.JiraUrls = api;
+  }
+})(this);
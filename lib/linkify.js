@@ -0,0 +1,172 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Turn the Jira issue keys in a piece of text into links, for the
+ * "Copy selection with Jira links" context menu
+ *
+ * Each project prefix links to its own site: one mapped on the options
+ * page, else the site it was last copied from (copy history), else the
+ * default site. Prefixes that are usually something else (UTF-8,
+ * ISO-8601, SHA-256) are only linked when mapped or copied before.
+ */
+
+(function (root) {
+  "use strict";
+
+  const JiraUrls =
+    typeof module !== "undefined" && module.exports
+      ? require("./jira_urls")
+      : root.JiraUrls;
+  const IssueTemplates =
+    typeof module !== "undefined" && module.exports
+      ? require("./templates")
+      : root.IssueTemplates;
+  const CopyHistory =
+    typeof module !== "undefined" && module.exports
+      ? require("./history")
+      : root.CopyHistory;
+
+  const LINKIFY_FORMATS = {
+    markdown: "Markdown",
+    html: "HTML",
+    jiraWiki: "Jira wiki",
+  };
+
+  // Standards, encodings, hashes and the like that look like issue keys
+  const LOOKALIKE_PREFIXES = [
+    "AES",
+    "ANSI",
+    "CP",
+    "CVE",
+    "CWE",
+    "DIN",
+    "ECMA",
+    "EN",
+    "ES",
+    "GPT",
+    "IEC",
+    "IEEE",
+    "ISO",
+    "JSR",
+    "MD",
+    "PEP",
+    "RFC",
+    "RSA",
+    "SHA",
+    "TLS",
+    "UTF",
+    "WCAG",
+    "WIN",
+  ];
+
+  // A key on its own: not part of a word, path, URL or another key, and
+  // not a version (ABC-1.2) or range (ABC-1-2). Keys are upper case here,
+  // unlike in URLs, to skip ordinary hyphenated words
+  const KEY_PATTERN = new RegExp(`(?<![\\w/.#-])(${JiraUrls.ISSUE_KEY})(?![\\w-]|\\.\\d)`, "g");
+
+  /**
+   * A project key prefix as typed on the options page, upper-cased, or
+   * null if it can't be one
+   */
+  function parsePrefix(value) {
+    const prefix = String(value || "").trim().toUpperCase();
+    return /^[A-Z][A-Z0-9]+$/.test(prefix) ? prefix : null;
+  }
+
+  /**
+   * Project prefix to site base URL: prefixes seen in the copy history,
+   * overridden by the ones mapped on the options page
+   */
+  function projectSites(history = [], mapped = {}) {
+    const sites = {};
+    for (const entry of history) {
+      const prefix = entry.key ? entry.key.split("-")[0] : null;
+      if (prefix && !sites[prefix] && CopyHistory.siteOf(entry)) {
+        sites[prefix] = CopyHistory.siteOf(entry);
+      }
+    }
+    return Object.assign(sites, mapped);
+  }
+
+  /**
+   * Base URL to link a project prefix to, or null if it shouldn't be
+   * linked
+   * options: { projectSites: { PREFIX: baseUrl }, defaultSite }
+   */
+  function siteFor(prefix, options) {
+    const mapped = (options.projectSites || {})[prefix];
+    if (mapped) {
+      return mapped.replace(/\/+$/, "");
+    }
+    if (LOOKALIKE_PREFIXES.includes(prefix) || !options.defaultSite) {
+      return null;
+    }
+    return options.defaultSite.replace(/\/+$/, "");
+  }
+
+  /**
+   * The linkable issue keys in text, in order
+   * Returns [{ key, index, url }]
+   */
+  function findKeys(text, options = {}) {
+    const keys = [];
+    for (const match of String(text || "").matchAll(KEY_PATTERN)) {
+      const site = siteFor(match[1].split("-")[0], options);
+      if (site) {
+        keys.push({ key: match[1], index: match.index, url: `${site}/browse/${match[1]}` });
+      }
+    }
+    return keys;
+  }
+
+  function formatLink(key, url, format) {
+    switch (format) {
+      case "markdown":
+        return `[${key}](${url})`;
+      case "html":
+        return `<a href="${IssueTemplates.escapeHtml(url)}">${key}</a>`;
+      case "jiraWiki":
+        return `[${key}|${url}]`;
+      default:
+        return key;
+    }
+  }
+
+  /**
+   * The text with each linkable key as a link in the given format
+   * HTML is escaped and keeps line breaks; other formats leave the rest of
+   * the text as it is
+   */
+  function linkifyText(text, format, options = {}) {
+    const source = String(text || "");
+    const escape = format === "html" ? IssueTemplates.escapeHtml : String;
+
+    let output = "";
+    let position = 0;
+    for (const found of findKeys(source, options)) {
+      output += escape(source.slice(position, found.index)) + formatLink(found.key, found.url, format);
+      position = found.index + found.key.length;
+    }
+    output += escape(source.slice(position));
+
+    return format === "html" ? output.replace(/\r?\n/g, "<br>\n") : output;
+  }
+
+  const api = {
+    LINKIFY_FORMATS,
+    LOOKALIKE_PREFIXES,
+    parsePrefix,
+    projectSites,
+    findKeys,
+    linkifyText,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.IssueLinkify = api;
+  }
+})(this);
@@ -0,0 +1,228 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Formatting profiles: the formats, templates and default format used
+ * for issues from some Jira sites or projects
+ *
+ * A profile is stored as
+ * { id, name, hosts: ["jira.client.example"], projects: ["CLI"],
+ *   formats: null | [format and template ids], defaultFormat: "" }
+ * and matches an issue when its hostname is one of hosts (if any) and its
+ * key starts with one of projects (if any). formats lists everything the
+ * profile offers, templates included; null keeps the global choice.
+ */
+
+(function (root) {
+  "use strict";
+
+  const IssueFormats =
+    typeof module !== "undefined" && module.exports
+      ? require("./formats")
+      : root.IssueFormats;
+
+  const HOST_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+  const PROJECT_PATTERN = /^[A-Z][A-Z0-9]+$/;
+
+  function hostnameOf(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch (err) {
+      return "";
+    }
+  }
+
+  /**
+   * How closely a profile matches an issue: 3 for site and project, 2 for
+   * project, 1 for site, 0 if it doesn't match
+   */
+  function matchScore(profile, issueData) {
+    const hosts = profile.hosts || [];
+    const projects = profile.projects || [];
+    if (hosts.length === 0 && projects.length === 0) {
+      return 0;
+    }
+
+    const prefix = issueData.key ? issueData.key.split("-")[0].toUpperCase() : "";
+    if (hosts.length > 0 && !hosts.includes(hostnameOf(issueData.url))) {
+      return 0;
+    }
+    if (projects.length > 0 && !projects.includes(prefix)) {
+      return 0;
+    }
+    return (hosts.length > 0 ? 1 : 0) + (projects.length > 0 ? 2 : 0);
+  }
+
+  /**
+   * The profile for an issue, or null: the most specific match, and the
+   * first listed of equally specific ones
+   */
+  function matchProfile(profiles = [], issueData = {}) {
+    let best = null;
+    let bestScore = 0;
+    for (const profile of profiles) {
+      const score = matchScore(profile, issueData);
+      if (score > bestScore) {
+        best = profile;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * The settings to use for an issue: its profile's formats, templates and
+   * default format in place of the global ones, with the profile itself
+   * as settings.profile (null if none matched)
+   * Templates deleted since the profile was saved are left out of its
+   * formats, which may leave it with none to offer
+   */
+  function resolveSettings(settings, issueData) {
+    let profile = matchProfile(settings.profiles, issueData);
+    if (profile && profile.formats) {
+      const builtinIds = IssueFormats.BUILTIN_FORMATS.map((format) => format.id);
+      const formats = profile.formats.filter(
+        (id) => builtinIds.includes(id) || settings.templates.some((template) => template.id === id),
+      );
+      if (formats.length !== profile.formats.length) {
+        profile = Object.assign({}, profile, { formats: formats });
+      }
+    }
+
+    const resolved = Object.assign({}, settings, { profile: profile });
+    if (!profile) {
+      return resolved;
+    }
+
+    if (profile.formats) {
+      resolved.templates = settings.templates.filter((template) =>
+        profile.formats.includes(template.id),
+      );
+      resolved.disabledFormats = IssueFormats.BUILTIN_FORMATS.map((format) => format.id).filter(
+        (id) => !profile.formats.includes(id),
+      );
+    }
+
+    // The global default may be one the profile leaves out
+    resolved.defaultFormat = profile.defaultFormat || settings.defaultFormat;
+    if (excludesFormat(resolved, resolved.defaultFormat)) {
+      const offered = IssueFormats.listFormats(resolved.templates, resolved.disabledFormats);
+      if (offered.length > 0) {
+        resolved.defaultFormat = offered[0].id;
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Whether resolved settings rule a format out: only formats a matched
+   * profile leaves out are, as hidden global formats can still be copied
+   * with their shortcuts
+   */
+  function excludesFormat(resolved, formatId) {
+    return Boolean(
+      resolved.profile &&
+        resolved.profile.formats &&
+        !resolved.profile.formats.includes(formatId),
+    );
+  }
+
+  /**
+   * The first issue of a copy of several issues that a profile rules the
+   * copy out for, as { issue, profile }, or null if there is none
+   * formatId is the format each issue is written in, as in release notes;
+   * lists, tables and related-issue copies have formats of their own that
+   * profiles can't offer, so they pass none and are ruled out by every
+   * profile that limits formats
+   */
+  function findExcludedIssue(settings, issues, formatId = null) {
+    for (const issue of issues) {
+      const resolved = resolveSettings(settings, issue);
+      if (excludesFormat(resolved, formatId)) {
+        return { issue: issue, profile: resolved.profile };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Hostnames or project keys typed as a comma or space separated list
+   */
+  function parseList(text) {
+    return Array.from(
+      new Set(
+        String(text || "")
+          .split(/[\s,]+/)
+          .filter(Boolean),
+      ),
+    );
+  }
+
+  /**
+   * Clean up a profile from the options form
+   * Returns { profile } or { error }
+   */
+  function normalizeProfile(input) {
+    const name = String(input.name || "").trim();
+    if (!name) {
+      return { error: "Give the profile a name." };
+    }
+
+    // Sites may be typed as addresses; only the hostname is matched
+    const hosts = parseList(input.hosts).map((host) =>
+      (hostnameOf(host) || host.replace(/\/.*$/, "")).toLowerCase(),
+    );
+    const badHost = hosts.find((host) => !HOST_PATTERN.test(host));
+    if (badHost) {
+      return { error: `"${badHost}" is not a hostname, e.g. jira.client.example` };
+    }
+
+    const projects = parseList(input.projects).map((project) => project.toUpperCase());
+    const badProject = projects.find((project) => !PROJECT_PATTERN.test(project));
+    if (badProject) {
+      return { error: `"${badProject}" is not a project key, e.g. OPS` };
+    }
+
+    if (hosts.length === 0 && projects.length === 0) {
+      return { error: "Enter at least one site or project for the profile to match." };
+    }
+    if (input.formats && input.formats.length === 0) {
+      return { error: "Choose at least one format for the profile." };
+    }
+
+    return {
+      profile: {
+        id: input.id || `profile-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: name,
+        hosts: hosts,
+        projects: projects,
+        formats: input.formats ? input.formats.slice() : null,
+        defaultFormat: input.defaultFormat || "",
+      },
+    };
+  }
+
+  /**
+   * Describe what a profile matches, e.g. "jira.client.example · CLI, OPS"
+   */
+  function describeMatch(profile) {
+    return [profile.hosts.join(", "), profile.projects.join(", ")].filter(Boolean).join(" · ");
+  }
+
+  const api = {
+    matchProfile,
+    resolveSettings,
+    excludesFormat,
+    findExcludedIssue,
+    normalizeProfile,
+    describeMatch,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.IssueProfiles = api;
+  }
+})(this);
@@ -0,0 +1,266 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Release notes for the issues of a fix version, sprint or JQL search
+ * (see IssueApi.fetchRelease), grouped into sections under a header
+ *
+ * Each issue is written in one of the copy formats, so the notes link
+ * issues the same way single copies do.
+ */
+
+(function (root) {
+  "use strict";
+
+  const IssueTemplates =
+    typeof module !== "undefined" && module.exports
+      ? require("./templates")
+      : root.IssueTemplates;
+  const IssueFormats =
+    typeof module !== "undefined" && module.exports
+      ? require("./formats")
+      : root.IssueFormats;
+
+  // English labels of these choices; the popup shows the messages
+  // releaseFormat_<id>, releaseGroup_<id> and releaseSort_<id>
+  const RELEASE_FORMATS = {
+    markdown: "Markdown",
+    html: "HTML",
+  };
+
+  // Fields issues can be grouped by
+  const RELEASE_GROUPS = {
+    type: "By type",
+    status: "By status",
+    priority: "By priority",
+    assignee: "By assignee",
+    parent: "By epic or parent",
+    none: "No grouping",
+  };
+
+  const RELEASE_SORTS = {
+    key: "By key",
+    summary: "By summary",
+  };
+
+  // Placeholders of the header template, in templates' {name|fallback} syntax
+  const HEADER_PLACEHOLDERS = {
+    name: "Version or sprint name",
+    date: "Release or sprint end date, else today (YYYY-MM-DD)",
+    count: "Number of issues in the notes",
+  };
+
+  // Settings stored as releaseNotes; linkFormat is any format or template id
+  const DEFAULT_RELEASE_OPTIONS = {
+    headerTemplate: "{name|Release notes} ({date})",
+    groupBy: "type",
+    sortBy: "key",
+    doneOnly: true,
+    linkFormat: "markdown",
+  };
+
+  // Sections when grouping by type, matched on lower-cased type names;
+  // other types follow under their own names. Titles are translated with
+  // options.sectionTitle
+  const TYPE_SECTIONS = [
+    { id: "features", title: "Features", types: ["story", "feature", "new feature", "epic"] },
+    { id: "improvements", title: "Improvements", types: ["improvement", "enhancement"] },
+    { id: "bugs", title: "Bugs", types: ["bug", "defect"] },
+    {
+      id: "tasks",
+      title: "Tasks",
+      types: ["task", "sub-task", "subtask", "technical task", "chore"],
+    },
+  ];
+
+  // Jira's default priorities, most urgent first; others sort by name
+  const PRIORITY_ORDER = [
+    "highest",
+    "blocker",
+    "critical",
+    "high",
+    "major",
+    "medium",
+    "low",
+    "minor",
+    "lowest",
+    "trivial",
+  ];
+
+  /**
+   * The section an issue goes in: { id, title, rank, order }, where lower
+   * ranks and orders come first
+   * Type sections and "other" (no value) have an id; sections named after
+   * a field value have id null
+   */
+  function sectionOf(issue, groupBy) {
+    const value = issue[groupBy];
+    if (!value) {
+      return { id: "other", title: "Other", rank: 2, order: 0 };
+    }
+
+    if (groupBy === "type") {
+      const index = TYPE_SECTIONS.findIndex((section) =>
+        section.types.includes(value.toLowerCase()),
+      );
+      if (index !== -1) {
+        return { id: TYPE_SECTIONS[index].id, title: TYPE_SECTIONS[index].title, rank: 0, order: index };
+      }
+    }
+    if (groupBy === "priority") {
+      const index = PRIORITY_ORDER.indexOf(value.toLowerCase());
+      if (index !== -1) {
+        return { id: null, title: value, rank: 0, order: index };
+      }
+    }
+    return { id: null, title: value, rank: 1, order: 0 };
+  }
+
+  function compareSections(a, b) {
+    return a.rank - b.rank || a.order - b.order || a.title.localeCompare(b.title);
+  }
+
+  /**
+   * Compare issues by key (project, then number) or by summary
+   */
+  function compareIssues(a, b, sortBy) {
+    if (sortBy === "summary") {
+      const bySummary = (a.summary || "").localeCompare(b.summary || "");
+      if (bySummary !== 0) {
+        return bySummary;
+      }
+    }
+    return a.key.localeCompare(b.key, undefined, { numeric: true });
+  }
+
+  /**
+   * Split issues into sorted sections: [{ id, title, issues }], see
+   * sectionOf; groupBy "none" gives a single section with a null title
+   */
+  function groupIssues(issues, groupBy = "type", sortBy = "key") {
+    const sorted = issues.slice().sort((a, b) => compareIssues(a, b, sortBy));
+    if (!RELEASE_GROUPS[groupBy] || groupBy === "none") {
+      return sorted.length ? [{ id: null, title: null, issues: sorted }] : [];
+    }
+
+    const sections = [];
+    for (const issue of sorted) {
+      const section = sectionOf(issue, groupBy);
+      const existing = sections.find(
+        (other) => other.id === section.id && other.title === section.title,
+      );
+      if (existing) {
+        existing.issues.push(issue);
+      } else {
+        sections.push(Object.assign(section, { issues: [issue] }));
+      }
+    }
+
+    return sections
+      .sort(compareSections)
+      .map((section) => ({ id: section.id, title: section.title, issues: section.issues }));
+  }
+
+  /**
+   * A date as YYYY-MM-DD in local time
+   */
+  function localDate(date) {
+    const pad = (number) => String(number).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * One issue in the link format, on a single line
+   * In HTML, link formats such as Markdown become the HTML link, as they
+   * do when a single issue is pasted into a rich editor (see
+   * lib/clipboard.js); other text formats are escaped
+   */
+  function issueLine(issue, options, format) {
+    const templates = options.templates || [];
+    const linkFormat =
+      IssueFormats.findFormat(options.linkFormat, templates) ||
+      IssueFormats.findFormat(DEFAULT_RELEASE_OPTIONS.linkFormat);
+    const formats = IssueFormats.renderFormats(
+      IssueFormats.generateFormats(issue, options.formatOptions || {}),
+      issue,
+      templates,
+    );
+
+    let line = formats[linkFormat.id];
+    if (format === "html" && linkFormat.mime !== IssueTemplates.MIME_HTML) {
+      line = linkFormat.link ? formats.html : IssueTemplates.escapeHtml(line);
+    }
+    return String(line).replace(/\s*\n\s*/g, " ").trim();
+  }
+
+  /**
+   * Write release notes
+   * release: { name, date, issues } from IssueApi.fetchRelease
+   * options: DEFAULT_RELEASE_OPTIONS plus
+   * - format: "markdown" or "html"
+   * - templates, formatOptions: the user's templates and the settings
+   *   built-in formats depend on, for the link format
+   * - sectionTitle(id, title): translate the titles of sections with an
+   *   id, such as "features"
+   * - today: the date used when the release has none
+   * Returns null if no issues are left to list
+   */
+  function buildReleaseNotes(release, options = {}) {
+    options = Object.assign({}, DEFAULT_RELEASE_OPTIONS, options);
+    const format = options.format === "html" ? "html" : "markdown";
+    const sectionTitle = options.sectionTitle || ((id, title) => title);
+
+    const issues = (release.issues || []).filter(
+      (issue) => issue.key && (!options.doneOnly || issue.done),
+    );
+    if (issues.length === 0) {
+      return null;
+    }
+
+    const header = IssueTemplates.fillPlaceholders(options.headerTemplate, {
+      name: release.name,
+      date: release.date || localDate(options.today || new Date()),
+      count: String(issues.length),
+    }).trim();
+
+    const blocks = [];
+    if (header) {
+      blocks.push(format === "html" ? `<h2>${IssueTemplates.escapeHtml(header)}</h2>` : `## ${header}`);
+    }
+
+    for (const section of groupIssues(issues, options.groupBy, options.sortBy)) {
+      const title = section.id ? sectionTitle(section.id, section.title) : section.title;
+      const lines = section.issues.map((issue) => issueLine(issue, options, format));
+
+      if (format === "html") {
+        const heading = title ? `<h3>${IssueTemplates.escapeHtml(title)}</h3>\n` : "";
+        blocks.push(`${heading}<ul>\n${lines.map((line) => `<li>${line}</li>`).join("\n")}\n</ul>`);
+      } else {
+        if (title) {
+          blocks.push(`### ${title}`);
+        }
+        blocks.push(lines.map((line) => `- ${line}`).join("\n"));
+      }
+    }
+
+    return blocks.join(format === "html" ? "\n" : "\n\n");
+  }
+
+  const api = {
+    RELEASE_FORMATS,
+    RELEASE_GROUPS,
+    RELEASE_SORTS,
+    HEADER_PLACEHOLDERS,
+    DEFAULT_RELEASE_OPTIONS,
+    groupIssues,
+    buildReleaseNotes,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.ReleaseNotes = api;
+  }
+})(this);
@@ -0,0 +1,293 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Where the content script looks for the issue key, summary and fields
+ *
+ * Each group is an ordered list of CSS selectors (or, for page titles,
+ * regular expressions), tried until one matches. Users can add, reorder
+ * and disable entries on the options page; their changes are stored per
+ * group as [{ value, enabled }] and merged with the built-in defaults, so
+ * built-ins added in later releases still show up (at the end of a list
+ * the user has changed).
+ */
+
+(function (root) {
+  "use strict";
+
+  // kind: "selector" and "field" read one element, "list" every matching
+  // element, "pattern" matches document.title (group 1 is the key, group 2
+  // the summary)
+  const GROUPS = {
+    key: { label: "Issue key", kind: "selector" },
+    summary: { label: "Summary", kind: "selector" },
+    type: { label: "Type", kind: "field" },
+    status: { label: "Status", kind: "field" },
+    priority: { label: "Priority", kind: "field" },
+    assignee: { label: "Assignee", kind: "field" },
+    reporter: { label: "Reporter", kind: "field" },
+    parent: { label: "Parent", kind: "field" },
+    sprint: { label: "Sprint", kind: "field" },
+    labels: { label: "Labels", kind: "list" },
+    fixVersions: { label: "Fix versions", kind: "list" },
+    titlePatterns: { label: "Page title patterns", kind: "pattern" },
+  };
+
+  // Jira Cloud data-testid selectors first, then Server/DC ids and classes
+  const DEFAULT_SELECTORS = {
+    key: [
+      '[data-testid="issue.views.issue-base.foundation.breadcrumbs.breadcrumb-current-issue-container"]',
+      '[data-testid="issue.views.issue-base.foundation.breadcrumbs.current-issue.item"]',
+      "#key-val",
+      ".issue-link-key",
+      '[data-test-id="issue.views.issue-details.issue-key"]',
+    ],
+    summary: [
+      '[data-testid="issue.views.issue-base.foundation.summary.heading"]',
+      '[data-testid="issue.views.issue-details.issue-layout.summary"]',
+      "#summary-val",
+      'h1[data-testid="issue.views.issue-details.issue-header.title"]',
+      ".ghx-summary",
+      "h1.sc-bwzfXH", // Newer Jira Cloud
+      '[data-test-id="issue.views.issue-details.issue-header"]',
+    ],
+    type: [
+      '[data-testid="issue.views.issue-base.foundation.change-issue-type.button"] img',
+      '[data-testid="issue-field-issue-type.ui.issue-type-view"]',
+      "#type-val",
+    ],
+    status: [
+      '[data-testid="issue-field-status.ui.status-view.status-button.status-button"]',
+      '[data-testid="issue.views.issue-base.foundation.status.status-field-wrapper"] button',
+      "#status-val",
+      "#opsbar-transitions_more .dropdown-text",
+    ],
+    priority: [
+      '[data-testid="issue-field-priority.ui.priority-view"]',
+      '[data-testid="issue.views.field.priority-inline-edit.read-view"]',
+      "#priority-val",
+    ],
+    assignee: [
+      '[data-testid="issue.views.field.user.assignee"]',
+      '[data-testid="issue-field-assignee.ui.read-view"]',
+      "#assignee-val",
+    ],
+    reporter: [
+      '[data-testid="issue.views.field.user.reporter"]',
+      '[data-testid="issue-field-reporter.ui.read-view"]',
+      "#reporter-val",
+    ],
+    parent: [
+      '[data-testid="issue.views.issue-base.foundation.breadcrumbs.parent-issue.item"]',
+      '[data-testid="issue-field-parent.ui.read-view"]',
+      '[data-testid="issue.views.field.epic-link.common.ui.read-view"]',
+      "#parent_issue_summary",
+      ".type-gh-epic-link .value",
+    ],
+    sprint: [
+      '[data-testid="issue-field-sprint.ui.read-view"]',
+      '[data-testid="issue.views.field.sprint.read-view"]',
+      ".type-gh-sprint .value",
+    ],
+    labels: [
+      '[data-testid="issue.views.field.labels.read-view"] a',
+      '[data-testid="issue-field-labels.ui.read-view"] a',
+      ".labels-wrap .labels li a span",
+    ],
+    fixVersions: [
+      '[data-testid="issue.views.field.fix-versions.read-view"] a',
+      '[data-testid="issue-field-fix-versions.ui.read-view"] a',
+      "#fixfor-val a",
+    ],
+    // Page titles follow the pattern "[KEY] Summary - Jira", with the
+    // product or site name after any dash or bar: " – Jira Software",
+    // " | ACME Jira"
+    titlePatterns: [
+      "\\[([A-Z][A-Z0-9]+-\\d+)\\]\\s*(.+?)" +
+        "(?:\\s+[-–—|]\\s+[^-–—|]*\\bJira\\b[^-–—|]*)?$",
+    ],
+  };
+
+  // Marks exported files, so a random JSON file isn't taken for one
+  const EXPORT_FORMAT = "jira-issue-copy-helper-selectors";
+
+  /**
+   * Entries of a group for display: the user's order first, then any
+   * built-ins they haven't placed
+   * Returns [{ value, enabled, builtIn }]
+   */
+  function mergeGroup(group, overrides = {}) {
+    const defaults = DEFAULT_SELECTORS[group] || [];
+    const entries = [];
+
+    for (const entry of overrides[group] || []) {
+      if (entry.value && !entries.some((other) => other.value === entry.value)) {
+        entries.push({
+          value: entry.value,
+          enabled: entry.enabled !== false,
+          builtIn: defaults.includes(entry.value),
+        });
+      }
+    }
+
+    for (const value of defaults) {
+      if (!entries.some((entry) => entry.value === value)) {
+        entries.push({ value: value, enabled: true, builtIn: true });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * The enabled selectors and patterns of every group, in order
+   */
+  function resolveSelectors(overrides = {}) {
+    const selectors = {};
+    for (const group of Object.keys(GROUPS)) {
+      selectors[group] = mergeGroup(group, overrides)
+        .filter((entry) => entry.enabled)
+        .map((entry) => entry.value);
+    }
+    return selectors;
+  }
+
+  /**
+   * What to store for a group after the user changed it, or null when
+   * it is back to the built-in defaults
+   */
+  function toOverride(group, entries) {
+    const defaults = DEFAULT_SELECTORS[group] || [];
+    const isDefault =
+      entries.length === defaults.length &&
+      entries.every((entry, index) => entry.enabled && entry.value === defaults[index]);
+
+    return isDefault
+      ? null
+      : entries.map((entry) => ({ value: entry.value, enabled: entry.enabled }));
+  }
+
+  // Invisible marks browsers and Jira put around right-to-left text
+  const BIDI_MARKS = /[\u061C\u200E\u200F\u202A-\u202E\u2066-\u2069]/g;
+
+  /**
+   * The page title as title patterns see it: without direction marks,
+   * which would otherwise end up in the summary or stop a pattern
+   * matching, and with runs of spaces collapsed
+   */
+  function normalizeTitle(title) {
+    return String(title || "")
+      .replace(BIDI_MARKS, "")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Page title patterns are matched case-insensitively
+   * Returns null for an invalid pattern
+   */
+  function compileTitlePattern(value) {
+    try {
+      return new RegExp(value, "i");
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Check a new entry, returning an error message or null
+   * CSS selectors are only checked where there is a document to parse them
+   */
+  function validateEntry(group, value) {
+    if (!GROUPS[group]) {
+      return `Unknown selector group "${group}"`;
+    }
+    if (typeof value !== "string" || !value.trim()) {
+      return "Enter a selector.";
+    }
+
+    if (GROUPS[group].kind === "pattern") {
+      const pattern = compileTitlePattern(value);
+      if (!pattern) {
+        return `"${value}" is not a valid regular expression.`;
+      }
+      // An alternative that matches "" reveals how many groups there are
+      if (new RegExp(`${value}|`).exec("").length < 3) {
+        return "Title patterns need two groups: the issue key, then the summary.";
+      }
+      return null;
+    }
+
+    if (typeof document !== "undefined") {
+      try {
+        document.createDocumentFragment().querySelector(value);
+      } catch (err) {
+        return `"${value}" is not a valid CSS selector.`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * JSON for sharing selector changes, e.g. distributed by an admin
+   */
+  function exportOverrides(overrides) {
+    return JSON.stringify({ format: EXPORT_FORMAT, version: 1, selectors: overrides }, null, 2);
+  }
+
+  /**
+   * Read exported selector changes
+   * Entries may also be plain strings, which are enabled. Only the groups
+   * in the file are returned; throws an Error explaining what is wrong
+   */
+  function parseImport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error("The file is not valid JSON.");
+    }
+
+    if (!data || data.format !== EXPORT_FORMAT || typeof data.selectors !== "object") {
+      throw new Error("The file is not a selector export from this extension.");
+    }
+
+    const overrides = {};
+    for (const [group, entries] of Object.entries(data.selectors || {})) {
+      if (!Array.isArray(entries)) {
+        throw new Error(`The "${group}" selectors must be a list.`);
+      }
+
+      overrides[group] = entries.map((entry) => {
+        const value = typeof entry === "string" ? entry : entry && entry.value;
+        const error = validateEntry(group, value);
+        if (error) {
+          throw new Error(error);
+        }
+        return { value: value, enabled: typeof entry === "string" || entry.enabled !== false };
+      });
+    }
+    return overrides;
+  }
+
+  const api = {
+    GROUPS,
+    DEFAULT_SELECTORS,
+    mergeGroup,
+    resolveSelectors,
+    toOverride,
+    compileTitlePattern,
+    normalizeTitle,
+    validateEntry,
+    exportOverrides,
+    parseImport,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.IssueSelectors = api;
+  }
+})(this);
@@ -0,0 +1,89 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * User settings for Jira Issue Copy Helper
+ * Stored in storage.sync so they follow the user between browsers
+ */
+
+(function (root) {
+  "use strict";
+
+  const DEFAULT_SETTINGS = {
+    // Self-hosted Jira base URLs, e.g. "https://jira.corp.example/jira"
+    customHosts: [],
+    // User-defined copy templates, see lib/templates.js
+    templates: [],
+    // Format copied by the "default format" keyboard shortcut
+    defaultFormat: "markdown",
+    // Columns for "copy as table" on search pages, see lib/issue_table.js
+    tableColumns: ["key", "summary", "status", "assignee"],
+    // Copied issues kept in the popup's history, 0 to keep none
+    historyLimit: 50,
+    // Branch name slug rules, see lib/git_formats.js
+    slugOptions: {},
+    // Format ids hidden from the popup and link menu; the less common
+    // markup formats start out hidden
+    disabledFormats: ["asciidoc", "rst", "orgMode", "bbcode"],
+    // Type icon and status lozenge in copied HTML links, see lib/formats.js
+    richLinkOptions: { typeIcon: false, statusLozenge: false },
+    // Changes to the built-in page selectors, see lib/selectors.js
+    selectorOverrides: {},
+    // Jira site for issue keys looked up in the popup away from Jira,
+    // e.g. "https://yoursite.atlassian.net"
+    defaultSite: "",
+    // Project key prefix to Jira site, e.g. { OPS: "https://jira.corp.example" },
+    // for linking keys in selected text, see lib/linkify.js
+    projectSites: {},
+    // Formats, templates and default format for some sites or projects,
+    // see lib/profiles.js
+    profiles: [],
+    // Header template, grouping, sorting and link format of release notes,
+    // see lib/release_notes.js
+    releaseNotes: {},
+    // Copy buttons next to the issue key and on board cards, see
+    // lib/inline_buttons.js
+    inlineButtons: true,
+  };
+
+  /**
+   * Load settings, filling in defaults for anything not yet saved
+   */
+  async function loadSettings() {
+    const stored = await browser.storage.sync.get(DEFAULT_SETTINGS);
+    return Object.assign({}, DEFAULT_SETTINGS, stored);
+  }
+
+  /**
+   * Save one or more settings
+   */
+  async function saveSettings(changes) {
+    await browser.storage.sync.set(changes);
+  }
+
+  /**
+   * Call back with the changed keys whenever settings are saved
+   */
+  function onSettingsChanged(callback) {
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "sync") {
+        callback(changes);
+      }
+    });
+  }
+
+  const api = {
+    DEFAULT_SETTINGS,
+    loadSettings,
+    saveSettings,
+    onSettingsChanged,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.JiraSettings = api;
+  }
+})(this);
@@ -0,0 +1,166 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * User-defined copy templates
+ *
+ * A template is plain text (or HTML) with placeholders:
+ * - {key}              replaced by the issue's value
+ * - {summary|fallback} uses "fallback" when the value is missing
+ * - {{ and }}          literal braces
+ *
+ * Values are HTML-escaped when the template's MIME type is text/html.
+ */
+
+(function (root) {
+  "use strict";
+
+  const MIME_PLAIN = "text/plain";
+  const MIME_HTML = "text/html";
+
+  // {{, }} or {name} / {name|fallback}
+  const PLACEHOLDER_PATTERN = /\{\{|\}\}|\{([A-Za-z]+)(?:\|([^{}]*))?\}/g;
+
+  const PLACEHOLDERS = {
+    key: "Issue key, e.g. PROJ-123",
+    summary: "Issue summary",
+    url: "Canonical issue URL",
+    title: "Key and summary, e.g. PROJ-123 - Summary",
+    type: "Issue type, e.g. Bug",
+    status: "Status, e.g. In Progress",
+    priority: "Priority, e.g. High",
+    assignee: "Assignee name",
+    reporter: "Reporter name",
+    parent: "Parent or epic key",
+    sprint: "Sprint name",
+    labels: "Labels, comma separated",
+    fixVersions: "Fix versions, comma separated",
+  };
+
+  // Issue used for the live preview on the options page
+  const SAMPLE_ISSUE = {
+    key: "PROJ-123",
+    summary: "Fix login redirect loop",
+    url: "https://yoursite.atlassian.net/browse/PROJ-123",
+    type: "Bug",
+    status: "In Progress",
+    priority: "High",
+    assignee: "Alex Doe",
+    reporter: "Sam Roe",
+    parent: "PROJ-100",
+    sprint: "Sprint 42",
+    labels: ["auth", "frontend"],
+    fixVersions: ["2.4.0"],
+  };
+
+  /**
+   * Escapes HTML special characters
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Build the placeholder values for an issue
+   */
+  function placeholderValues(issueData) {
+    const { key, summary, url } = issueData;
+    const joinList = (list) => (list && list.length ? list.join(", ") : null);
+
+    return {
+      key: key,
+      summary: summary,
+      url: url,
+      title: summary ? `${key} - ${summary}` : key,
+      type: issueData.type,
+      status: issueData.status,
+      priority: issueData.priority,
+      assignee: issueData.assignee,
+      reporter: issueData.reporter,
+      parent: issueData.parent,
+      sprint: issueData.sprint,
+      labels: joinList(issueData.labels),
+      fixVersions: joinList(issueData.fixVersions),
+    };
+  }
+
+  /**
+   * Render template text for an issue
+   */
+  function renderTemplate(text, issueData, mime = MIME_PLAIN) {
+    return fillPlaceholders(text, placeholderValues(issueData), mime);
+  }
+
+  /**
+   * Fill the placeholders of template text from a map of values, with the
+   * same syntax as issue templates ({name}, {name|fallback}, {{ and }})
+   */
+  function fillPlaceholders(text, values, mime = MIME_PLAIN) {
+    const escape = mime === MIME_HTML ? escapeHtml : String;
+
+    return text.replace(PLACEHOLDER_PATTERN, (match, name, fallback) => {
+      if (match === "{{") return "{";
+      if (match === "}}") return "}";
+
+      const value = Object.prototype.hasOwnProperty.call(values, name)
+        ? values[name]
+        : null;
+      if (value !== null && value !== undefined && value !== "") {
+        return escape(value);
+      }
+      return fallback !== undefined ? fallback : "";
+    });
+  }
+
+  /**
+   * List placeholder names in template text that aren't known
+   * known defaults to the issue placeholders
+   */
+  function findUnknownPlaceholders(text, known = PLACEHOLDERS) {
+    const unknown = [];
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+      const name = match[1];
+      if (name && !known[name] && !unknown.includes(name)) {
+        unknown.push(name);
+      }
+    }
+    return unknown;
+  }
+
+  /**
+   * Create a new template with a unique id
+   */
+  function createTemplate(name, text, mime = MIME_PLAIN) {
+    return {
+      id: `tpl-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: name,
+      template: text,
+      mime: mime === MIME_HTML ? MIME_HTML : MIME_PLAIN,
+    };
+  }
+
+  const api = {
+    MIME_PLAIN,
+    MIME_HTML,
+    PLACEHOLDERS,
+    SAMPLE_ISSUE,
+    escapeHtml,
+    renderTemplate,
+    fillPlaceholders,
+    findUnknownPlaceholders,
+    createTemplate,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.IssueTemplates = api;
+  }
+})(this);
@@ -0,0 +1,1313 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Options page for Jira Issue Copy Helper
+ * Manages the list of self-hosted Jira sites and their host permissions,
+ * the default site for popup key lookups, the sites of projects linked in
+ * copied selections, which copy formats are offered, keyboard shortcut
+ * settings, the user's copy templates, formatting profiles for some sites
+ * or projects, branch name rules, the release notes header, the size of
+ * the copy history and the page selectors
+ */
+
+(function () {
+  "use strict";
+
+  let settings = null;
+
+  // Id of the template being edited, or null when adding a new one
+  let editingTemplateId = null;
+
+  // Id of the profile being edited, or null when adding a new one
+  let editingProfileId = null;
+
+  // Field whose page selectors are listed, and what they matched in the
+  // last "Test against current tab", see lib/selectors.js
+  let selectorGroup = "key";
+  let selectorTestResults = null;
+
+  /**
+   * Initialize the options page
+   */
+  async function init() {
+    settings = await JiraSettings.loadSettings();
+    await renderHosts();
+
+    renderFormatToggles();
+    renderRichLinkOptions();
+    document
+      .getElementById("rich-link-form")
+      .addEventListener("change", handleRichLinkOptionsChange);
+
+    const inlineButtons = document.getElementById("inline-buttons");
+    inlineButtons.checked = settings.inlineButtons;
+    inlineButtons.addEventListener("change", handleInlineButtonsChange);
+    renderDefaultFormats();
+    await renderShortcuts();
+    renderTemplates();
+    renderPlaceholders(
+      "placeholder-list",
+      document.getElementById("template-text"),
+      IssueTemplates.PLACEHOLDERS,
+      updatePreview,
+    );
+    updatePreview();
+
+    renderSlugOptions();
+    document.getElementById("slug-form").addEventListener("change", handleSlugOptionsChange);
+
+    renderReleaseHeader();
+    document.getElementById("release-header").addEventListener("input", updateReleasePreview);
+    document.getElementById("release-header").addEventListener("change", handleReleaseHeaderChange);
+
+    const historyLimit = document.getElementById("history-limit");
+    historyLimit.value = settings.historyLimit;
+    historyLimit.addEventListener("change", handleHistoryLimitChange);
+
+    renderSelectorGroups();
+    renderSelectors();
+    document.getElementById("selector-group").addEventListener("change", handleSelectorGroupChange);
+    document.getElementById("selector-form").addEventListener("submit", handleAddSelector);
+    document.getElementById("test-selectors").addEventListener("click", handleTestSelectors);
+    document.getElementById("reset-selectors").addEventListener("click", handleResetSelectors);
+    document.getElementById("export-selectors").addEventListener("click", handleExportSelectors);
+    document.getElementById("import-selectors").addEventListener("click", () => {
+      document.getElementById("import-selectors-file").click();
+    });
+    document
+      .getElementById("import-selectors-file")
+      .addEventListener("change", handleImportSelectors);
+
+    document.getElementById("default-format").addEventListener("change", handleDefaultFormatChange);
+    document.getElementById("edit-shortcuts").addEventListener("click", () => {
+      browser.commands.openShortcutSettings();
+    });
+
+    document.getElementById("host-form").addEventListener("submit", handleAddHost);
+    document.getElementById("default-site-input").value = settings.defaultSite;
+    document.getElementById("default-site-form").addEventListener("submit", handleSaveDefaultSite);
+    renderProjectSites();
+    document.getElementById("project-site-form").addEventListener("submit", handleAddProjectSite);
+    document.getElementById("template-form").addEventListener("submit", handleSaveTemplate);
+    document.getElementById("cancel-template").addEventListener("click", resetTemplateForm);
+    document.getElementById("template-text").addEventListener("input", updatePreview);
+    document.getElementById("template-mime").addEventListener("change", updatePreview);
+
+    renderProfiles();
+    renderProfileFormats([]);
+    document.getElementById("profile-form").addEventListener("submit", handleSaveProfile);
+    document.getElementById("cancel-profile").addEventListener("click", resetProfileForm);
+    document.getElementById("profile-choose-formats").addEventListener("change", (event) => {
+      document.getElementById("profile-format-list").hidden = !event.target.checked;
+    });
+  }
+
+  /**
+   * Render the configured self-hosted Jira sites
+   */
+  async function renderHosts() {
+    const list = document.getElementById("host-list");
+    const emptyMessage = document.getElementById("host-list-empty");
+
+    list.textContent = "";
+    emptyMessage.hidden = settings.customHosts.length > 0;
+
+    for (const entry of settings.customHosts) {
+      const host = JiraUrls.parseHost(entry);
+      if (!host) continue;
+
+      const granted = await browser.permissions.contains({
+        origins: [JiraUrls.permissionPattern(host)],
+      });
+
+      const item = document.createElement("li");
+
+      const label = document.createElement("span");
+      label.className = "item-label";
+      label.textContent = host.baseUrl;
+      label.title = host.baseUrl;
+      item.appendChild(label);
+
+      const status = document.createElement("span");
+      status.className = granted ? "item-status" : "item-status warning";
+      status.textContent = granted ? "Access granted" : "Access not granted";
+      item.appendChild(status);
+
+      if (!granted) {
+        const grantButton = document.createElement("button");
+        grantButton.type = "button";
+        grantButton.className = "secondary-btn";
+        grantButton.textContent = "Grant";
+        grantButton.addEventListener("click", () => handleGrantHost(host));
+        item.appendChild(grantButton);
+      }
+
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "secondary-btn";
+      removeButton.textContent = "Remove";
+      removeButton.addEventListener("click", () => handleRemoveHost(host));
+      item.appendChild(removeButton);
+
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Add a self-hosted Jira site and request access to it
+   */
+  async function handleAddHost(event) {
+    event.preventDefault();
+
+    const input = document.getElementById("host-input");
+    const host = JiraUrls.parseHost(input.value);
+
+    if (!host) {
+      showHostError("Enter a valid http(s) address, e.g. https://jira.example.com/jira");
+      return;
+    }
+
+    if (settings.customHosts.includes(host.baseUrl)) {
+      showHostError("That site has already been added.");
+      return;
+    }
+
+    // Must be requested straight from the user's click, before any await
+    const permissionRequest = browser.permissions.request({
+      origins: [JiraUrls.permissionPattern(host)],
+    });
+
+    try {
+      const granted = await permissionRequest;
+      if (!granted) {
+        showHostError("The extension needs access to that site to work there.");
+        return;
+      }
+    } catch (err) {
+      console.error("Permission request failed:", err);
+      showHostError("Could not request access to that site.");
+      return;
+    }
+
+    settings.customHosts = settings.customHosts.concat(host.baseUrl);
+    await JiraSettings.saveSettings({ customHosts: settings.customHosts });
+
+    input.value = "";
+    showHostError(null);
+    await renderHosts();
+  }
+
+  /**
+   * Request access again for a site whose permission was revoked
+   */
+  async function handleGrantHost(host) {
+    try {
+      await browser.permissions.request({
+        origins: [JiraUrls.permissionPattern(host)],
+      });
+    } catch (err) {
+      console.error("Permission request failed:", err);
+    }
+
+    await renderHosts();
+  }
+
+  /**
+   * Remove a self-hosted Jira site, releasing access if no other site needs it
+   */
+  async function handleRemoveHost(host) {
+    settings.customHosts = settings.customHosts.filter(
+      (entry) => entry !== host.baseUrl,
+    );
+
+    const pattern = JiraUrls.permissionPattern(host);
+    const stillNeeded = settings.customHosts.some((entry) => {
+      const other = JiraUrls.parseHost(entry);
+      return other && JiraUrls.permissionPattern(other) === pattern;
+    });
+
+    if (!stillNeeded) {
+      try {
+        await browser.permissions.remove({ origins: [pattern] });
+      } catch (err) {
+        console.debug("Could not remove permission:", err);
+      }
+    }
+
+    await JiraSettings.saveSettings({ customHosts: settings.customHosts });
+    await renderHosts();
+  }
+
+  /**
+   * Show or clear the error under the add-site form
+   */
+  function showHostError(message) {
+    const error = document.getElementById("host-error");
+    error.textContent = message || "";
+    error.hidden = !message;
+  }
+
+  /**
+   * Save the site popup key lookups link to, asking for access to it so
+   * summaries can be fetched; an empty field clears it
+   */
+  async function handleSaveDefaultSite(event) {
+    event.preventDefault();
+
+    const input = document.getElementById("default-site-input");
+    const error = document.getElementById("default-site-error");
+    const showError = (message) => {
+      error.textContent = message || "";
+      error.hidden = !message;
+    };
+
+    if (!input.value.trim()) {
+      settings.defaultSite = "";
+      await JiraSettings.saveSettings({ defaultSite: "" });
+      showError(null);
+      return;
+    }
+
+    const host = JiraUrls.parseHost(input.value);
+    if (!host) {
+      showError("Enter a valid http(s) address, e.g. https://yoursite.atlassian.net");
+      return;
+    }
+
+    // Must be requested straight from the user's click, before any await
+    const permissionRequest = browser.permissions.request({
+      origins: [JiraUrls.permissionPattern(host)],
+    });
+
+    let granted = false;
+    try {
+      granted = await permissionRequest;
+    } catch (err) {
+      console.error("Permission request failed:", err);
+    }
+
+    settings.defaultSite = host.baseUrl;
+    input.value = host.baseUrl;
+    await JiraSettings.saveSettings({ defaultSite: host.baseUrl });
+    showError(
+      granted
+        ? null
+        : "Saved. Without access to the site, keys are linked without their summaries.",
+    );
+  }
+
+  /**
+   * Render the project prefixes mapped to a site, see lib/linkify.js
+   */
+  function renderProjectSites() {
+    const list = document.getElementById("project-site-list");
+    const prefixes = Object.keys(settings.projectSites).sort();
+
+    list.textContent = "";
+    document.getElementById("project-site-list-empty").hidden = prefixes.length > 0;
+
+    for (const prefix of prefixes) {
+      const item = document.createElement("li");
+
+      const label = document.createElement("span");
+      label.className = "item-label";
+      label.textContent = `${prefix} → ${settings.projectSites[prefix]}`;
+      label.title = settings.projectSites[prefix];
+      item.appendChild(label);
+
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "secondary-btn";
+      removeButton.textContent = "Remove";
+      removeButton.addEventListener("click", () => handleRemoveProjectSite(prefix));
+      item.appendChild(removeButton);
+
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Map a project prefix to a site, replacing any earlier mapping
+   */
+  async function handleAddProjectSite(event) {
+    event.preventDefault();
+
+    const prefixInput = document.getElementById("project-site-prefix");
+    const siteInput = document.getElementById("project-site-input");
+    const error = document.getElementById("project-site-error");
+    const showError = (message) => {
+      error.textContent = message || "";
+      error.hidden = !message;
+    };
+
+    const prefix = IssueLinkify.parsePrefix(prefixInput.value);
+    if (!prefix) {
+      showError("Enter a project key such as OPS: letters and digits, starting with a letter.");
+      return;
+    }
+
+    const host = JiraUrls.parseHost(siteInput.value);
+    if (!host) {
+      showError("Enter a valid http(s) address, e.g. https://jira.corp.example");
+      return;
+    }
+
+    settings.projectSites = Object.assign({}, settings.projectSites, { [prefix]: host.baseUrl });
+    await JiraSettings.saveSettings({ projectSites: settings.projectSites });
+
+    prefixInput.value = "";
+    siteInput.value = "";
+    showError(null);
+    renderProjectSites();
+  }
+
+  async function handleRemoveProjectSite(prefix) {
+    settings.projectSites = Object.assign({}, settings.projectSites);
+    delete settings.projectSites[prefix];
+    await JiraSettings.saveSettings({ projectSites: settings.projectSites });
+    renderProjectSites();
+  }
+
+  /**
+   * List every format with a checkbox to show or hide it
+   */
+  function renderFormatToggles() {
+    const list = document.getElementById("format-list");
+    list.textContent = "";
+
+    for (const format of IssueFormats.listFormats(settings.templates)) {
+      const item = document.createElement("li");
+      const label = document.createElement("label");
+      label.title = format.title;
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = format.id;
+      checkbox.checked = !settings.disabledFormats.includes(format.id);
+      checkbox.addEventListener("change", handleFormatToggle);
+
+      const example = document.createElement("code");
+      example.textContent = format.example;
+
+      label.append(checkbox, `${format.icon} ${format.label}`, example);
+      item.appendChild(label);
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Show or hide a format, keeping at least one on offer
+   */
+  async function handleFormatToggle(event) {
+    const checkbox = event.target;
+    const error = document.getElementById("format-error");
+
+    if (!document.querySelector("#format-list input:checked")) {
+      checkbox.checked = true;
+      error.textContent = "At least one format must stay enabled.";
+      error.hidden = false;
+      return;
+    }
+    error.hidden = true;
+
+    settings.disabledFormats = checkbox.checked
+      ? settings.disabledFormats.filter((id) => id !== checkbox.value)
+      : settings.disabledFormats.concat(checkbox.value);
+    await JiraSettings.saveSettings({ disabledFormats: settings.disabledFormats });
+  }
+
+  /**
+   * Show what copied HTML links include
+   */
+  function renderRichLinkOptions() {
+    const options = Object.assign(
+      {},
+      IssueFormats.DEFAULT_RICH_LINK_OPTIONS,
+      settings.richLinkOptions,
+    );
+    document.getElementById("rich-link-type-icon").checked = options.typeIcon;
+    document.getElementById("rich-link-status").checked = options.statusLozenge;
+  }
+
+  /**
+   * Save what copied HTML links include
+   */
+  async function handleRichLinkOptionsChange() {
+    settings.richLinkOptions = {
+      typeIcon: document.getElementById("rich-link-type-icon").checked,
+      statusLozenge: document.getElementById("rich-link-status").checked,
+    };
+    await JiraSettings.saveSettings({ richLinkOptions: settings.richLinkOptions });
+  }
+
+  /**
+   * Turn the copy buttons in Jira pages on or off; open pages follow
+   * straight away
+   */
+  async function handleInlineButtonsChange(event) {
+    settings.inlineButtons = event.target.checked;
+    await JiraSettings.saveSettings({ inlineButtons: settings.inlineButtons });
+  }
+
+  /**
+   * Fill the default format picker with built-in formats and templates
+   */
+  function renderDefaultFormats() {
+    const select = document.getElementById("default-format");
+    select.textContent = "";
+
+    for (const format of IssueFormats.listFormats(settings.templates)) {
+      const option = document.createElement("option");
+      option.value = format.id;
+      option.textContent = format.label;
+      select.appendChild(option);
+    }
+
+    // Fall back to the default if the chosen template was deleted
+    select.value = IssueFormats.findFormat(settings.defaultFormat, settings.templates)
+      ? settings.defaultFormat
+      : JiraSettings.DEFAULT_SETTINGS.defaultFormat;
+  }
+
+  /**
+   * Save the format copied by the default-format shortcut
+   */
+  async function handleDefaultFormatChange(event) {
+    settings.defaultFormat = event.target.value;
+    await JiraSettings.saveSettings({ defaultFormat: settings.defaultFormat });
+  }
+
+  /**
+   * Show the branch name rules, filling in defaults for any not yet saved
+   */
+  function renderSlugOptions() {
+    const options = Object.assign({}, GitFormats.DEFAULT_SLUG_OPTIONS, settings.slugOptions);
+
+    document.getElementById("slug-max-length").value = options.maxLength;
+    document.getElementById("slug-separator").value = options.separator;
+    document.getElementById("slug-lowercase").checked = options.lowercase;
+    document.getElementById("slug-ascii-only").checked = options.asciiOnly;
+    document.getElementById("slug-stop-words").checked = options.removeStopWords;
+    updateSlugPreview();
+  }
+
+  /**
+   * Save the branch name rules
+   */
+  async function handleSlugOptionsChange() {
+    const maxLength = document.getElementById("slug-max-length");
+    const length = Math.round(Number(maxLength.value));
+
+    settings.slugOptions = {
+      maxLength:
+        Number.isFinite(length) && length >= 10 && length <= 100
+          ? length
+          : GitFormats.DEFAULT_SLUG_OPTIONS.maxLength,
+      separator: document.getElementById("slug-separator").value,
+      lowercase: document.getElementById("slug-lowercase").checked,
+      asciiOnly: document.getElementById("slug-ascii-only").checked,
+      removeStopWords: document.getElementById("slug-stop-words").checked,
+    };
+    maxLength.value = settings.slugOptions.maxLength;
+
+    updateSlugPreview();
+    await JiraSettings.saveSettings({ slugOptions: settings.slugOptions });
+  }
+
+  /**
+   * Show the git formats for a sample issue with the current rules
+   */
+  function updateSlugPreview() {
+    const sample = Object.assign({}, IssueTemplates.SAMPLE_ISSUE, {
+      summary: "Fix the login redirect loop on Safari and Edge",
+    });
+    document.getElementById("slug-preview").textContent = [
+      GitFormats.branchName(sample, settings.slugOptions),
+      GitFormats.commitMessage(sample),
+      GitFormats.conventionalCommit(sample),
+    ].join("\n");
+  }
+
+  /**
+   * Show the release notes header and the placeholders it can use
+   */
+  function renderReleaseHeader() {
+    const options = Object.assign({}, ReleaseNotes.DEFAULT_RELEASE_OPTIONS, settings.releaseNotes);
+    const input = document.getElementById("release-header");
+    input.value = options.headerTemplate;
+    renderPlaceholders(
+      "release-placeholder-list",
+      input,
+      ReleaseNotes.HEADER_PLACEHOLDERS,
+      updateReleasePreview,
+    );
+    updateReleasePreview();
+  }
+
+  /**
+   * Show release notes for a sample release with the header being typed,
+   * and any placeholders the header can't use
+   */
+  function updateReleasePreview() {
+    const headerTemplate = document.getElementById("release-header").value;
+    const options = Object.assign({}, settings.releaseNotes, {
+      headerTemplate: headerTemplate,
+      doneOnly: false,
+      templates: settings.templates,
+      formatOptions: {
+        slugOptions: settings.slugOptions,
+        richLinkOptions: settings.richLinkOptions,
+      },
+    });
+    const sample = {
+      name: "2.4.0",
+      date: "2024-05-01",
+      issues: [
+        IssueTemplates.SAMPLE_ISSUE,
+        Object.assign({}, IssueTemplates.SAMPLE_ISSUE, {
+          key: "PROJ-124",
+          summary: "Show the release date in the footer",
+          url: IssueTemplates.SAMPLE_ISSUE.url.replace("PROJ-123", "PROJ-124"),
+          type: "Story",
+        }),
+      ],
+    };
+    document.getElementById("release-preview").textContent = ReleaseNotes.buildReleaseNotes(
+      sample,
+      options,
+    );
+
+    const warning = document.getElementById("release-warning");
+    const unknown = IssueTemplates.findUnknownPlaceholders(
+      headerTemplate,
+      ReleaseNotes.HEADER_PLACEHOLDERS,
+    );
+    warning.textContent = unknownPlaceholdersText(unknown);
+    warning.hidden = unknown.length === 0;
+  }
+
+  /**
+   * Save the release notes header, keeping the choices made in the popup
+   */
+  async function handleReleaseHeaderChange(event) {
+    event.target.value = event.target.value.trim();
+    settings.releaseNotes = Object.assign({}, settings.releaseNotes, {
+      headerTemplate: event.target.value,
+    });
+    await JiraSettings.saveSettings({ releaseNotes: settings.releaseNotes });
+  }
+
+  /**
+   * Save how many copies the history keeps, dropping any over the new limit
+   */
+  async function handleHistoryLimitChange(event) {
+    const limit = Math.round(Number(event.target.value));
+    if (event.target.value === "" || !Number.isFinite(limit) || limit < 0 || limit > 500) {
+      event.target.value = settings.historyLimit;
+      return;
+    }
+
+    settings.historyLimit = limit;
+    await JiraSettings.saveSettings({ historyLimit: limit });
+
+    const history = await CopyHistory.loadHistory();
+    await CopyHistory.saveHistory(CopyHistory.pruneHistory(history, limit));
+  }
+
+  /**
+   * Fill the field picker of the page selectors
+   */
+  function renderSelectorGroups() {
+    const select = document.getElementById("selector-group");
+    select.textContent = "";
+
+    for (const [id, group] of Object.entries(IssueSelectors.GROUPS)) {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = group.label;
+      select.appendChild(option);
+    }
+    select.value = selectorGroup;
+  }
+
+  /**
+   * Show the selectors of another field
+   */
+  function handleSelectorGroupChange(event) {
+    selectorGroup = event.target.value;
+    showSelectorError(null);
+    renderSelectors();
+  }
+
+  /**
+   * List the chosen field's selectors in the order they are tried,
+   * with what each matched in the last test
+   */
+  function renderSelectors() {
+    const list = document.getElementById("selector-list");
+    const entries = IssueSelectors.mergeGroup(selectorGroup, settings.selectorOverrides);
+    const results = (selectorTestResults && selectorTestResults[selectorGroup]) || {};
+
+    list.textContent = "";
+    document.getElementById("selector-input").placeholder =
+      IssueSelectors.GROUPS[selectorGroup].kind === "pattern"
+        ? "^([A-Z]+-\\d+) (.+) - Jira$"
+        : '[data-testid="issue-summary"]';
+
+    entries.forEach((entry, index) => {
+      const item = document.createElement("li");
+      item.classList.toggle("disabled", !entry.enabled);
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = entry.enabled;
+      checkbox.title = "Use this selector";
+      checkbox.addEventListener("change", () => {
+        entries[index] = Object.assign({}, entry, { enabled: checkbox.checked });
+        saveSelectorEntries(entries);
+      });
+      item.appendChild(checkbox);
+
+      const label = document.createElement("span");
+      label.className = "item-label";
+      label.textContent = entry.value;
+      label.title = entry.value;
+      item.appendChild(label);
+
+      const result = results[entry.value];
+      if (result) {
+        item.appendChild(createSelectorResult(result));
+      }
+
+      if (entry.builtIn) {
+        const status = document.createElement("span");
+        status.className = "item-status";
+        status.textContent = "Built-in";
+        item.appendChild(status);
+      } else {
+        item.appendChild(
+          createSelectorButton("Remove", "Remove", () => {
+            entries.splice(index, 1);
+            saveSelectorEntries(entries);
+          }),
+        );
+      }
+
+      item.appendChild(
+        createSelectorButton(
+          "↑",
+          "Try earlier",
+          () => moveSelector(entries, index, -1),
+          index === 0,
+        ),
+      );
+      item.appendChild(
+        createSelectorButton(
+          "↓",
+          "Try later",
+          () => moveSelector(entries, index, 1),
+          index === entries.length - 1,
+        ),
+      );
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Describe what a selector matched on the tested page
+   */
+  function createSelectorResult(result) {
+    const status = document.createElement("span");
+    status.className = "item-status selector-result";
+
+    if (result.error) {
+      status.classList.add("warning");
+      status.textContent = result.error;
+    } else if (result.matches === 0) {
+      status.classList.add("warning");
+      status.textContent = "No match";
+    } else {
+      const count = result.matches === 1 ? "1 match" : `${result.matches} matches`;
+      status.textContent = result.text ? `${count}: ${result.text}` : `${count}, no text`;
+    }
+
+    status.title = status.textContent;
+    return status;
+  }
+
+  function createSelectorButton(text, title, onClick, disabled = false) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "secondary-btn";
+    button.textContent = text;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  function moveSelector(entries, index, offset) {
+    const [entry] = entries.splice(index, 1);
+    entries.splice(index + offset, 0, entry);
+    saveSelectorEntries(entries);
+  }
+
+  /**
+   * Save the chosen field's selectors; a field back to the built-in
+   * defaults is dropped so it picks up new defaults in later releases
+   */
+  async function saveSelectorEntries(entries) {
+    const override = IssueSelectors.toOverride(selectorGroup, entries);
+
+    settings.selectorOverrides = Object.assign({}, settings.selectorOverrides);
+    if (override) {
+      settings.selectorOverrides[selectorGroup] = override;
+    } else {
+      delete settings.selectorOverrides[selectorGroup];
+    }
+
+    await JiraSettings.saveSettings({ selectorOverrides: settings.selectorOverrides });
+    renderSelectors();
+  }
+
+  /**
+   * Add a selector to the top of the chosen field's list
+   */
+  async function handleAddSelector(event) {
+    event.preventDefault();
+
+    const input = document.getElementById("selector-input");
+    const value = input.value.trim();
+    const entries = IssueSelectors.mergeGroup(selectorGroup, settings.selectorOverrides);
+
+    const error = IssueSelectors.validateEntry(selectorGroup, value);
+    if (error) {
+      showSelectorError(error);
+      return;
+    }
+    if (entries.some((entry) => entry.value === value)) {
+      showSelectorError("That selector is already listed.");
+      return;
+    }
+
+    input.value = "";
+    showSelectorError(null);
+    await saveSelectorEntries([{ value: value, enabled: true, builtIn: false }].concat(entries));
+  }
+
+  /**
+   * Put the chosen field back to the built-in selectors
+   */
+  async function handleResetSelectors() {
+    showSelectorError(null);
+    await saveSelectorEntries(IssueSelectors.mergeGroup(selectorGroup));
+  }
+
+  /**
+   * Download the selector changes of every field as JSON
+   */
+  function handleExportSelectors() {
+    const blob = new Blob([IssueSelectors.exportOverrides(settings.selectorOverrides)], {
+      type: "application/json",
+    });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "jira-issue-copy-helper-selectors.json";
+    link.click();
+
+    // Give the download a moment to start before releasing the file
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  /**
+   * Load exported selector changes, replacing those of the fields in the file
+   */
+  async function handleImportSelectors(event) {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      const imported = IssueSelectors.parseImport(await file.text());
+      settings.selectorOverrides = Object.assign({}, settings.selectorOverrides, imported);
+      await JiraSettings.saveSettings({ selectorOverrides: settings.selectorOverrides });
+      showSelectorError(null);
+    } catch (err) {
+      showSelectorError(`Could not import selectors: ${err.message}`);
+    }
+    renderSelectors();
+  }
+
+  /**
+   * Ask the content script of the last used Jira tab what every selector
+   * matches, including disabled ones
+   */
+  async function handleTestSelectors() {
+    const status = document.getElementById("selector-test-status");
+    status.hidden = false;
+
+    const tab = await findJiraTab();
+    if (!tab) {
+      status.textContent = "Open a Jira page in this window to test the selectors.";
+      return;
+    }
+
+    const entries = {};
+    for (const group of Object.keys(IssueSelectors.GROUPS)) {
+      entries[group] = IssueSelectors.mergeGroup(group, settings.selectorOverrides).map(
+        (entry) => entry.value,
+      );
+    }
+
+    try {
+      selectorTestResults = await browser.tabs.sendMessage(tab.id, {
+        action: "testSelectors",
+        entries: entries,
+      });
+      status.textContent = `Tested against "${tab.title}".`;
+    } catch (err) {
+      console.error("Selector test failed:", err);
+      selectorTestResults = null;
+      status.textContent = "The Jira tab didn't answer. Reload it and try again.";
+    }
+    renderSelectors();
+  }
+
+  /**
+   * The Jira tab used most recently in this window, or null
+   */
+  async function findJiraTab() {
+    const tabs = await browser.tabs.query({ currentWindow: true });
+    const jiraTabs = tabs
+      .filter((tab) => JiraUrls.isJiraSite(tab.url, settings.customHosts))
+      .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    return jiraTabs[0] || null;
+  }
+
+  /**
+   * Show or clear the error under the add-selector form
+   */
+  function showSelectorError(message) {
+    const error = document.getElementById("selector-error");
+    error.textContent = message || "";
+    error.hidden = !message;
+  }
+
+  /**
+   * List the extension's shortcuts and their current key bindings
+   */
+  async function renderShortcuts() {
+    const list = document.getElementById("shortcut-list");
+    list.textContent = "";
+
+    const commands = await browser.commands.getAll();
+    for (const command of commands) {
+      const item = document.createElement("li");
+
+      const description = document.createElement("span");
+      description.textContent = command.description;
+      item.appendChild(description);
+
+      if (command.shortcut) {
+        const shortcut = document.createElement("kbd");
+        shortcut.textContent = command.shortcut;
+        item.appendChild(shortcut);
+      } else {
+        const unset = document.createElement("span");
+        unset.className = "shortcut-unset";
+        unset.textContent = "Not set";
+        item.appendChild(unset);
+      }
+
+      list.appendChild(item);
+    }
+
+    // Only newer Firefox versions can open the shortcut settings directly
+    document.getElementById("edit-shortcuts").hidden =
+      typeof browser.commands.openShortcutSettings !== "function";
+  }
+
+  /**
+   * Render the saved copy templates
+   */
+  function renderTemplates() {
+    const list = document.getElementById("template-list");
+    const emptyMessage = document.getElementById("template-list-empty");
+
+    list.textContent = "";
+    emptyMessage.hidden = settings.templates.length > 0;
+
+    for (const template of settings.templates) {
+      const item = document.createElement("li");
+
+      const name = document.createElement("span");
+      name.className = "item-status";
+      name.textContent = template.name;
+      item.appendChild(name);
+
+      const text = document.createElement("span");
+      text.className = "item-label";
+      text.textContent = template.template;
+      text.title = template.template;
+      item.appendChild(text);
+
+      const mime = document.createElement("span");
+      mime.className = "item-status";
+      mime.textContent = template.mime === IssueTemplates.MIME_HTML ? "HTML" : "Text";
+      item.appendChild(mime);
+
+      const editButton = document.createElement("button");
+      editButton.type = "button";
+      editButton.className = "secondary-btn";
+      editButton.textContent = "Edit";
+      editButton.addEventListener("click", () => startEditTemplate(template));
+      item.appendChild(editButton);
+
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.className = "secondary-btn";
+      deleteButton.textContent = "Delete";
+      deleteButton.addEventListener("click", () => handleDeleteTemplate(template));
+      item.appendChild(deleteButton);
+
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Render clickable placeholder chips that insert into a template's text,
+   * calling onInsert afterwards
+   */
+  function renderPlaceholders(listId, textarea, placeholders, onInsert) {
+    const list = document.getElementById(listId);
+
+    list.textContent = "";
+
+    for (const [name, description] of Object.entries(placeholders)) {
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.title = description;
+
+      const code = document.createElement("code");
+      code.textContent = `{${name}}`;
+      button.appendChild(code);
+
+      button.addEventListener("click", () => {
+        textarea.setRangeText(`{${name}}`, textarea.selectionStart, textarea.selectionEnd, "end");
+        textarea.focus();
+        onInsert();
+      });
+
+      item.appendChild(button);
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Render the template being edited against the sample issue
+   */
+  function updatePreview() {
+    const text = document.getElementById("template-text").value;
+    const mime = document.getElementById("template-mime").value;
+    const preview = document.getElementById("template-preview");
+    const htmlPreview = document.getElementById("template-preview-html");
+    const warning = document.getElementById("template-warning");
+
+    const output = IssueTemplates.renderTemplate(text, IssueTemplates.SAMPLE_ISSUE, mime);
+    preview.textContent = output;
+
+    // Also show HTML templates the way a rich-text editor would paste them
+    htmlPreview.textContent = "";
+    htmlPreview.hidden = mime !== IssueTemplates.MIME_HTML;
+    if (mime === IssueTemplates.MIME_HTML) {
+      const doc = new DOMParser().parseFromString(output, "text/html");
+      const nodes = Array.from(doc.body.childNodes);
+      htmlPreview.append(...nodes.map((node) => document.adoptNode(node)));
+    }
+
+    const unknown = IssueTemplates.findUnknownPlaceholders(text);
+    warning.textContent = unknownPlaceholdersText(unknown);
+    warning.hidden = unknown.length === 0;
+  }
+
+  /**
+   * Warning for placeholders a template doesn't know, or "" if none
+   */
+  function unknownPlaceholdersText(unknown) {
+    if (unknown.length === 0) {
+      return "";
+    }
+    const names = unknown.map((name) => `{${name}}`).join(", ");
+    return `Unknown placeholder${unknown.length > 1 ? "s" : ""}: ${names}`;
+  }
+
+  /**
+   * Add a new template or save changes to the one being edited
+   */
+  async function handleSaveTemplate(event) {
+    event.preventDefault();
+
+    const name = document.getElementById("template-name").value.trim();
+    const text = document.getElementById("template-text").value;
+    const mime = document.getElementById("template-mime").value;
+
+    if (!name || !text.trim()) {
+      showTemplateError("Give the template a name and some text.");
+      return;
+    }
+
+    if (editingTemplateId) {
+      settings.templates = settings.templates.map((template) =>
+        template.id === editingTemplateId
+          ? Object.assign({}, template, { name: name, template: text, mime: mime })
+          : template,
+      );
+    } else {
+      settings.templates = settings.templates.concat(
+        IssueTemplates.createTemplate(name, text, mime),
+      );
+    }
+
+    await JiraSettings.saveSettings({ templates: settings.templates });
+
+    resetTemplateForm();
+    renderTemplates();
+    renderFormatToggles();
+    renderDefaultFormats();
+    renderProfileFormats(checkedProfileFormats());
+  }
+
+  /**
+   * Load a template into the form for editing
+   */
+  function startEditTemplate(template) {
+    editingTemplateId = template.id;
+
+    document.getElementById("template-name").value = template.name;
+    document.getElementById("template-text").value = template.template;
+    document.getElementById("template-mime").value = template.mime;
+    document.getElementById("save-template").textContent = "Save template";
+    document.getElementById("cancel-template").hidden = false;
+
+    showTemplateError(null);
+    updatePreview();
+  }
+
+  /**
+   * Clear the template form back to "add" mode
+   */
+  function resetTemplateForm() {
+    editingTemplateId = null;
+
+    document.getElementById("template-form").reset();
+    document.getElementById("save-template").textContent = "Add template";
+    document.getElementById("cancel-template").hidden = true;
+
+    showTemplateError(null);
+    updatePreview();
+  }
+
+  /**
+   * Delete a saved template
+   */
+  async function handleDeleteTemplate(template) {
+    settings.templates = settings.templates.filter((entry) => entry.id !== template.id);
+    await JiraSettings.saveSettings({ templates: settings.templates });
+
+    if (editingTemplateId === template.id) {
+      resetTemplateForm();
+    }
+    renderTemplates();
+    renderFormatToggles();
+    renderDefaultFormats();
+    renderProfileFormats(checkedProfileFormats());
+  }
+
+  /**
+   * Show or clear the error under the template form
+   */
+  function showTemplateError(message) {
+    const error = document.getElementById("template-error");
+    error.textContent = message || "";
+    error.hidden = !message;
+  }
+
+  /**
+   * Render the formatting profiles, see lib/profiles.js
+   */
+  function renderProfiles() {
+    const list = document.getElementById("profile-list");
+    const emptyMessage = document.getElementById("profile-list-empty");
+
+    list.textContent = "";
+    emptyMessage.hidden = settings.profiles.length > 0;
+
+    for (const profile of settings.profiles) {
+      const item = document.createElement("li");
+
+      const name = document.createElement("span");
+      name.className = "item-status";
+      name.textContent = profile.name;
+      item.appendChild(name);
+
+      const match = document.createElement("span");
+      match.className = "item-label";
+      match.textContent = IssueProfiles.describeMatch(profile);
+      match.title = match.textContent;
+      item.appendChild(match);
+
+      const formats = document.createElement("span");
+      formats.className = "item-status";
+      formats.textContent = profile.formats ? `${profile.formats.length} formats` : "All formats";
+      item.appendChild(formats);
+
+      const editButton = document.createElement("button");
+      editButton.type = "button";
+      editButton.className = "secondary-btn";
+      editButton.textContent = "Edit";
+      editButton.addEventListener("click", () => startEditProfile(profile));
+      item.appendChild(editButton);
+
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.className = "secondary-btn";
+      deleteButton.textContent = "Delete";
+      deleteButton.addEventListener("click", () => handleDeleteProfile(profile));
+      item.appendChild(deleteButton);
+
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * List every format and template to pick for a profile, and its default
+   * format choices
+   */
+  function renderProfileFormats(checked) {
+    const list = document.getElementById("profile-format-list");
+    const select = document.getElementById("profile-default-format");
+    const selectedDefault = select.value;
+
+    list.textContent = "";
+    select.textContent = "";
+    select.add(new Option("Same as the shortcut default", ""));
+
+    for (const format of IssueFormats.listFormats(settings.templates)) {
+      const item = document.createElement("li");
+      const label = document.createElement("label");
+      label.title = format.title;
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = format.id;
+      checkbox.checked = checked.includes(format.id);
+
+      label.append(checkbox, `${format.icon} ${format.label}`);
+      item.appendChild(label);
+      list.appendChild(item);
+
+      select.add(new Option(format.label, format.id));
+    }
+
+    select.value = IssueFormats.findFormat(selectedDefault, settings.templates)
+      ? selectedDefault
+      : "";
+  }
+
+  function checkedProfileFormats() {
+    return Array.from(
+      document.querySelectorAll("#profile-format-list input:checked"),
+      (checkbox) => checkbox.value,
+    );
+  }
+
+  /**
+   * Add a new profile or save the one being edited
+   */
+  async function handleSaveProfile(event) {
+    event.preventDefault();
+
+    const chooseFormats = document.getElementById("profile-choose-formats").checked;
+    const result = IssueProfiles.normalizeProfile({
+      id: editingProfileId,
+      name: document.getElementById("profile-name").value,
+      hosts: document.getElementById("profile-hosts").value,
+      projects: document.getElementById("profile-projects").value,
+      defaultFormat: document.getElementById("profile-default-format").value,
+      formats: chooseFormats ? checkedProfileFormats() : null,
+    });
+
+    if (result.error) {
+      showProfileError(result.error);
+      return;
+    }
+
+    const replaceEdited = (profile) => (profile.id === editingProfileId ? result.profile : profile);
+    settings.profiles = editingProfileId
+      ? settings.profiles.map(replaceEdited)
+      : settings.profiles.concat(result.profile);
+    await JiraSettings.saveSettings({ profiles: settings.profiles });
+
+    resetProfileForm();
+    renderProfiles();
+  }
+
+  /**
+   * Load a profile into the form for editing
+   */
+  function startEditProfile(profile) {
+    editingProfileId = profile.id;
+
+    document.getElementById("profile-name").value = profile.name;
+    document.getElementById("profile-hosts").value = profile.hosts.join(", ");
+    document.getElementById("profile-projects").value = profile.projects.join(", ");
+    document.getElementById("profile-choose-formats").checked = Boolean(profile.formats);
+    document.getElementById("profile-format-list").hidden = !profile.formats;
+    renderProfileFormats(profile.formats || []);
+    const knownDefault = IssueFormats.findFormat(profile.defaultFormat, settings.templates);
+    document.getElementById("profile-default-format").value = knownDefault ? knownDefault.id : "";
+    document.getElementById("save-profile").textContent = "Save profile";
+    document.getElementById("cancel-profile").hidden = false;
+
+    showProfileError(null);
+  }
+
+  /**
+   * Clear the profile form back to "add" mode
+   */
+  function resetProfileForm() {
+    editingProfileId = null;
+
+    document.getElementById("profile-form").reset();
+    document.getElementById("profile-format-list").hidden = true;
+    renderProfileFormats([]);
+    document.getElementById("save-profile").textContent = "Add profile";
+    document.getElementById("cancel-profile").hidden = true;
+
+    showProfileError(null);
+  }
+
+  async function handleDeleteProfile(profile) {
+    settings.profiles = settings.profiles.filter((entry) => entry.id !== profile.id);
+    await JiraSettings.saveSettings({ profiles: settings.profiles });
+
+    if (editingProfileId === profile.id) {
+      resetProfileForm();
+    }
+    renderProfiles();
+  }
+
+  function showProfileError(message) {
+    const error = document.getElementById("profile-error");
+    error.textContent = message || "";
+    error.hidden = !message;
+  }
+
+  // Initialize when DOM is ready
+  document.addEventListener("DOMContentLoaded", init);
+})();
@@ -6,13 +6,113 @@
 (function () {
   "use strict";
 
+  // Extra issue fields listed under the summary, in display order; each
+  // is labelled by the message "issueField_<name>" in _locales
+  const ISSUE_FIELDS = [
+    "type",
+    "status",
+    "priority",
+    "assignee",
+    "reporter",
+    "parent",
+    "sprint",
+    "labels",
+    "fixVersions",
+  ];
+
+  // Popup states shown instead of an issue, by data-state of #status-message,
+  // with the messages of their title and hint
+  const POPUP_STATES = {
+    loading: {
+      title: "stateLoading",
+      hint: null,
+    },
+    notIssuePage: {
+      title: "stateNotIssuePage",
+      hint: "stateNotIssuePageHint",
+    },
+    unavailable: {
+      title: "stateUnavailable",
+      hint: "stateUnavailableHint",
+    },
+    extractionFailed: {
+      title: "stateExtractionFailed",
+      hint: "stateExtractionFailedHint",
+    },
+  };
+
+  // Waits between attempts to reach the content script after injecting
+  // it, doubling while the page finishes loading
+  const RETRY_DELAYS = [100, 200, 400, 800, 1600];
+
+  let issueData = null;
   let issueFormats = null;
+  // The shown issue's templates and hidden formats, from its profile if
+  // one matches (see lib/profiles.js)
+  let templates = [];
+  let customHosts = [];
+  // Settings the built-in formats depend on: slugOptions, richLinkOptions
+  let formatOptions = {};
+  let disabledFormats = [];
+  // Settings before any profile is applied
+  let baseSettings = null;
+  // Site keys typed into "Look up issue keys" link to
+  let defaultSite = "";
+
+  // Copied issues, newest first, see lib/history.js
+  let copyHistory = [];
+  let historyLimit = 0;
+
+  // Subtasks, linked issues and child issues of the issue, by relation,
+  // loaded when first copied; see IssueApi.fetchRelatedIssues
+  let relatedIssues = {};
+
+  // Issues listed on a board, backlog or search page, from getIssueList
+  let issueList = null;
+  let activeTabId = null;
+  let activeTabUrl = null;
+  let tableColumns = [];
+
+  // Fix version, sprint or search the page's release notes come from (see
+  // JiraUrls.releaseSourceFromUrl), its issues once loaded, and the
+  // templates its link formats come from
+  let releaseSource = null;
+  let release = null;
+  let releaseTemplates = [];
+  let releaseOptions = {};
+
+  // What the popup and content script found, see lib/diagnostics.js
+  let diagnostics = createDiagnosticsReport(null);
 
   /**
    * Initialize the popup
    */
   async function init() {
+    showState("loading");
     try {
+      const settings = await JiraSettings.loadSettings();
+      baseSettings = settings;
+      templates = settings.templates;
+      customHosts = settings.customHosts;
+      tableColumns = settings.tableColumns;
+      releaseOptions = Object.assign(
+        {},
+        ReleaseNotes.DEFAULT_RELEASE_OPTIONS,
+        settings.releaseNotes,
+      );
+      historyLimit = settings.historyLimit;
+      formatOptions = {
+        slugOptions: settings.slugOptions,
+        richLinkOptions: settings.richLinkOptions,
+      };
+      disabledFormats = settings.disabledFormats;
+      defaultSite = settings.defaultSite;
+      renderLookupHint();
+
+      // History works on any page, so show it before looking at the tab
+      copyHistory = await CopyHistory.loadHistory();
+      renderHistory();
+
       // Get the active tab
       const tabs = await browser.tabs.query({
         active: true,
@@ -21,79 +121,489 @@
       const tab = tabs[0];
 
       if (!tab) {
-        showError();
+        showState("notIssuePage");
         return;
       }
 
       // Check if we're on a Jira page
-      if (!isJiraUrl(tab.url)) {
-        showError();
+      activeTabId = tab.id;
+      activeTabUrl = tab.url;
+      diagnostics = createDiagnosticsReport(tab.url);
+      if (!isJiraUrl(tab.url, customHosts)) {
+        showState("notIssuePage");
         return;
       }
 
-      // Request issue data from the content script
-      try {
-        const response = await browser.tabs.sendMessage(tab.id, {
-          action: "getIssueData",
-        });
+      const response = await requestIssueData(tab.id);
+      if (!response) {
+        showState("unavailable");
+        return;
+      }
+      await showPageIssues(tab, response);
+    } catch (err) {
+      console.error("Init error:", err);
+      diagnostics.error = err.message;
+      showState("extractionFailed");
+    }
+  }
 
-        if (response && response.formats && response.issueData.key) {
-          issueFormats = response.formats;
-          showIssueInfo(response.issueData);
-          enableButtons();
-        } else {
-          showError();
-        }
+  /**
+   * Ask the content script for the issue, injecting it into tabs opened
+   * before the extension was installed or updated
+   * Returns null if the page never answers
+   */
+  async function requestIssueData(tabId) {
+    const request = { action: "getIssueData" };
+
+    try {
+      const response = await browser.tabs.sendMessage(tabId, request);
+      diagnostics.contentScript = "responded";
+      return response;
+    } catch (err) {
+      console.debug("Content script not responding, injecting it:", err);
+    }
+
+    const injectionError = await injectContentScript(tabId);
+    if (injectionError) {
+      // A page that is still loading gets its content script anyway
+      const tab = await browser.tabs.get(tabId);
+      if (tab.status === "complete") {
+        diagnostics.contentScript = `not running, injection failed (${injectionError})`;
+        return null;
+      }
+    }
+
+    let lastError = null;
+    for (const [attempt, delay] of RETRY_DELAYS.entries()) {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      try {
+        const response = await browser.tabs.sendMessage(tabId, request);
+        diagnostics.contentScript = `responded after injection (attempt ${attempt + 1})`;
+        return response;
       } catch (err) {
-        // Content script might not be loaded, try injecting it
-        console.log("Content script not responding, attempting injection...");
-        await injectContentScript(tab.id);
-
-        // Retry after injection
-        setTimeout(async () => {
-          try {
-            const response = await browser.tabs.sendMessage(tab.id, {
-              action: "getIssueData",
-            });
-            if (response && response.formats && response.issueData.key) {
-              issueFormats = response.formats;
-              showIssueInfo(response.issueData);
-              enableButtons();
-            } else {
-              showError();
-            }
-          } catch (retryErr) {
-            console.error("Retry failed:", retryErr);
-            showError();
-          }
-        }, 100);
+        lastError = err;
       }
+    }
+
+    console.error("Content script did not respond:", lastError);
+    diagnostics.contentScript = `no response after injection (${lastError.message})`;
+    return null;
+  }
+
+  /**
+   * Show the single issue and/or the list of issues found on the page,
+   * or why there's neither
+   */
+  async function showPageIssues(tab, response) {
+    diagnostics.extraction = response.diagnostics || null;
+    if (response.error) {
+      diagnostics.error = response.error;
+    }
+    renderDiagnostics();
+
+    const foundIssue = handleIssueResponse(response);
+    const foundList =
+      JiraUrls.hasIssueList(tab.url, customHosts) && (await loadIssueList());
+    const foundRelease = renderReleaseControls(tab.url);
+
+    if (!foundIssue && !foundList && !foundRelease) {
+      // Pages such as dashboards have nothing to copy; on issue pages and
+      // lists, finding nothing means extraction broke
+      const expectsIssues =
+        response.error ||
+        JiraUrls.hasIdentifiableIssue(tab.url, customHosts) ||
+        JiraUrls.hasIssueList(tab.url, customHosts);
+      showState(expectsIssues ? "extractionFailed" : "notIssuePage");
+    } else if (!foundIssue) {
+      document.getElementById("status-message").hidden = true;
+      document.getElementById("issue-info").hidden = true;
+      document.getElementById("button-group").hidden = true;
+    }
+  }
+
+  /**
+   * Show the issue and its copy buttons
+   * Returns false if the page has no identifiable issue
+   */
+  function handleIssueResponse(response) {
+    if (response && response.formats && response.issueData.key) {
+      showIssue(response.issueData);
+      renderRelatedControls();
+      renderContentControls();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Show an issue with a button per format
+   */
+  function showIssue(issue) {
+    issueData = issue;
+    const resolved = IssueProfiles.resolveSettings(baseSettings, issue);
+    templates = resolved.templates;
+    disabledFormats = resolved.disabledFormats;
+    showProfile(resolved.profile);
+    // Regenerated here because branch names depend on the user's settings
+    issueFormats = IssueFormats.renderFormats(
+      IssueFormats.generateFormats(issue, formatOptions),
+      issue,
+      templates,
+    );
+    showIssueInfo(issue);
+    renderButtons();
+    enableButtons();
+  }
+
+  /**
+   * Ask the content script for the listed issues and show the list section
+   * Returns false if no issues are listed on the page
+   */
+  async function loadIssueList() {
+    const scope = document.getElementById("list-scope").value;
+
+    // Search results can also be copied as a table, which needs every column
+    const isSearch = JiraUrls.isIssueSearch(activeTabUrl, customHosts);
+
+    try {
+      issueList = await browser.tabs.sendMessage(activeTabId, {
+        action: "getIssueList",
+        scope: scope,
+        withDetails: isSearch,
+      });
     } catch (err) {
-      console.error("Init error:", err);
-      showError();
+      console.error("Could not get issue list:", err);
+      issueList = null;
+    }
+
+    const listSection = document.getElementById("list-section");
+    if (!issueList || issueList.visibleCount === 0) {
+      listSection.hidden = true;
+      return false;
+    }
+
+    const count = document.getElementById("list-count");
+    count.textContent =
+      issueList.selectedCount > 0
+        ? IssueI18n.message("listCountSelected", [
+          String(issueList.selectedCount),
+          String(issueList.visibleCount),
+        ])
+        : IssueI18n.message("listCountShown", [String(issueList.visibleCount)]);
+
+    renderListButtons();
+    if (isSearch) {
+      renderTableControls();
+    }
+    listSection.hidden = false;
+    return true;
+  }
+
+  /**
+   * Create the column picker and one copy button per table format
+   */
+  function renderTableControls() {
+    const columnList = document.getElementById("table-column-list");
+    columnList.textContent = "";
+
+    for (const [column, label] of Object.entries(IssueTable.TABLE_COLUMNS)) {
+      const option = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = column;
+      checkbox.checked = tableColumns.includes(column);
+      checkbox.addEventListener("change", handleColumnChange);
+
+      option.append(checkbox, ` ${IssueI18n.label("tableColumn", column, label)}`);
+      columnList.appendChild(option);
+    }
+
+    const buttonGroup = document.getElementById("table-button-group");
+    buttonGroup.textContent = "";
+
+    for (const [format, englishLabel] of Object.entries(IssueTable.TABLE_FORMATS)) {
+      const label = IssueI18n.label("tableFormat", format, englishLabel);
+      const button = document.createElement("button");
+      button.className = "copy-btn";
+      button.dataset.format = format;
+      button.title = IssueI18n.message("tableButtonTitle", [String(issueList.issues.length), label]);
+
+      const text = document.createElement("span");
+      text.className = "btn-text";
+      text.textContent = label;
+
+      button.appendChild(text);
+      button.addEventListener("click", handleTableCopyClick);
+      buttonGroup.appendChild(button);
+    }
+
+    updateColumnCount();
+    document.getElementById("table-section").hidden = false;
+  }
+
+  /**
+   * Save the picked table columns, keeping the order they're offered in
+   */
+  async function handleColumnChange() {
+    const checked = Array.from(
+      document.querySelectorAll("#table-column-list input:checked"),
+    ).map((checkbox) => checkbox.value);
+
+    tableColumns = Object.keys(IssueTable.TABLE_COLUMNS).filter((column) =>
+      checked.includes(column),
+    );
+    updateColumnCount();
+    await JiraSettings.saveSettings({ tableColumns: tableColumns });
+  }
+
+  function updateColumnCount() {
+    document.getElementById("table-column-count").textContent =
+      tableColumns.length === 1
+        ? IssueI18n.message("tableColumnCountOne")
+        : IssueI18n.message("tableColumnCount", [String(tableColumns.length)]);
+    document
+      .querySelectorAll("#table-button-group .copy-btn")
+      .forEach((button) => {
+        button.disabled = tableColumns.length === 0;
+      });
+  }
+
+  /**
+   * Create one copy button per list format
+   */
+  function renderListButtons() {
+    const buttonGroup = document.getElementById("list-button-group");
+    buttonGroup.textContent = "";
+
+    const count = String(issueList.issues.length);
+    for (const [format, englishLabel] of Object.entries(IssueList.LIST_FORMATS)) {
+      const label = IssueI18n.label("listFormat", format, englishLabel);
+      const button = document.createElement("button");
+      button.className = "copy-btn";
+      button.dataset.format = format;
+      button.title = IssueI18n.message("listButtonTitle", [count, label]);
+
+      const text = document.createElement("span");
+      text.className = "btn-text";
+      text.textContent = label;
+
+      const example = document.createElement("span");
+      example.className = "btn-example";
+      example.textContent = IssueI18n.message("listCountExample", [count]);
+
+      button.append(text, example);
+      button.addEventListener("click", handleListCopyClick);
+      buttonGroup.appendChild(button);
     }
   }
 
+  /**
+   * Create the related issue picker and one copy button per list format
+   */
+  function renderRelatedControls() {
+    const kind = document.getElementById("related-kind");
+    kind.textContent = "";
+    for (const [relation, label] of Object.entries(IssueList.RELATIONS)) {
+      kind.add(new Option(IssueI18n.label("relation", relation, label), relation));
+    }
+
+    const buttonGroup = document.getElementById("related-button-group");
+    buttonGroup.textContent = "";
+
+    for (const [format, englishLabel] of Object.entries(IssueList.LIST_FORMATS)) {
+      const label = IssueI18n.label("listFormat", format, englishLabel);
+      const button = document.createElement("button");
+      button.className = "copy-btn";
+      button.dataset.format = format;
+      button.title = IssueI18n.message("relatedButtonTitle", [issueData.key, label]);
+
+      const text = document.createElement("span");
+      text.className = "btn-text";
+      text.textContent = label;
+
+      const example = document.createElement("span");
+      example.className = "btn-example";
+      example.textContent = IssueI18n.message("relatedButtonExample", [issueData.key]);
+
+      button.append(text, example);
+      button.addEventListener("click", handleRelatedCopyClick);
+      buttonGroup.appendChild(button);
+    }
+
+    document.getElementById("related-section").hidden = false;
+  }
+
+  /**
+   * Create the content picker (description, comments, selection) and one
+   * copy button per content format
+   */
+  function renderContentControls() {
+    const part = document.getElementById("content-part");
+    part.textContent = "";
+    for (const [name, label] of Object.entries(IssueContent.CONTENT_PARTS)) {
+      part.add(new Option(IssueI18n.label("contentPart", name, label), name));
+    }
+
+    const buttonGroup = document.getElementById("content-button-group");
+    buttonGroup.textContent = "";
+
+    for (const [format, englishLabel] of Object.entries(IssueContent.CONTENT_FORMATS)) {
+      const label = IssueI18n.label("contentFormat", format, englishLabel);
+      const button = document.createElement("button");
+      button.className = "copy-btn";
+      button.dataset.format = format;
+      button.title = IssueI18n.message("contentButtonTitle", [label]);
+
+      const text = document.createElement("span");
+      text.className = "btn-text";
+      text.textContent = label;
+
+      const example = document.createElement("span");
+      example.className = "btn-example";
+      example.textContent = IssueI18n.message(
+        format === "html" ? "contentExampleHtml" : "contentExampleMarkdown",
+      );
+
+      button.append(text, example);
+      button.addEventListener("click", handleContentCopyClick);
+      buttonGroup.appendChild(button);
+    }
+
+    document.getElementById("content-section").hidden = false;
+  }
+
+  /**
+   * Create the release notes pickers and one copy button per output
+   * format, on fix version, board and search pages
+   * Returns false if the page has no release
+   */
+  function renderReleaseControls(url) {
+    releaseSource = JiraUrls.releaseSourceFromUrl(url, customHosts);
+    if (!releaseSource) {
+      return false;
+    }
+
+    document.getElementById("release-heading").textContent = IssueI18n.message(
+      `releaseHeading_${releaseSource.kind}`,
+    );
+
+    // No single issue to match a profile's projects, so only its sites
+    const resolved = IssueProfiles.resolveSettings(baseSettings, { url: url });
+    releaseTemplates = resolved.templates;
+    fillSelect(
+      "release-link-format",
+      listLocalizedFormats(resolved.templates, resolved.disabledFormats).map((format) => [
+        format.id,
+        format.label,
+      ]),
+      releaseOptions.linkFormat,
+    );
+    fillSelect(
+      "release-group",
+      Object.entries(ReleaseNotes.RELEASE_GROUPS).map(([id, label]) => [
+        id,
+        IssueI18n.label("releaseGroup", id, label),
+      ]),
+      releaseOptions.groupBy,
+    );
+    fillSelect(
+      "release-sort",
+      Object.entries(ReleaseNotes.RELEASE_SORTS).map(([id, label]) => [
+        id,
+        IssueI18n.label("releaseSort", id, label),
+      ]),
+      releaseOptions.sortBy,
+    );
+    document.getElementById("release-done-only").checked = releaseOptions.doneOnly;
+
+    const buttonGroup = document.getElementById("release-button-group");
+    buttonGroup.textContent = "";
+
+    for (const [format, englishLabel] of Object.entries(ReleaseNotes.RELEASE_FORMATS)) {
+      const label = IssueI18n.label("releaseFormat", format, englishLabel);
+      const button = document.createElement("button");
+      button.className = "copy-btn";
+      button.dataset.format = format;
+      button.title = IssueI18n.message("releaseButtonTitle", [label]);
+
+      const text = document.createElement("span");
+      text.className = "btn-text";
+      text.textContent = label;
+
+      const example = document.createElement("span");
+      example.className = "btn-example";
+      example.textContent = IssueI18n.message(
+        format === "html" ? "releaseExampleHtml" : "releaseExampleMarkdown",
+      );
+
+      button.append(text, example);
+      button.addEventListener("click", handleReleaseCopyClick);
+      buttonGroup.appendChild(button);
+    }
+
+    document.getElementById("release-section").hidden = false;
+    return true;
+  }
+
+  /**
+   * Replace a select's options with [value, label] entries, selecting
+   * value if it's one of them
+   */
+  function fillSelect(id, entries, value) {
+    const select = document.getElementById(id);
+    select.textContent = "";
+    for (const [optionValue, label] of entries) {
+      select.add(new Option(label, optionValue, false, optionValue === value));
+    }
+  }
+
+  /**
+   * Save the release notes choices, next to the header template set on
+   * the options page
+   */
+  async function handleReleaseOptionChange() {
+    const choices = {
+      linkFormat: document.getElementById("release-link-format").value,
+      groupBy: document.getElementById("release-group").value,
+      sortBy: document.getElementById("release-sort").value,
+      doneOnly: document.getElementById("release-done-only").checked,
+    };
+    Object.assign(releaseOptions, choices);
+
+    baseSettings.releaseNotes = Object.assign({}, baseSettings.releaseNotes, choices);
+    await JiraSettings.saveSettings({ releaseNotes: baseSettings.releaseNotes });
+  }
+
   /**
    * Check if URL is a Jira URL
+   * Includes self-hosted instances configured on the options page
    */
-  function isJiraUrl(url) {
+  function isJiraUrl(url, customHosts) {
     if (!url) return false;
     return (
       url.includes(".atlassian.net/") ||
       url.includes("/jira/") ||
-      url.includes("/browse/")
+      url.includes("/browse/") ||
+      JiraUrls.isJiraSite(url, customHosts)
     );
   }
 
   /**
    * Inject content script manually if needed
+   * Uses the manifest's content script files, so it works the same in
+   * Firefox and Chrome; content_script.js ignores a second injection
+   * Returns the error message if injection failed, otherwise null
    */
   async function injectContentScript(tabId) {
     try {
-      await browser.tabs.executeScript(tabId, { file: "content.js" });
+      await browser.scripting.executeScript({
+        target: { tabId: tabId },
+        files: browser.runtime.getManifest().content_scripts[0].js,
+      });
+      return null;
     } catch (err) {
       console.error("Failed to inject content script:", err);
+      return err.message;
     }
   }
 
@@ -102,35 +612,451 @@
    */
   function showIssueInfo(issueData) {
     const issueInfo = document.getElementById("issue-info");
-    const errorMessage = document.getElementById("error-message");
+    const statusMessage = document.getElementById("status-message");
     const keyElement = document.getElementById("issue-key");
     const summaryElement = document.getElementById("issue-summary");
 
     keyElement.textContent = issueData.key;
-    summaryElement.textContent = issueData.summary || "(No summary)";
+    summaryElement.textContent = issueData.summary || IssueI18n.message("noSummary");
+    showIssueFields(issueData);
 
     issueInfo.hidden = false;
-    errorMessage.hidden = true;
+    statusMessage.hidden = true;
   }
 
   /**
-   * Show error state
+   * Name the profile whose formats are shown, if any
    */
-  function showError() {
-    const issueInfo = document.getElementById("issue-info");
-    const errorMessage = document.getElementById("error-message");
+  function showProfile(profile) {
+    const profileElement = document.getElementById("issue-profile");
+    profileElement.textContent = profile ? IssueI18n.message("profileName", [profile.name]) : "";
+    profileElement.title = profile ? IssueProfiles.describeMatch(profile) : "";
+    profileElement.hidden = !profile;
+  }
+
+  /**
+   * List the extra issue fields that were found on the page
+   */
+  function showIssueFields(issueData) {
+    const fieldList = document.getElementById("issue-fields");
+    fieldList.textContent = "";
+
+    for (const name of ISSUE_FIELDS) {
+      const value = Array.isArray(issueData[name])
+        ? issueData[name].join(", ")
+        : issueData[name];
+      if (!value) continue;
+
+      const term = document.createElement("dt");
+      term.textContent = IssueI18n.message(`issueField_${name}`);
+      const description = document.createElement("dd");
+      description.textContent = value;
+      description.title = value;
+
+      fieldList.append(term, description);
+    }
+
+    fieldList.hidden = !fieldList.hasChildNodes();
+  }
+
+  /**
+   * Show one of POPUP_STATES in place of the issue
+   */
+  function showState(name) {
+    const state = POPUP_STATES[name];
+    const statusMessage = document.getElementById("status-message");
+    const hint = document.getElementById("status-hint");
+
+    document.getElementById("issue-info").hidden = true;
+    document.getElementById("button-group").hidden = true;
+    document.getElementById("related-section").hidden = true;
+    document.getElementById("content-section").hidden = true;
+
+    statusMessage.dataset.state = name;
+    statusMessage.hidden = false;
+    document.getElementById("status-title").textContent = IssueI18n.message(state.title);
+    hint.textContent = state.hint ? IssueI18n.message(state.hint) : "";
+    hint.hidden = !state.hint;
+
+    if (name === "loading") {
+      return;
+    }
+
+    // Nothing to copy here, so offer earlier copies and key lookup instead
+    document.getElementById("history-section").open = true;
+    document.getElementById("lookup-section").open = name === "notIssuePage";
+    document.getElementById("diagnostics-section").open = name === "extractionFailed";
+    renderDiagnostics();
+  }
+
+  /**
+   * Start the diagnostics report for the active tab's URL
+   */
+  function createDiagnosticsReport(url) {
+    return {
+      version: browser.runtime.getManifest().version,
+      userAgent: navigator.userAgent,
+      url: url,
+      checks: {
+        jiraSite: Boolean(url) && isJiraUrl(url, customHosts),
+        singleIssue: Boolean(url) && JiraUrls.hasIdentifiableIssue(url, customHosts),
+        issueList: Boolean(url) && JiraUrls.hasIssueList(url, customHosts),
+      },
+      contentScript: null,
+      error: null,
+      extraction: null,
+    };
+  }
+
+  function renderDiagnostics() {
+    document.getElementById("diagnostics-report").textContent =
+      IssueDiagnostics.formatReport(diagnostics);
+  }
+
+  /**
+   * Copy the diagnostics report, for attaching to bug reports
+   */
+  async function handleDiagnosticsCopy(event) {
+    const button = event.currentTarget;
+    try {
+      await IssueClipboard.copyText(IssueDiagnostics.formatReport(diagnostics));
+      showCopiedFeedback(button);
+    } catch (err) {
+      console.error("Copy failed:", err);
+      showErrorFeedback(IssueI18n.message("copyFailed"));
+    }
+  }
+
+  /**
+   * Show the copy history, filtered by the search box and site picker
+   */
+  function renderHistory() {
+    const section = document.getElementById("history-section");
+    section.hidden = copyHistory.length === 0;
+    document.getElementById("history-count").textContent = `(${copyHistory.length})`;
+
+    // Only offer the site picker when copies come from more than one site
+    const siteSelect = document.getElementById("history-site");
+    const sites = CopyHistory.listSites(copyHistory);
+    const selectedSite = sites.includes(siteSelect.value) ? siteSelect.value : "";
+
+    siteSelect.length = 1;
+    for (const site of sites) {
+      siteSelect.add(new Option(site.replace(/^https?:\/\//, ""), site));
+    }
+    siteSelect.value = selectedSite;
+    siteSelect.hidden = sites.length < 2;
+
+    const entries = CopyHistory.searchHistory(
+      copyHistory,
+      document.getElementById("history-search").value,
+      selectedSite || null,
+    );
+
+    const list = document.getElementById("history-list");
+    list.textContent = "";
+    for (const entry of entries) {
+      list.appendChild(createHistoryItem(entry));
+    }
+    document.getElementById("history-empty").hidden = entries.length > 0;
+  }
+
+  /**
+   * One history row: pin toggle, issue, format picker and copy button
+   */
+  function createHistoryItem(entry) {
+    // Each copy is offered in the formats of its own site or project
+    const resolved = IssueProfiles.resolveSettings(baseSettings, entry);
+    const formats = listLocalizedFormats(resolved.templates, resolved.disabledFormats);
+    const lastFormat = IssueFormats.findFormat(entry.format, resolved.templates);
+    const lastLabel = lastFormat
+      ? IssueFormats.localizeFormat(lastFormat, IssueI18n.message).label
+      : entry.format;
+
+    const item = document.createElement("li");
+    item.className = "history-item";
+
+    const pinButton = document.createElement("button");
+    pinButton.type = "button";
+    pinButton.className = entry.pinned ? "pin-btn pinned" : "pin-btn";
+    pinButton.textContent = entry.pinned ? "★" : "☆";
+    pinButton.title = IssueI18n.message(entry.pinned ? "historyUnpin" : "historyPin");
+    pinButton.addEventListener("click", () => handleHistoryPin(entry));
+
+    const text = document.createElement("div");
+    text.className = "history-text";
+    text.title = entry.url;
+
+    const key = document.createElement("span");
+    key.className = "history-key";
+    key.textContent = entry.key;
+
+    const summary = document.createElement("span");
+    summary.className = "history-summary";
+    summary.dir = "auto";
+    summary.textContent = entry.summary || IssueI18n.message("noSummary");
+
+    const meta = document.createElement("span");
+    meta.className = "history-meta";
+    meta.textContent = `${lastLabel} · ${CopyHistory.formatAge(
+      entry.time,
+      Date.now(),
+      IssueI18n.message,
+    )}`;
+
+    text.append(key, summary, meta);
+
+    const formatSelect = document.createElement("select");
+    formatSelect.className = "list-scope history-format";
+    formatSelect.title = IssueI18n.message("historyFormatTitle");
+    for (const format of formats) {
+      formatSelect.add(new Option(format.label, format.id));
+    }
+
+    const copyButton = document.createElement("button");
+    copyButton.type = "button";
+    copyButton.className = "copy-btn history-copy";
+    copyButton.textContent = IssueI18n.message("historyCopy");
+    copyButton.addEventListener("click", () =>
+      handleHistoryCopy(entry, formatSelect.value, copyButton),
+    );
+
+    // The last format may have been disabled or deleted since, and a
+    // profile may have none left
+    if (formats.length === 0) {
+      formatSelect.disabled = copyButton.disabled = true;
+      copyButton.title = IssueI18n.message("historyNoFormats");
+    } else {
+      formatSelect.value =
+        lastFormat && formats.some((format) => format.id === lastFormat.id)
+          ? lastFormat.id
+          : formats[0].id;
+    }
+
+    item.append(pinButton, text, formatSelect, copyButton);
+    return item;
+  }
+
+  /**
+   * Save a successful copy and refresh the history list
+   */
+  async function recordCopy(issue, formatId) {
+    try {
+      await CopyHistory.recordCopy(issue, formatId, historyLimit);
+      copyHistory = await CopyHistory.loadHistory();
+      renderHistory();
+    } catch (err) {
+      console.error("Could not save copy history:", err);
+    }
+  }
+
+  /**
+   * Explain key lookup, or that it needs a default site first
+   */
+  function renderLookupHint() {
+    if (JiraUrls.parseHost(defaultSite)) {
+      showLookupHint(IssueI18n.message("lookupSite", [defaultSite]));
+      return;
+    }
+
+    showLookupHint(IssueI18n.message("lookupNoSite"));
+    const link = document.createElement("button");
+    link.type = "button";
+    link.className = "link-btn";
+    link.textContent = IssueI18n.message("openPreferences");
+    link.addEventListener("click", () => browser.runtime.openOptionsPage());
+    document.getElementById("lookup-hint").append(" ", link);
+  }
+
+  function showLookupHint(message) {
+    const hint = document.getElementById("lookup-hint");
+    hint.textContent = message || "";
+    hint.hidden = !message;
+  }
+
+  /**
+   * Look up the keys typed or pasted into the popup on the default site:
+   * one key shows the issue with every format, several the list formats
+   */
+  async function handleLookup(event) {
+    event.preventDefault();
+
+    const site = JiraUrls.parseHost(defaultSite);
+    if (!site) {
+      renderLookupHint();
+      return;
+    }
+
+    const keys = JiraUrls.parseKeys(document.getElementById("lookup-input").value);
+    if (keys.length === 0) {
+      showLookupHint(IssueI18n.message("lookupNoKeys"));
+      return;
+    }
+
+    showLookupHint(
+      keys.length === 1
+        ? IssueI18n.message("lookupOne", [keys[0]])
+        : IssueI18n.message("lookupMany", [String(keys.length)]),
+    );
+    const issues = await lookUpIssues(site, keys);
+    showLookupHint(
+      issues.some((issue) => issue.summary)
+        ? null
+        : IssueI18n.message("lookupNoSummaries", [site.baseUrl]),
+    );
+
+    if (issues.length === 1) {
+      showIssue(issues[0]);
+      document.getElementById("related-section").hidden = true;
+      document.getElementById("content-section").hidden = true;
+    } else {
+      showLookedUpList(issues);
+    }
+  }
+
+  /**
+   * Issue data for keys on a site, with summaries and fields from its REST
+   * API when the extension has access and the user is logged in
+   */
+  async function lookUpIssues(site, keys) {
+    const issues = keys.map((key) => ({
+      key: key,
+      summary: null,
+      url: `${site.baseUrl}/browse/${key}`,
+    }));
+
+    const granted = await browser.permissions.contains({
+      origins: [JiraUrls.permissionPattern(site)],
+    });
+    if (!granted) {
+      return issues;
+    }
+
+    // Cross-origin from the popup, so the session cookie must be sent explicitly
+    const siteFetch = (url, init) => fetch(url, Object.assign({}, init, { credentials: "include" }));
+    try {
+      const apiIssues =
+        keys.length === 1
+          ? [await IssueApi.fetchIssue(site.baseUrl, keys[0], siteFetch)]
+          : await IssueApi.fetchIssues(site.baseUrl, keys, siteFetch);
+      return issues.map((issue) => {
+        const apiIssue = apiIssues.find((other) => other.key === issue.key);
+        return apiIssue ? IssueApi.mergeIssueData(issue, apiIssue) : issue;
+      });
+    } catch (err) {
+      console.debug("Could not fetch looked up issues:", err);
+      return issues;
+    }
+  }
+
+  /**
+   * Show looked up issues in the list section
+   */
+  function showLookedUpList(issues) {
+    issueList = { issues: issues, visibleCount: issues.length, selectedCount: 0 };
+    document.getElementById("list-count").textContent = IssueI18n.message("listCountLookedUp", [
+      String(issues.length),
+    ]);
+    document.getElementById("list-scope").hidden = true;
+    document.getElementById("table-section").hidden = true;
+    renderListButtons();
+    document.getElementById("list-section").hidden = false;
+  }
+
+  /**
+   * Copy an issue from the history again, in any format
+   */
+  async function handleHistoryCopy(entry, formatId, button) {
+    const entryTemplates = IssueProfiles.resolveSettings(baseSettings, entry).templates;
+    const format = IssueFormats.findFormat(formatId, entryTemplates);
+    const formats = IssueFormats.renderFormats(
+      IssueFormats.generateFormats(entry, formatOptions),
+      entry,
+      entryTemplates,
+    );
+
+    if (!format || !formats[format.id]) {
+      showErrorFeedback(IssueI18n.message("formatUnavailable"));
+      return;
+    }
+
+    try {
+      await IssueClipboard.copyFlavors(IssueClipboard.flavorsFor(format, formats, entry));
+      showCopiedFeedback(button);
+    } catch (err) {
+      console.error("Copy failed:", err);
+      showErrorFeedback(IssueI18n.message("copyFailed"));
+      return;
+    }
+
+    await recordCopy(entry, format.id);
+  }
+
+  async function handleHistoryPin(entry) {
+    copyHistory = CopyHistory.setPinned(copyHistory, entry.url, !entry.pinned);
+    await CopyHistory.saveHistory(copyHistory);
+    renderHistory();
+  }
+
+  /**
+   * Remove unpinned copies from the site picked, or from all sites
+   */
+  async function handleHistoryClear() {
+    const site = document.getElementById("history-site").value;
+    copyHistory = CopyHistory.clearHistory(copyHistory, site || null);
+    await CopyHistory.saveHistory(copyHistory);
+    renderHistory();
+  }
+
+  /**
+   * Formats to offer, with the built-in ones' labels and titles in the UI
+   * language
+   */
+  function listLocalizedFormats(formatTemplates, disabled) {
+    return IssueFormats.listFormats(formatTemplates, disabled).map((format) =>
+      IssueFormats.localizeFormat(format, IssueI18n.message),
+    );
+  }
+
+  /**
+   * Create one copy button per enabled format and saved template
+   */
+  function renderButtons() {
     const buttonGroup = document.getElementById("button-group");
+    buttonGroup.textContent = "";
+
+    for (const format of listLocalizedFormats(templates, disabledFormats)) {
+      const button = document.createElement("button");
+      button.className = "copy-btn";
+      button.dataset.format = format.id;
+      button.dataset.mime = format.mime;
+      button.title = format.title;
+      button.disabled = true;
+
+      const icon = document.createElement("span");
+      icon.className = "btn-icon";
+      icon.textContent = format.icon;
+
+      const text = document.createElement("span");
+      text.className = "btn-text";
+      text.textContent = format.label;
+
+      const example = document.createElement("span");
+      example.className = "btn-example";
+      example.textContent = format.example;
 
-    issueInfo.hidden = true;
-    errorMessage.hidden = false;
-    buttonGroup.hidden = true;
+      button.append(icon, text, example);
+      buttonGroup.appendChild(button);
+    }
+
+    buttonGroup.hidden = false;
   }
 
   /**
    * Enable copy buttons and attach event listeners
    */
   function enableButtons() {
-    const buttons = document.querySelectorAll(".copy-btn");
+    const buttons = document.querySelectorAll("#button-group .copy-btn");
 
     buttons.forEach((button) => {
       button.disabled = false;
@@ -142,54 +1068,300 @@
    * Handle copy button click
    */
   async function handleCopyClick(event) {
+    const button = event.currentTarget;
+    const format = IssueFormats.findFormat(button.dataset.format, templates);
+
+    if (!format || !issueFormats || !issueFormats[format.id]) {
+      console.error("Format not available:", button.dataset.format);
+      return;
+    }
+
+    try {
+      await IssueClipboard.copyFlavors(IssueClipboard.flavorsFor(format, issueFormats, issueData));
+      showCopiedFeedback(button);
+    } catch (err) {
+      console.error("Copy failed:", err);
+      showErrorFeedback(IssueI18n.message("copyFailed"));
+      return;
+    }
+
+    await recordCopy(issueData, format.id);
+  }
+
+  /**
+   * Refuse a copy of several issues that a profile rules out for one of
+   * them (see IssueProfiles.findExcludedIssue), saying which
+   * Returns true if the copy was refused
+   */
+  function refusedByProfile(issues, formatId) {
+    const excluded = IssueProfiles.findExcludedIssue(baseSettings, issues, formatId);
+    if (!excluded) {
+      return false;
+    }
+    showErrorFeedback(
+      IssueI18n.message("profileExcludesCopy", [excluded.issue.key, excluded.profile.name]),
+    );
+    return true;
+  }
+
+  /**
+   * Handle list copy button click
+   */
+  async function handleListCopyClick(event) {
     const button = event.currentTarget;
     const format = button.dataset.format;
+    if (refusedByProfile(issueList.issues)) {
+      return;
+    }
 
-    if (!issueFormats || !issueFormats[format]) {
+    const textToCopy = IssueList.formatIssueList(issueList.issues, format);
+    if (!textToCopy) {
       console.error("Format not available:", format);
       return;
     }
 
-    const textToCopy = issueFormats[format];
+    try {
+      if (format === "htmlList") {
+        await IssueClipboard.copyHtml(
+          textToCopy,
+          IssueList.formatIssueList(issueList.issues, "plainList"),
+        );
+      } else {
+        await IssueClipboard.copyText(textToCopy);
+      }
+
+      showCopiedFeedback(button);
+    } catch (err) {
+      console.error("Copy failed:", err);
+      showErrorFeedback(IssueI18n.message("copyFailed"));
+    }
+  }
+
+  /**
+   * Handle related issues copy button click
+   * The content script fetches the related issues from the REST API, which
+   * is the only place they're all listed
+   */
+  async function handleRelatedCopyClick(event) {
+    const button = event.currentTarget;
+    const format = button.dataset.format;
+    const relation = document.getElementById("related-kind").value;
+    const relationText = IssueI18n.label(
+      "relationText",
+      relation,
+      IssueList.RELATIONS[relation].toLowerCase(),
+    );
+
+    button.disabled = true;
+    try {
+      if (!relatedIssues[relation]) {
+        const response = await browser.tabs.sendMessage(activeTabId, {
+          action: "getRelatedIssues",
+          key: issueData.key,
+          relation: relation,
+        });
+        if (!response || response.error) {
+          throw new Error(response ? response.error : "No response from the page");
+        }
+        relatedIssues[relation] = response;
+      }
+    } catch (err) {
+      console.error("Could not load related issues:", err);
+      showErrorFeedback(IssueI18n.message("relatedLoadFailed", [relationText]));
+      return;
+    } finally {
+      button.disabled = false;
+    }
+
+    const related = relatedIssues[relation];
+    if (related.groups.length === 0) {
+      showErrorFeedback(IssueI18n.message("relatedNone", [issueData.key, relationText]));
+      return;
+    }
+
+    // The page's issue data, with whether it's done from the API
+    const issue = Object.assign({}, issueData, { done: related.issue.done });
+    if (refusedByProfile([issue].concat(...related.groups.map((group) => group.issues)))) {
+      return;
+    }
+    const textToCopy = IssueList.formatIssueTree(issue, related.groups, format);
 
     try {
-      // For HTML format, copy as both HTML and plain text
-      if (format === "html") {
-        await copyHtmlToClipboard(textToCopy, issueFormats.plainText);
+      if (format === "htmlList") {
+        await IssueClipboard.copyHtml(
+          textToCopy,
+          IssueList.formatIssueTree(issue, related.groups, "plainList"),
+        );
       } else {
-        await navigator.clipboard.writeText(textToCopy);
+        await IssueClipboard.copyText(textToCopy);
       }
 
       showCopiedFeedback(button);
     } catch (err) {
       console.error("Copy failed:", err);
-      showErrorFeedback("Failed to copy to clipboard");
+      showErrorFeedback(IssueI18n.message("copyFailed"));
     }
   }
 
   /**
-   * Copy HTML to clipboard with both HTML and plain text formats
+   * Handle issue content copy button click
+   * The content script reads the content, from the REST API where it can,
+   * and converts it; HTML carries the Markdown as its plain-text flavor
    */
-  async function copyHtmlToClipboard(html, plainText) {
+  async function handleContentCopyClick(event) {
+    const button = event.currentTarget;
+    const format = button.dataset.format;
+    const part = document.getElementById("content-part").value;
+
+    let content;
+    button.disabled = true;
     try {
-      // Use ClipboardItem API for rich content
-      const htmlBlob = new Blob([html], { type: "text/html" });
-      const textBlob = new Blob([plainText], { type: "text/plain" });
+      content = await browser.tabs.sendMessage(activeTabId, {
+        action: "getIssueContent",
+        key: issueData.key,
+        part: part,
+      });
+      if (!content || content.error) {
+        throw new Error(content ? content.error : "No response from the page");
+      }
+    } catch (err) {
+      console.error("Could not read the issue content:", err);
+      showErrorFeedback(IssueI18n.message("contentReadFailed"));
+      return;
+    } finally {
+      button.disabled = false;
+    }
+
+    if (!content.markdown) {
+      showErrorFeedback(
+        part === "selection"
+          ? IssueI18n.message("contentSelectFirst")
+          : IssueI18n.message(
+            part === "description" ? "contentNoDescription" : "contentNoComments",
+            [issueData.key],
+          ),
+      );
+      return;
+    }
+
+    try {
+      if (format === "html") {
+        await IssueClipboard.copyHtml(content.html, content.markdown);
+      } else {
+        await IssueClipboard.copyText(content.markdown);
+      }
+
+      showCopiedFeedback(button);
+    } catch (err) {
+      console.error("Copy failed:", err);
+      showErrorFeedback(IssueI18n.message("copyFailed"));
+    }
+  }
 
-      await navigator.clipboard.write([
-        new ClipboardItem({
-          "text/html": htmlBlob,
-          "text/plain": textBlob,
-        }),
-      ]);
+  /**
+   * Handle release notes copy button click
+   * The content script fetches the release's issues from the REST API;
+   * HTML notes carry the Markdown ones as their plain-text flavor
+   */
+  async function handleReleaseCopyClick(event) {
+    const button = event.currentTarget;
+    const format = button.dataset.format;
+
+    button.disabled = true;
+    try {
+      if (!release) {
+        const response = await browser.tabs.sendMessage(activeTabId, {
+          action: "getRelease",
+          source: releaseSource,
+        });
+        if (!response || response.error) {
+          throw new Error(response ? response.error : "No response from the page");
+        }
+        release = response;
+      }
     } catch (err) {
-      // ClipboardItem may not be supported in all contexts
-      // Fall back to plain text copy of the HTML string
-      console.warn(
-        "ClipboardItem not supported, falling back to text copy:",
-        err,
+      console.error("Could not load the release:", err);
+      showErrorFeedback(IssueI18n.message("releaseLoadFailed"));
+      return;
+    } finally {
+      button.disabled = false;
+    }
+
+    const written = release.issues.filter((issue) => !releaseOptions.doneOnly || issue.done);
+    if (refusedByProfile(written, releaseOptions.linkFormat)) {
+      return;
+    }
+
+    const options = Object.assign({}, releaseOptions, {
+      templates: releaseTemplates,
+      formatOptions: formatOptions,
+      sectionTitle: (id, title) => IssueI18n.label("releaseSection", id, title),
+    });
+    const markdown = ReleaseNotes.buildReleaseNotes(
+      release,
+      Object.assign({}, options, { format: "markdown" }),
+    );
+    if (!markdown) {
+      showErrorFeedback(
+        IssueI18n.message(releaseOptions.doneOnly ? "releaseNoneDone" : "releaseNone"),
       );
-      await navigator.clipboard.writeText(html);
+      return;
+    }
+
+    try {
+      if (format === "html") {
+        await IssueClipboard.copyHtml(
+          ReleaseNotes.buildReleaseNotes(release, Object.assign({}, options, { format: "html" })),
+          markdown,
+        );
+      } else {
+        await IssueClipboard.copyText(markdown);
+      }
+
+      // Jira found more issues than the notes were fetched for
+      if (release.truncated) {
+        showErrorFeedback(IssueI18n.message("releaseTruncated", [String(release.issues.length)]));
+      } else {
+        showCopiedFeedback(button);
+      }
+    } catch (err) {
+      console.error("Copy failed:", err);
+      showErrorFeedback(IssueI18n.message("copyFailed"));
+    }
+  }
+
+  /**
+   * Handle table copy button click
+   * HTML tables carry TSV as their plain-text flavor so they still paste
+   * into spreadsheets and plain-text fields
+   */
+  async function handleTableCopyClick(event) {
+    const button = event.currentTarget;
+    const format = button.dataset.format;
+    if (refusedByProfile(issueList.issues)) {
+      return;
+    }
+
+    const textToCopy = IssueTable.formatIssueTable(issueList.issues, tableColumns, format);
+    if (!textToCopy) {
+      console.error("Format not available:", format);
+      return;
+    }
+
+    try {
+      if (format === "htmlTable") {
+        await IssueClipboard.copyHtml(
+          textToCopy,
+          IssueTable.formatIssueTable(issueList.issues, tableColumns, "tsv"),
+        );
+      } else {
+        await IssueClipboard.copyText(textToCopy);
+      }
+
+      showCopiedFeedback(button);
+    } catch (err) {
+      console.error("Copy failed:", err);
+      showErrorFeedback(IssueI18n.message("copyFailed"));
     }
   }
 
@@ -202,7 +1374,7 @@
 
     // Show toast
     const toast = document.getElementById("toast");
-    toast.textContent = "Copied to clipboard!";
+    toast.textContent = IssueI18n.message("copied");
     toast.hidden = false;
     toast.classList.remove("hide", "error");
 
@@ -237,5 +1409,24 @@
   }
 
   // Initialize when DOM is ready
-  document.addEventListener("DOMContentLoaded", init);
+  document.addEventListener("DOMContentLoaded", () => {
+    IssueI18n.localizePage(document);
+    document.getElementById("list-scope").addEventListener("change", loadIssueList);
+    for (const id of ["release-link-format", "release-group", "release-sort", "release-done-only"]) {
+      document.getElementById(id).addEventListener("change", handleReleaseOptionChange);
+    }
+    document.getElementById("history-search").addEventListener("input", renderHistory);
+    document.getElementById("history-site").addEventListener("change", renderHistory);
+    document.getElementById("history-clear").addEventListener("click", handleHistoryClear);
+    document.getElementById("copy-diagnostics").addEventListener("click", handleDiagnosticsCopy);
+    document.getElementById("lookup-form").addEventListener("submit", handleLookup);
+    document.getElementById("lookup-input").addEventListener("keydown", (event) => {
+      // Enter looks up; Shift+Enter starts a new line
+      if (event.key === "Enter" && !event.shiftKey) {
+        event.preventDefault();
+        document.getElementById("lookup-form").requestSubmit();
+      }
+    });
+    init();
+  });
 })();
@@ -0,0 +1,119 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Builds the Chrome / Edge (Manifest V3) version of the extension
+ *
+ * manifest.json stays the single source: it is converted to MV3 and
+ * written with the extension's files to build/chrome, which
+ * `npm run build:chrome` then zips with web-ext.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const OUT_DIR = path.join(ROOT, "build", "chrome");
+
+// Everything the extension loads; tests, docs and tooling stay out
+const PACKAGE_FILES = [
+  "_locales",
+  "background_script.js",
+  "content_script.js",
+  "chrome",
+  "icons",
+  "lib",
+  "options",
+  "popup",
+  "LICENSE",
+];
+
+const SERVICE_WORKER = "service_worker.js";
+
+function isHostPattern(permission) {
+  return permission.includes("://") || permission === "<all_urls>";
+}
+
+/**
+ * Convert the Firefox MV2 manifest to MV3 for Chrome
+ * - page_action becomes action, enabled per tab by lib/browser_shim.js
+ * - the background scripts are loaded by a generated service worker
+ * - host permissions move to their own keys
+ */
+function toManifestV3(manifest) {
+  const mv3 = Object.assign({}, manifest, { manifest_version: 3 });
+
+  delete mv3.page_action;
+  delete mv3.browser_specific_settings;
+  delete mv3.author;
+
+  const pageAction = manifest.page_action || {};
+  mv3.action = {
+    default_icon: pageAction.default_icon,
+    default_title: pageAction.default_title,
+    default_popup: pageAction.default_popup,
+  };
+
+  mv3.background = { service_worker: SERVICE_WORKER };
+
+  mv3.permissions = (manifest.permissions || [])
+    .filter((permission) => !isHostPattern(permission))
+    .concat("offscreen");
+  mv3.host_permissions = (manifest.permissions || []).filter(isHostPattern);
+  mv3.optional_host_permissions = (manifest.optional_permissions || []).filter(isHostPattern);
+  mv3.optional_permissions = (manifest.optional_permissions || []).filter(
+    (permission) => !isHostPattern(permission),
+  );
+
+  for (const key of ["host_permissions", "optional_host_permissions", "optional_permissions"]) {
+    if (mv3[key].length === 0) {
+      delete mv3[key];
+    }
+  }
+
+  return mv3;
+}
+
+/**
+ * Service workers load one file; pull in the background scripts from it
+ */
+function serviceWorkerSource(manifest) {
+  const scripts = manifest.background.scripts.map((script) => JSON.stringify(script));
+  return [
+    "// Generated by scripts/build_chrome.js from manifest.json",
+    `importScripts(\n  ${scripts.join(",\n  ")},\n);`,
+    "",
+  ].join("\n");
+}
+
+function build() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, "manifest.json"), "utf8"));
+
+  fs.rmSync(OUT_DIR, { recursive: true, force: true });
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+
+  for (const file of PACKAGE_FILES) {
+    fs.cpSync(path.join(ROOT, file), path.join(OUT_DIR, file), { recursive: true });
+  }
+
+  fs.writeFileSync(
+    path.join(OUT_DIR, "manifest.json"),
+    JSON.stringify(toManifestV3(manifest), null, 2) + "\n",
+  );
+  fs.writeFileSync(path.join(OUT_DIR, SERVICE_WORKER), serviceWorkerSource(manifest));
+
+  console.log(`Chrome build written to ${path.relative(ROOT, OUT_DIR)}`);
+}
+
+if (require.main === module) {
+  build();
+}
+
+module.exports = {
+  toManifestV3,
+  serviceWorkerSource,
+};
@@ -0,0 +1,110 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for the Chrome (Manifest V3) build in scripts/build_chrome.js
+ * and the browser.* shim in lib/browser_shim.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { expect } = require('chai');
+const manifest = require('../manifest.json');
+const { toManifestV3, serviceWorkerSource } = require('../scripts/build_chrome');
+
+const shimSource = fs.readFileSync(path.join(__dirname, '../lib/browser_shim.js'), 'utf8');
+
+/**
+ * Run the shim in a fresh global with the given properties
+ */
+function runShim(globals) {
+  const context = vm.createContext(Object.assign({}, globals));
+  vm.runInContext(shimSource, context);
+  return context;
+}
+
+describe('Chrome Build', () => {
+  describe('toManifestV3', () => {
+    const mv3 = toManifestV3(manifest);
+
+    it('should replace the page action with an action using the same popup', () => {
+      expect(mv3.manifest_version).to.equal(3);
+      expect(mv3).to.not.have.property('page_action');
+      expect(mv3.action.default_popup).to.equal(manifest.page_action.default_popup);
+    });
+
+    it('should run the background scripts from a service worker', () => {
+      expect(mv3.background).to.deep.equal({ service_worker: 'service_worker.js' });
+    });
+
+    it('should move host permissions to their own keys', () => {
+      expect(mv3.optional_host_permissions).to.deep.equal(['*://*/*']);
+      expect(mv3).to.not.have.property('optional_permissions');
+      expect(mv3.permissions).to.include.members(['scripting', 'offscreen']);
+      expect(mv3.permissions.some((permission) => permission.includes('://'))).to.be.false;
+    });
+
+    it('should drop Firefox-only keys and leave the source manifest alone', () => {
+      expect(mv3).to.not.have.property('browser_specific_settings');
+      expect(manifest.manifest_version).to.equal(2);
+    });
+
+    it('should keep content scripts and commands', () => {
+      expect(mv3.content_scripts).to.deep.equal(manifest.content_scripts);
+      expect(mv3.commands).to.deep.equal(manifest.commands);
+    });
+  });
+
+  describe('serviceWorkerSource', () => {
+    it('should import the background scripts in manifest order', () => {
+      const imported = [];
+      vm.runInNewContext(serviceWorkerSource(manifest), {
+        importScripts: (...scripts) => imported.push(...scripts),
+      });
+      expect(imported).to.deep.equal(manifest.background.scripts);
+    });
+  });
+
+  describe('browser shim', () => {
+    it('should load first wherever the extension runs scripts', () => {
+      expect(manifest.background.scripts[0]).to.equal('lib/browser_shim.js');
+      expect(manifest.content_scripts[0].js[0]).to.equal('lib/browser_shim.js');
+    });
+
+    it('should leave Firefox alone', () => {
+      const browser = { pageAction: {} };
+      expect(runShim({ browser, chrome: {} }).browser).to.equal(browser);
+    });
+
+    it('should map page action show and hide to enabling the action per tab', async () => {
+      const calls = [];
+      const chrome = {
+        action: {
+          enable: async (tabId) => calls.push(['enable', tabId]),
+          disable: async (tabId) => calls.push(['disable', tabId]),
+        },
+      };
+
+      const context = runShim({ chrome });
+      expect(context.browser).to.equal(chrome);
+
+      await context.browser.pageAction.show(4);
+      await context.browser.pageAction.hide(5);
+      expect(calls).to.deep.equal([['enable', 4], ['disable', 5]]);
+    });
+
+    it('should disable the action by default only in the service worker', () => {
+      const calls = [];
+      const chrome = { action: { disable: (tabId) => calls.push(tabId) } };
+
+      runShim({ chrome: Object.assign({}, chrome) });
+      expect(calls).to.deep.equal([]);
+
+      runShim({ chrome: Object.assign({}, chrome), ServiceWorkerGlobalScope: function () {} });
+      expect(calls).to.deep.equal([undefined]);
+    });
+  });
+});
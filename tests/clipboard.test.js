@@ -0,0 +1,59 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for the clipboard flavors in lib/clipboard.js
+ */
+
+const { expect } = require('chai');
+const { flavorsFor, htmlToPlainText } = require('../lib/clipboard');
+const { findFormat, generateFormats, renderFormats } = require('../lib/formats');
+
+const issue = {
+  key: 'PROJ-1',
+  summary: 'Fix <b> tags',
+  url: 'https://x/browse/PROJ-1',
+  status: 'Done',
+};
+
+const templates = [
+  { id: 'tpl-1', name: 'Key', template: '{key}', mime: 'text/plain' },
+  { id: 'tpl-2', name: 'Bold key', template: '<b>{key}</b>', mime: 'text/html' },
+];
+
+function flavors(formatId) {
+  const formats = renderFormats(generateFormats(issue), issue, templates);
+  return flavorsFor(findFormat(formatId, templates), formats, issue);
+}
+
+describe('Clipboard Flavors', () => {
+  it('should copy link formats with an HTML link and a URL flavor', () => {
+    expect(flavors('markdown')).to.deep.equal({
+      'text/plain': '[PROJ-1 - Fix <b> tags](https://x/browse/PROJ-1)',
+      'text/html': '<a href="https://x/browse/PROJ-1">PROJ-1 - Fix &lt;b&gt; tags</a>',
+      'text/x-moz-url': 'https://x/browse/PROJ-1\nPROJ-1 - Fix <b> tags',
+    });
+  });
+
+  it('should copy HTML formats with a plain-text version', () => {
+    expect(flavors('html')['text/plain']).to.equal('PROJ-1 - Fix <b> tags');
+    expect(flavors('htmlStatus')['text/plain']).to.equal('PROJ-1 - Fix <b> tags (Done)');
+    expect(flavors('htmlStatus')['text/html']).to.include('(Done)');
+    expect(flavors('html')).to.have.property('text/x-moz-url');
+  });
+
+  it('should copy git formats as text only', () => {
+    expect(flavors('gitCommit')).to.deep.equal({ 'text/plain': 'PROJ-1: Fix <b> tags' });
+  });
+
+  it('should copy templates by their MIME type, without a URL flavor', () => {
+    expect(flavors('tpl-1')).to.deep.equal({ 'text/plain': 'PROJ-1' });
+    expect(flavors('tpl-2')).to.deep.equal({ 'text/plain': 'PROJ-1', 'text/html': '<b>PROJ-1</b>' });
+  });
+
+  it('should turn HTML into plain text without a DOM', () => {
+    expect(htmlToPlainText('<a href="u">A &amp; B &lt;c&gt;</a>')).to.equal('A & B <c>');
+  });
+});
@@ -0,0 +1,90 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for the extraction diagnostics in lib/diagnostics.js
+ */
+
+const { expect } = require('chai');
+const { createDiagnostics, recordStep, formatReport } = require('../lib/diagnostics');
+
+function report(extraction = null) {
+  return {
+    version: '1.2.3',
+    userAgent: 'Test Browser',
+    url: 'https://mycompany.atlassian.net/browse/PROJ-123',
+    checks: { jiraSite: true, singleIssue: true, issueList: false },
+    contentScript: 'responded',
+    extraction,
+  };
+}
+
+describe('Extraction Diagnostics', () => {
+  describe('recordStep', () => {
+    it('should record whether each strategy found something', () => {
+      const diagnostics = createDiagnostics();
+
+      expect(recordStep(diagnostics, 'key', 'URL path', null)).to.equal(false);
+      expect(recordStep(diagnostics, 'key', 'breadcrumb', 'PROJ-123')).to.equal(true);
+      expect(recordStep(diagnostics, 'labels', 'selector 1 (.labels)', [])).to.equal(false);
+
+      expect(diagnostics.steps).to.deep.equal([
+        { field: 'key', strategy: 'URL path', found: false },
+        { field: 'key', strategy: 'breadcrumb', found: true, value: 'PROJ-123' },
+        { field: 'labels', strategy: 'selector 1 (.labels)', found: false },
+      ]);
+    });
+
+    it('should not keep values of fields other than the key', () => {
+      const diagnostics = createDiagnostics();
+      recordStep(diagnostics, 'summary', 'page title', 'Confidential plans');
+
+      expect(diagnostics.steps[0]).to.deep.equal({
+        field: 'summary',
+        strategy: 'page title',
+        found: true,
+      });
+    });
+  });
+
+  describe('formatReport', () => {
+    it('should list the URL checks and content script status', () => {
+      const text = formatReport(report());
+
+      expect(text).to.include('Extension: 1.2.3');
+      expect(text).to.include('Page: https://mycompany.atlassian.net/browse/PROJ-123');
+      expect(text).to.include('Single issue URL: yes');
+      expect(text).to.include('Issue list URL: no');
+      expect(text).to.include('Content script: responded');
+      expect(text).not.to.include('REST API');
+    });
+
+    it('should group strategies by field in the order tried', () => {
+      const diagnostics = createDiagnostics();
+      recordStep(diagnostics, 'key', 'URL path', 'PROJ-123');
+      recordStep(diagnostics, 'summary', 'selector 1 (h1)', null);
+      recordStep(diagnostics, 'summary', 'page title', 'Summary');
+      diagnostics.api = 'used';
+
+      const text = formatReport(report(diagnostics));
+
+      expect(text).to.include(
+        'key:\n  ✓ URL path → PROJ-123\n\nsummary:\n  ✗ selector 1 (h1)\n  ✓ page title',
+      );
+      expect(text).to.include('REST API: used');
+    });
+
+    it('should include popup errors', () => {
+      const text = formatReport(Object.assign(report(), { error: 'Boom' }));
+      expect(text).to.include('Popup error: Boom');
+    });
+
+    it('should cope with a report for no tab', () => {
+      const text = formatReport({ checks: {} });
+      expect(text).to.include('Page: unknown');
+      expect(text).to.include('Content script: not asked');
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for the copy formats in lib/formats.js
+ * Every built-in format must have a matching keyboard shortcut command
+ */
+
+const { expect } = require('chai');
+const manifest = require('../manifest.json');
+const {
+  BUILTIN_FORMATS,
+  registerFormatter,
+  getFormatter,
+  generateFormats,
+  listFormats,
+  findFormat,
+  localizeFormat,
+  renderFormats,
+} = require('../lib/formats');
+
+const templates = [
+  { id: 'tpl-1', name: 'Key and status', template: '{key} ({status|?})', mime: 'text/plain' },
+  { id: 'tpl-2', name: 'Bold key', template: '<b>{key}</b>', mime: 'text/html' },
+];
+
+describe('Copy Formats', () => {
+  it('should generate every built-in format', () => {
+    const formats = generateFormats({
+      key: 'PROJ-1',
+      summary: 'Fix <b> tags',
+      url: 'https://mycompany.atlassian.net/browse/PROJ-1',
+      status: 'Done',
+    });
+    expect(Object.keys(formats)).to.deep.equal(BUILTIN_FORMATS.map((format) => format.id));
+    expect(formats.markdown).to.equal('[PROJ-1 - Fix <b> tags](https://mycompany.atlassian.net/browse/PROJ-1)');
+    expect(formats.htmlStatus).to.equal(
+      '<a href="https://mycompany.atlassian.net/browse/PROJ-1">PROJ-1 - Fix &lt;b&gt; tags</a> (Done)',
+    );
+  });
+
+  it('should fall back to key-only formats without a summary', () => {
+    const formats = generateFormats({ key: 'PROJ-1', summary: null, url: 'https://x.atlassian.net/browse/PROJ-1' });
+    expect(formats.plainText).to.equal('PROJ-1');
+    expect(formats.markdown).to.equal(formats.markdownShort);
+  });
+
+  it('should generate nothing without a key', () => {
+    expect(generateFormats({ key: null })).to.be.null;
+  });
+
+  it('should list built-in formats before templates', () => {
+    const ids = listFormats(templates).map((format) => format.id);
+    expect(ids).to.deep.equal(BUILTIN_FORMATS.map((format) => format.id).concat(['tpl-1', 'tpl-2']));
+  });
+
+  it('should describe templates like built-in formats', () => {
+    expect(findFormat('tpl-2', templates)).to.include({ label: 'Bold key', mime: 'text/html' });
+  });
+
+  it('should leave out disabled formats', () => {
+    const ids = listFormats(templates, ['markdown', 'tpl-1']).map((format) => format.id);
+    expect(ids).to.not.include.members(['markdown', 'tpl-1']);
+    expect(ids).to.include.members(['markdownShort', 'tpl-2']);
+  });
+
+  it('should still find disabled formats by id', () => {
+    expect(findFormat('markdown', templates)).to.include({ label: 'Markdown' });
+  });
+
+  it('should return null for formats that no longer exist', () => {
+    expect(findFormat('tpl-deleted', templates)).to.be.null;
+  });
+
+  it('should translate built-in labels and keep template names', () => {
+    const messages = {
+      formatLabel_plainText: 'Nur Text',
+      formatTitle_template: 'Mit der Vorlage „$1“ kopieren',
+    };
+    const getMessage = (name, substitutions) =>
+      name in messages ? messages[name].replace('$1', substitutions && substitutions[0]) : name;
+
+    const plainText = localizeFormat(findFormat('plainText'), getMessage);
+    expect(plainText).to.include({ id: 'plainText', label: 'Nur Text', title: 'Copy as plain text' });
+    expect(localizeFormat(findFormat('tpl-2', templates), getMessage)).to.include({
+      label: 'Bold key',
+      title: 'Mit der Vorlage „Bold key“ kopieren',
+    });
+    expect(findFormat('plainText').label).to.equal('Plain Text');
+  });
+
+  it('should add rendered templates to the built-in strings', () => {
+    const formats = renderFormats({ plainText: 'PROJ-1' }, { key: 'PROJ-1', status: 'Done' }, templates);
+    expect(formats).to.deep.equal({
+      plainText: 'PROJ-1',
+      'tpl-1': 'PROJ-1 (Done)',
+      'tpl-2': '<b>PROJ-1</b>',
+    });
+  });
+
+  it('should have a keyboard shortcut command for every built-in format', () => {
+    for (const format of BUILTIN_FORMATS) {
+      expect(manifest.commands).to.have.property(`copy-${format.id}`);
+    }
+    expect(manifest.commands).to.have.property('copy-default-format');
+  });
+
+  describe('Formatter registry', () => {
+    it('should refuse a formatter whose id is taken', () => {
+      expect(() => registerFormatter({ id: 'markdown', format: () => '' })).to.throw(/already registered/);
+    });
+
+    it('should refuse a formatter without a format function', () => {
+      expect(() => registerFormatter({ id: 'broken' })).to.throw(/no format function/);
+      expect(getFormatter('broken')).to.be.null;
+    });
+
+    it('should pass options through to formatters', () => {
+      const issue = { key: 'PROJ-1', summary: 'Fix login', url: 'https://x/browse/PROJ-1', type: 'Bug' };
+      expect(generateFormats(issue, { slugOptions: { separator: '_' } }).gitBranch).to.equal('bugfix/PROJ-1_fix_login');
+    });
+  });
+
+  describe('Markup formatters', () => {
+    const issue = {
+      key: 'PROJ-1',
+      summary: 'Handle [draft] <items> & `a|b`',
+      url: 'https://mycompany.atlassian.net/browse/PROJ-1',
+    };
+    const format = (id) => getFormatter(id).format(issue, {});
+
+    it('should format Jira wiki links, escaping brackets and pipes', () => {
+      expect(format('jiraWiki')).to.equal(
+        '[PROJ-1 - Handle \\[draft\\] <items> & `a\\|b`|https://mycompany.atlassian.net/browse/PROJ-1]',
+      );
+    });
+
+    it('should format Slack links, escaping &, < and >', () => {
+      expect(format('slack')).to.equal(
+        '<https://mycompany.atlassian.net/browse/PROJ-1|PROJ-1 - Handle [draft] &lt;items&gt; &amp; `a|b`>',
+      );
+    });
+
+    it('should format AsciiDoc links, escaping closing brackets', () => {
+      expect(format('asciidoc')).to.equal(
+        'https://mycompany.atlassian.net/browse/PROJ-1[PROJ-1 - Handle [draft\\] <items> & `a|b`]',
+      );
+    });
+
+    it('should format reStructuredText links, escaping backquotes and <', () => {
+      expect(format('rst')).to.equal(
+        '`PROJ-1 - Handle [draft] \\<items> & \\`a|b\\` <https://mycompany.atlassian.net/browse/PROJ-1>`__',
+      );
+    });
+
+    it('should format Org-mode and BBCode links without brackets in the text', () => {
+      expect(format('orgMode')).to.equal(
+        '[[https://mycompany.atlassian.net/browse/PROJ-1][PROJ-1 - Handle (draft) <items> & `a|b`]]',
+      );
+      expect(format('bbcode')).to.equal(
+        '[url=https://mycompany.atlassian.net/browse/PROJ-1]PROJ-1 - Handle (draft) <items> & `a|b`[/url]',
+      );
+    });
+
+    it('should fall back to the key without a summary', () => {
+      const keyOnly = { key: 'PROJ-1', summary: null, url: 'https://x/browse/PROJ-1' };
+      expect(getFormatter('slack').format(keyOnly, {})).to.equal('<https://x/browse/PROJ-1|PROJ-1>');
+    });
+  });
+
+  describe('Rich links', () => {
+    const issue = {
+      key: 'PROJ-1',
+      summary: 'Fix login',
+      url: 'https://x/browse/PROJ-1',
+      type: 'Bug',
+      status: 'In Progress',
+    };
+
+    it('should leave out the extras by default', () => {
+      expect(generateFormats(issue).html).to.equal('<a href="https://x/browse/PROJ-1">PROJ-1 - Fix login</a>');
+    });
+
+    it('should add the type icon and status lozenge when turned on', () => {
+      const html = generateFormats(issue, {
+        richLinkOptions: { typeIcon: true, statusLozenge: true },
+      }).html;
+
+      expect(html).to.match(/^<span title="Bug">🐞<\/span> <a href=/);
+      expect(html).to.match(/<\/a> <span style="[^"]*background:#DEEBFF[^"]*">In Progress<\/span>$/);
+    });
+
+    it('should keep the status in parentheses for the HTML (with status) format', () => {
+      const htmlStatus = generateFormats(issue, {
+        richLinkOptions: { typeIcon: true, statusLozenge: true },
+      }).htmlStatus;
+
+      expect(htmlStatus).to.include('🐞');
+      expect(htmlStatus).to.match(/<\/a> \(In Progress\)$/);
+    });
+
+    it('should mark link formats but not git formats', () => {
+      expect(getFormatter('markdown').link).to.equal(true);
+      expect(getFormatter('plainText').link).to.equal(true);
+      expect(getFormatter('gitBranch').link).to.be.undefined;
+    });
+  });
+});
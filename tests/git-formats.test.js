@@ -0,0 +1,79 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for branch names and commit messages in lib/git_formats.js
+ */
+
+const { expect } = require('chai');
+const { slugify, branchName, commitMessage, conventionalCommit } = require('../lib/git_formats');
+
+const bug = { key: 'PROJ-123', summary: 'Fix the login redirect loop', type: 'Bug' };
+
+describe('Git Formats', () => {
+  describe('slugify', () => {
+    it('should lowercase, join with hyphens and drop stop words by default', () => {
+      expect(slugify('Fix the login redirect loop')).to.equal('fix-login-redirect-loop');
+    });
+
+    it('should strip accents and other non-ASCII characters', () => {
+      expect(slugify('Café menu → crashes 🙁')).to.equal('cafe-menu-crashes');
+    });
+
+    it('should keep non-ASCII letters when asked to', () => {
+      expect(slugify('Café für Ärzte', { asciiOnly: false })).to.equal('café-für-ärzte');
+    });
+
+    it('should stop at the last whole word within the max length', () => {
+      expect(slugify('Improve performance of dashboard gadgets', { maxLength: 20 })).to.equal('improve-performance');
+      expect(slugify('Supercalifragilistic', { maxLength: 10 })).to.equal('supercalif');
+    });
+
+    it('should honour separator, case and stop word settings', () => {
+      expect(
+        slugify('Fix the Login', { separator: '_', lowercase: false, removeStopWords: false }),
+      ).to.equal('Fix_the_Login');
+    });
+
+    it('should keep stop words if nothing else is left', () => {
+      expect(slugify('To be or not to be')).to.equal('not');
+      expect(slugify('Is it?')).to.equal('is-it');
+    });
+
+    it('should ignore an unknown separator', () => {
+      expect(slugify('Fix login', { separator: '/' })).to.equal('fix-login');
+    });
+  });
+
+  describe('branchName', () => {
+    it('should prefix by issue type and keep the key as is', () => {
+      expect(branchName(bug)).to.equal('bugfix/PROJ-123-fix-login-redirect-loop');
+      expect(branchName(Object.assign({}, bug, { type: 'Story' }))).to.equal('feature/PROJ-123-fix-login-redirect-loop');
+      expect(branchName(Object.assign({}, bug, { type: 'Sub-task' }))).to.equal('chore/PROJ-123-fix-login-redirect-loop');
+    });
+
+    it('should fall back to feature/ and the key alone', () => {
+      expect(branchName({ key: 'PROJ-1', summary: null, type: null })).to.equal('feature/PROJ-1');
+    });
+  });
+
+  describe('Commit messages', () => {
+    it('should reference the key before the summary', () => {
+      expect(commitMessage(bug)).to.equal('PROJ-123: Fix the login redirect loop');
+    });
+
+    it('should type Conventional Commits by issue type', () => {
+      expect(conventionalCommit(bug)).to.equal('fix(PROJ-123): fix the login redirect loop');
+      expect(conventionalCommit(Object.assign({}, bug, { type: 'Documentation' }))).to.match(/^docs\(PROJ-123\)/);
+      expect(conventionalCommit(Object.assign({}, bug, { type: 'Unknown' }))).to.match(/^feat\(PROJ-123\)/);
+    });
+
+    it('should not lowercase a leading acronym', () => {
+      expect(conventionalCommit({ key: 'PROJ-2', summary: 'API returns 500', type: 'Bug' })).to.equal(
+        'fix(PROJ-2): API returns 500',
+      );
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for the copy history in lib/history.js
+ */
+
+const { expect } = require('chai');
+const {
+  siteOf,
+  addEntry,
+  pruneHistory,
+  searchHistory,
+  listSites,
+  clearHistory,
+  setPinned,
+  formatAge,
+} = require('../lib/history');
+
+function issue(key, summary, site = 'https://mycompany.atlassian.net') {
+  return { key, summary, url: `${site}/browse/${key}`, status: 'To Do' };
+}
+
+describe('Copy History', () => {
+  describe('addEntry', () => {
+    it('should add the newest copy first with its format and time', () => {
+      let history = addEntry([], issue('PROJ-1', 'First'), 'markdown', 10, 1000);
+      history = addEntry(history, issue('PROJ-2', 'Second'), 'html', 10, 2000);
+
+      expect(history.map((entry) => entry.key)).to.deep.equal(['PROJ-2', 'PROJ-1']);
+      expect(history[0]).to.include({ summary: 'Second', format: 'html', time: 2000, pinned: false });
+    });
+
+    it('should keep one entry per issue, moved to the top and still pinned', () => {
+      let history = addEntry([], issue('PROJ-1', 'First'), 'markdown', 10, 1000);
+      history = setPinned(history, history[0].url, true);
+      history = addEntry(history, issue('PROJ-2', 'Second'), 'markdown', 10, 2000);
+      history = addEntry(history, issue('PROJ-1', 'First'), 'plainText', 10, 3000);
+
+      expect(history.map((entry) => entry.key)).to.deep.equal(['PROJ-1', 'PROJ-2']);
+      expect(history[0]).to.include({ format: 'plainText', pinned: true });
+    });
+
+    it('should only save issue fields', () => {
+      const data = Object.assign(issue('PROJ-1', 'First'), { formats: {}, description: 'long' });
+      const [entry] = addEntry([], data, 'markdown', 10, 1000);
+      expect(entry).to.not.have.any.keys('formats', 'description');
+    });
+  });
+
+  describe('pruneHistory', () => {
+    it('should drop the oldest unpinned entries over the limit', () => {
+      const history = [
+        { url: 'a', pinned: false },
+        { url: 'b', pinned: true },
+        { url: 'c', pinned: false },
+        { url: 'd', pinned: false },
+      ];
+      expect(pruneHistory(history, 2).map((entry) => entry.url)).to.deep.equal(['a', 'b', 'c']);
+      expect(pruneHistory(history, 0).map((entry) => entry.url)).to.deep.equal(['b']);
+    });
+  });
+
+  describe('searchHistory', () => {
+    const history = setPinned(
+      [
+        issue('PROJ-1', 'Fix login redirect'),
+        issue('PROJ-2', 'Add login page'),
+        issue('OPS-3', 'Rotate certificates', 'https://jira.corp.example/jira'),
+      ],
+      'https://mycompany.atlassian.net/browse/PROJ-2',
+      true,
+    );
+
+    it('should match every word in key or summary, case-insensitively, pinned first', () => {
+      expect(searchHistory(history, 'LOGIN').map((entry) => entry.key)).to.deep.equal(['PROJ-2', 'PROJ-1']);
+      expect(searchHistory(history, 'proj login fix').map((entry) => entry.key)).to.deep.equal(['PROJ-1']);
+    });
+
+    it('should return everything for an empty query', () => {
+      expect(searchHistory(history, '  ')).to.have.length(3);
+    });
+
+    it('should filter by site', () => {
+      expect(searchHistory(history, '', 'https://jira.corp.example/jira').map((entry) => entry.key)).to.deep.equal(['OPS-3']);
+    });
+  });
+
+  describe('Sites', () => {
+    it('should keep the context path of self-hosted sites', () => {
+      expect(siteOf(issue('OPS-3', 'x', 'https://jira.corp.example/jira'))).to.equal('https://jira.corp.example/jira');
+      expect(siteOf(issue('PROJ-1', 'x'))).to.equal('https://mycompany.atlassian.net');
+    });
+
+    it('should list sites once, most recent first', () => {
+      const history = [issue('OPS-1', 'x', 'https://jira.corp.example'), issue('PROJ-1', 'x'), issue('OPS-2', 'x', 'https://jira.corp.example')];
+      expect(listSites(history)).to.deep.equal(['https://jira.corp.example', 'https://mycompany.atlassian.net']);
+    });
+
+    it('should clear unpinned entries of one site or of all sites', () => {
+      const history = [
+        issue('OPS-1', 'x', 'https://jira.corp.example'),
+        Object.assign(issue('OPS-2', 'x', 'https://jira.corp.example'), { pinned: true }),
+        issue('PROJ-1', 'x'),
+      ];
+      expect(clearHistory(history, 'https://jira.corp.example').map((entry) => entry.key)).to.deep.equal(['OPS-2', 'PROJ-1']);
+      expect(clearHistory(history).map((entry) => entry.key)).to.deep.equal(['OPS-2']);
+    });
+  });
+
+  describe('formatAge', () => {
+    it('should show short relative times', () => {
+      const now = Date.UTC(2024, 0, 31);
+      expect(formatAge(now - 10 * 1000, now)).to.equal('just now');
+      expect(formatAge(now - 5 * 60 * 1000, now)).to.equal('5 min ago');
+      expect(formatAge(now - 3 * 60 * 60 * 1000, now)).to.equal('3 h ago');
+      expect(formatAge(now - 2 * 24 * 60 * 60 * 1000, now)).to.equal('2 d ago');
+    });
+
+    it('should word them with the given messages', () => {
+      const now = Date.UTC(2024, 0, 31);
+      const messages = { ageJustNow: 'gerade eben', ageHours: 'vor $1 Std.' };
+      const getMessage = (name, substitutions = []) => messages[name].replace('$1', substitutions[0]);
+
+      expect(formatAge(now - 10 * 1000, now, getMessage)).to.equal('gerade eben');
+      expect(formatAge(now - 3 * 60 * 60 * 1000, now, getMessage)).to.equal('vor 3 Std.');
+    });
+  });
+});
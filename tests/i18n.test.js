@@ -0,0 +1,138 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for the popup translations in lib/i18n.js and _locales
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { message, label, localizePage } = require('../lib/i18n');
+const { BUILTIN_FORMATS } = require('../lib/formats');
+const { RELEASE_FORMATS, RELEASE_GROUPS, RELEASE_SORTS } = require('../lib/release_notes');
+const { CONTENT_FORMATS } = require('../lib/issue_content');
+const { LINKIFY_FORMATS } = require('../lib/linkify');
+
+const LOCALES_DIR = path.join(__dirname, '..', '_locales');
+
+function readMessages(locale) {
+  return JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, locale, 'messages.json'), 'utf8'));
+}
+
+/**
+ * Minimal elements, as localizePage only needs attributes and text
+ */
+function element(attributes) {
+  return {
+    textContent: '',
+    attributes: Object.assign({}, attributes),
+    getAttribute(name) {
+      return name in this.attributes ? this.attributes[name] : null;
+    },
+    setAttribute(name, value) {
+      this.attributes[name] = value;
+    },
+  };
+}
+
+function fakeDocument(elements) {
+  return {
+    documentElement: element({ lang: 'en' }),
+    querySelectorAll(selector) {
+      const attribute = selector.slice(1, -1);
+      return elements.filter((item) => item.getAttribute(attribute) !== null);
+    },
+  };
+}
+
+describe('Translations', () => {
+  describe('message', () => {
+    it('should fall back to the message name outside the browser', () => {
+      expect(message('copied')).to.equal('copied');
+    });
+  });
+
+  describe('label', () => {
+    it('should use the translated label when there is one', () => {
+      const getMessage = (name) => (name === 'listFormat_plainList' ? 'Einfache Liste' : '');
+      expect(label('listFormat', 'plainList', 'Plain list', getMessage)).to.equal('Einfache Liste');
+      expect(label('tableFormat', 'csv', 'CSV', getMessage)).to.equal('CSV');
+    });
+  });
+
+  describe('localizePage', () => {
+    it('should fill in text, attributes, language and direction', () => {
+      const heading = element({ 'data-i18n': 'historySummary' });
+      const input = element({ 'data-i18n-placeholder': 'lookupPlaceholder', 'data-i18n-title': 'lookupSummary' });
+      const doc = fakeDocument([heading, input]);
+      const messages = {
+        historySummary: 'Letzte Kopien',
+        lookupPlaceholder: 'PROJ-123 oder eine Liste',
+        lookupSummary: 'Nachschlagen',
+        '@@ui_locale': 'he_IL',
+        '@@bidi_dir': 'rtl',
+      };
+
+      localizePage(doc, (name) => messages[name]);
+
+      expect(heading.textContent).to.equal('Letzte Kopien');
+      expect(input.attributes.placeholder).to.equal('PROJ-123 oder eine Liste');
+      expect(input.attributes.title).to.equal('Nachschlagen');
+      expect(doc.documentElement.attributes).to.include({ lang: 'he-IL', dir: 'rtl' });
+    });
+  });
+
+  describe('_locales', () => {
+    const english = readMessages('en');
+    const locales = fs.readdirSync(LOCALES_DIR).filter((locale) => locale !== 'en');
+
+    it('should ship translations', () => {
+      expect(locales).to.include.members(['de', 'fr', 'ja']);
+    });
+
+    for (const locale of locales) {
+      it(`should translate every message with its substitutions in ${locale}`, () => {
+        const translated = readMessages(locale);
+        expect(Object.keys(translated)).to.have.members(Object.keys(english));
+
+        for (const [name, entry] of Object.entries(english)) {
+          const substitutions = (text) => (text.match(/\$\d/g) || []).sort();
+          expect(substitutions(translated[name].message), name).to.deep.equal(
+            substitutions(entry.message),
+          );
+        }
+      });
+    }
+
+    it('should have a message for every built-in format and release option', () => {
+      const names = BUILTIN_FORMATS.flatMap((format) => [`formatLabel_${format.id}`, `formatTitle_${format.id}`])
+        .concat(Object.keys(RELEASE_FORMATS).map((id) => `releaseFormat_${id}`))
+        .concat(Object.keys(RELEASE_GROUPS).map((id) => `releaseGroup_${id}`))
+        .concat(Object.keys(RELEASE_SORTS).map((id) => `releaseSort_${id}`))
+        .concat(Object.keys(CONTENT_FORMATS).map((id) => `contentFormat_${id}`))
+        .concat(Object.keys(LINKIFY_FORMATS).map((id) => `linkifyFormat_${id}`));
+      for (const name of names) {
+        expect(english, name).to.have.property(name);
+      }
+    });
+
+    it('should have a message for every marked element of the popup', () => {
+      const html = fs.readFileSync(path.join(__dirname, '..', 'popup', 'issue_copy.html'), 'utf8');
+      for (const match of html.matchAll(/data-i18n(?:-\w+)?="(\w+)"/g)) {
+        expect(english, match[1]).to.have.property(match[1]);
+      }
+    });
+
+    it('should have a message for every notification and menu of the background script', () => {
+      const script = fs.readFileSync(path.join(__dirname, '..', 'background_script.js'), 'utf8');
+      const names = [...script.matchAll(/IssueI18n\.message\(\s*"(\w+)"/g)].map((match) => match[1]);
+      expect(names).to.include('menuCopyLink');
+      for (const name of names) {
+        expect(english, name).to.have.property(name);
+      }
+    });
+  });
+});
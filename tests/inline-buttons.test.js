@@ -0,0 +1,346 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for the in-page copy buttons in lib/inline_buttons.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { HOST_CLASS, themeOf, updateThemes, watchPage } = require('../lib/inline_buttons');
+const { DEFAULT_SETTINGS } = require('../lib/settings');
+
+const ROOT = path.join(__dirname, '..');
+const MESSAGES = JSON.parse(fs.readFileSync(path.join(ROOT, '_locales/en/messages.json'), 'utf8'));
+
+// Longer than the header check delay in lib/inline_buttons.js
+const SETTLE_MS = 300;
+
+function wait(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+const BOARD_HTML = `
+  <nav data-testid="breadcrumbs"><ol><li class="current"><a class="key">PROJ-1</a></li></ol></nav>
+  <div id="board">
+    <div class="card" data-key="PROJ-2"><span class="summary">Board card</span></div>
+  </div>
+  <div class="card" data-key="PROJ-3">Card outside the board</div>`;
+
+function element(attributes = {}) {
+  return {
+    attributes: Object.assign({}, attributes),
+    getAttribute(name) {
+      return name in this.attributes ? this.attributes[name] : null;
+    },
+    setAttribute(name, value) {
+      this.attributes[name] = value;
+    },
+  };
+}
+
+describe('Inline Copy Buttons', () => {
+  describe('themeOf', () => {
+    it('should follow the color mode Jira sets', () => {
+      expect(themeOf(element({ 'data-color-mode': 'dark' }))).to.equal('dark');
+      expect(themeOf(element({ 'data-color-mode': 'light' }))).to.equal('light');
+    });
+
+    it('should default to light where Jira has no themes', () => {
+      expect(themeOf(element())).to.equal('light');
+      expect(themeOf(null)).to.equal('light');
+    });
+  });
+
+  describe('updateThemes', () => {
+    it('should give every button the page theme', () => {
+      const hosts = [element({ 'data-theme': 'light' }), element()];
+      const doc = {
+        documentElement: element({ 'data-color-mode': 'dark' }),
+        querySelectorAll(selector) {
+          expect(selector).to.equal(`.${HOST_CLASS}`);
+          return hosts;
+        },
+      };
+
+      updateThemes(doc);
+      expect(hosts.map((host) => host.getAttribute('data-theme'))).to.deep.equal([
+        'dark',
+        'dark',
+      ]);
+    });
+  });
+
+  describe('watchPage', () => {
+    let dom;
+    let doc;
+    let watcher;
+    let formats;
+
+    function start(overrides = {}) {
+      watcher = watchPage(
+        doc,
+        Object.assign(
+          {
+            findKey: () => doc.querySelector('.key'),
+            headerContainer: (keyElement) => keyElement.parentElement,
+            findBoard: () => doc.getElementById('board'),
+            cardSelector: '.card',
+            cardKey: (card) => card.getAttribute('data-key'),
+            listFormats: () => formats,
+            loadHeaderIssue: async () => ({ key: 'PROJ-1' }),
+            loadCardIssue: async (card) => ({ key: card.getAttribute('data-key') }),
+            copy: async () => {},
+          },
+          overrides,
+        ),
+      );
+      return watcher;
+    }
+
+    function hover(element) {
+      element.dispatchEvent(new dom.window.Event('pointerover', { bubbles: true }));
+    }
+
+    function menuItems(host) {
+      host.shadowRoot.querySelector('.toggle').click();
+      return Array.from(host.shadowRoot.querySelectorAll('[role="menuitem"]'), (item) => item.textContent);
+    }
+
+    beforeEach(() => {
+      dom = new JSDOM(`<!DOCTYPE html><html data-color-mode="dark"><body>${BOARD_HTML}</body></html>`);
+      doc = dom.window.document;
+      formats = [{ id: 'markdown', icon: 'M', label: 'Markdown', title: 'Markdown link' }];
+    });
+
+    afterEach(() => {
+      if (watcher) {
+        watcher.stop();
+        watcher = null;
+      }
+      dom.window.close();
+    });
+
+    it('should put a button right after the header key', () => {
+      start();
+      const host = doc.querySelector('.key').nextElementSibling;
+      expect(host.className).to.equal(`${HOST_CLASS} ${HOST_CLASS}-header`);
+      expect(host.getAttribute('data-theme')).to.equal('dark');
+      expect(doc.querySelectorAll(`.${HOST_CLASS}`)).to.have.length(1);
+    });
+
+    it('should put the button back when Jira replaces the header', async () => {
+      start();
+      const item = doc.querySelector('li.current');
+      const replacement = doc.createElement('li');
+      replacement.innerHTML = '<a class="key">PROJ-4</a>';
+      item.replaceWith(replacement);
+
+      await wait(SETTLE_MS);
+      const key = doc.querySelector('.key');
+      expect(key.textContent).to.equal('PROJ-4');
+      expect(key.nextElementSibling.classList.contains(`${HOST_CLASS}-header`)).to.be.true;
+      expect(doc.querySelectorAll(`.${HOST_CLASS}-header`)).to.have.length(1);
+    });
+
+    it('should find the header again on refresh after a navigation', () => {
+      start();
+      doc.querySelector('nav').outerHTML = '<nav><ol><li><a class="key">PROJ-5</a></li></ol></nav>';
+
+      watcher.refresh();
+      expect(doc.querySelector('.key').nextElementSibling.classList.contains(`${HOST_CLASS}-header`)).to.be.true;
+    });
+
+    it('should move one card button to the card under the pointer on the board', () => {
+      start();
+      const card = doc.querySelector('#board .card');
+      hover(card.querySelector('.summary'));
+
+      const host = card.querySelector(`.${HOST_CLASS}-card`);
+      expect(host).to.not.equal(null);
+
+      hover(doc.querySelector('[data-key="PROJ-3"]'));
+      expect(doc.querySelectorAll(`.${HOST_CLASS}-card`)).to.have.length(1);
+      expect(host.parentElement).to.equal(card);
+    });
+
+    it('should add no card buttons off boards', () => {
+      start({ findBoard: () => null });
+      hover(doc.querySelector('#board .card'));
+      expect(doc.querySelector(`.${HOST_CLASS}-card`)).to.equal(null);
+    });
+
+    it('should list the formats offered for the issue in the menu', () => {
+      const keys = [];
+      start({
+        listFormats: (key) => {
+          keys.push(key);
+          return formats;
+        },
+      });
+      formats = formats.concat({ id: 'tpl-1', icon: 'T', label: 'Changelog', title: 'Template' });
+
+      expect(menuItems(doc.querySelector(`.${HOST_CLASS}-header`))).to.deep.equal(['M Markdown', 'T Changelog']);
+      hover(doc.querySelector('#board .card'));
+      menuItems(doc.querySelector(`.${HOST_CLASS}-card`));
+      expect(keys).to.deep.equal(['PROJ-1', 'PROJ-2']);
+    });
+
+    it('should remove the buttons and stop watching when stopped', async () => {
+      start();
+      watcher.stop();
+      expect(doc.querySelector(`.${HOST_CLASS}`)).to.equal(null);
+
+      doc.querySelector('li.current').replaceWith(doc.createElement('li'));
+      hover(doc.querySelector('#board .card'));
+      await wait(SETTLE_MS);
+      expect(doc.querySelector(`.${HOST_CLASS}`)).to.equal(null);
+    });
+  });
+
+  describe('content script', () => {
+    const scripts = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8')).content_scripts[0].js;
+
+    let dom;
+    let doc;
+    let stored;
+    let changeListeners;
+    let messageListeners;
+
+    /**
+     * Run the content scripts, in manifest order, in a Jira issue page
+     * with the given settings stored
+     */
+    async function loadPage(settings) {
+      dom = new JSDOM(
+        '<!DOCTYPE html><html><body><nav data-testid="breadcrumbs"><ol><li>' +
+          '<a id="key-val">OPS-3</a></li></ol></nav></body></html>',
+        {
+          url: 'https://mycompany.atlassian.net/browse/OPS-3',
+          runScripts: 'outside-only',
+          // Keeps the scripts' logging of the missing API out of the output
+          virtualConsole: new VirtualConsole(),
+        },
+      );
+      doc = dom.window.document;
+      stored = Object.assign({}, settings);
+      changeListeners = [];
+      messageListeners = [];
+
+      dom.window.fetch = async () => {
+        throw new Error('No network in tests');
+      };
+      dom.window.browser = {
+        i18n: { getMessage: (name) => (MESSAGES[name] ? MESSAGES[name].message : '') },
+        runtime: {
+          id: 'test',
+          onMessage: { addListener: (listener) => messageListeners.push(listener) },
+        },
+        storage: {
+          sync: { get: async (defaults) => Object.assign({}, defaults, stored) },
+          onChanged: { addListener: (listener) => changeListeners.push(listener) },
+        },
+      };
+      for (const script of scripts) {
+        dom.window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8'));
+      }
+      await wait();
+    }
+
+    async function changeSettings(changes) {
+      Object.assign(stored, changes);
+      changeListeners.forEach((listener) => listener(changes, 'sync'));
+      await wait();
+    }
+
+    /**
+     * Send a message to the content script, as the popup or background
+     * script would
+     */
+    function sendMessage(request, sendResponse = () => {}) {
+      messageListeners.forEach((listener) => listener(request, {}, sendResponse));
+    }
+
+    function requestIssueData() {
+      return new Promise((resolve) => sendMessage({ action: 'getIssueData' }, resolve));
+    }
+
+    function headerButton() {
+      return doc.querySelector(`.${HOST_CLASS}-header`);
+    }
+
+    afterEach(async () => {
+      await changeSettings({ inlineButtons: false });
+      dom.window.close();
+    });
+
+    it('should add a translated header button when inline buttons are on', async () => {
+      await loadPage({ inlineButtons: true });
+      expect(headerButton().previousElementSibling.id).to.equal('key-val');
+      expect(headerButton().shadowRoot.querySelector('.toggle').title).to.equal('Copy this issue');
+    });
+
+    it('should offer only the formats the matching profile allows', async () => {
+      await loadPage({
+        inlineButtons: true,
+        templates: [
+          { id: 'tpl-key', name: 'Key only', template: '{key}', mime: 'text/plain' },
+          { id: 'tpl-other', name: 'Other', template: '{summary}', mime: 'text/plain' },
+        ],
+        profiles: [
+          {
+            id: 'profile-ops',
+            name: 'Ops',
+            hosts: [],
+            projects: ['OPS'],
+            formats: ['markdownShort', 'tpl-key'],
+            defaultFormat: '',
+          },
+        ],
+      });
+
+      const toggle = headerButton().shadowRoot.querySelector('.toggle');
+      toggle.click();
+      const items = headerButton().shadowRoot.querySelectorAll('[role="menuitem"]');
+      expect(items).to.have.length(2);
+      expect(items[1].textContent).to.include('Key only');
+      toggle.click();
+    });
+
+    it('should detect the new issue after a urlChanged message', async () => {
+      await loadPage({ inlineButtons: true });
+      expect((await requestIssueData()).issueData.key).to.equal('OPS-3');
+
+      // Jira navigates without a reload and draws the new issue's header
+      dom.window.history.pushState({}, '', '/browse/OPS-4');
+      doc.body.innerHTML =
+        '<nav data-testid="breadcrumbs"><ol><li><a id="key-val">OPS-4</a></li></ol></nav>';
+      sendMessage({ action: 'urlChanged', url: 'https://mycompany.atlassian.net/browse/OPS-4' });
+
+      expect(headerButton().previousElementSibling.textContent).to.equal('OPS-4');
+      const response = await requestIssueData();
+      expect(response.issueData.key).to.equal('OPS-4');
+      expect(response.issueData.url).to.equal('https://mycompany.atlassian.net/browse/OPS-4');
+    });
+
+    it('should add the buttons by default and none while the setting is off', async () => {
+      expect(DEFAULT_SETTINGS.inlineButtons).to.be.true;
+      await loadPage({ inlineButtons: false });
+      expect(headerButton()).to.equal(null);
+    });
+
+    it('should add and remove the buttons as the setting changes', async () => {
+      await loadPage({ inlineButtons: false });
+
+      await changeSettings({ inlineButtons: true });
+      expect(headerButton()).to.not.equal(null);
+
+      await changeSettings({ inlineButtons: false });
+      expect(doc.querySelector(`.${HOST_CLASS}`)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,571 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for REST API issue data in lib/issue_api.js
+ * Runs against a local stub HTTP server returning canned Jira JSON
+ */
+
+const http = require('http');
+const { expect } = require('chai');
+const {
+  fetchIssue,
+  fetchIssues,
+  fetchRelatedIssues,
+  fetchRelease,
+  fetchIssueContent,
+  issueFromApi,
+  mergeIssueData,
+} = require('../lib/issue_api');
+
+const CLOUD_ISSUE = {
+  key: 'PROJ-123',
+  names: {
+    summary: 'Summary',
+    customfield_10020: 'Sprint',
+  },
+  fields: {
+    summary: 'Fix login redirect loop',
+    issuetype: { name: 'Bug' },
+    status: { name: 'In Progress' },
+    priority: { name: 'High' },
+    assignee: { displayName: 'Alex Doe' },
+    reporter: { displayName: 'Sam Roe' },
+    parent: { key: 'PROJ-100' },
+    labels: ['auth', 'frontend'],
+    fixVersions: [{ name: '2.4.0' }, { name: '2.5.0' }],
+    customfield_10020: [
+      { id: 1, name: 'Sprint 41', state: 'closed' },
+      { id: 2, name: 'Sprint 42', state: 'active' },
+    ],
+  },
+};
+
+const SERVER_ISSUE = {
+  key: 'OPS-7',
+  names: {
+    customfield_10100: 'Epic Link',
+    customfield_10101: 'Sprint',
+  },
+  fields: {
+    summary: 'Rotate certificates',
+    issuetype: { name: 'Task' },
+    status: { name: 'Open' },
+    priority: null,
+    assignee: null,
+    reporter: { name: 'jdoe', displayName: 'Jane Doe' },
+    labels: [],
+    fixVersions: [],
+    customfield_10100: 'OPS-1',
+    customfield_10101: [
+      'com.atlassian.greenhopper.service.sprint.Sprint@1f[id=3,rapidViewId=1,state=CLOSED,name=Ops 3,startDate=2024-01-01]',
+      'com.atlassian.greenhopper.service.sprint.Sprint@2a[id=4,rapidViewId=1,state=FUTURE,name=Ops 4,startDate=<null>]',
+    ],
+  },
+};
+
+/**
+ * Start a stub Jira server
+ * routes maps request paths (without query string) to [status, body], or
+ * to a function of the query parameters returning [status, body]
+ */
+function startStubServer(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const path = req.url.split('?')[0];
+    const route = routes[path] || [404, { errorMessages: ['Not found'] }];
+    const [status, body] =
+      typeof route === 'function' ? route(new URL(req.url, 'http://stub').searchParams) : route;
+
+    if (status === 'hang') {
+      return;
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, baseUrl, requests });
+    });
+  });
+}
+
+describe('Jira REST API Issue Data', () => {
+  let stub;
+
+  afterEach((done) => {
+    if (stub) {
+      stub.server.closeAllConnections();
+      stub.server.close(done);
+      stub = null;
+    } else {
+      done();
+    }
+  });
+
+  describe('fetchIssue', () => {
+    it('should read issue data from the v2 API', async () => {
+      stub = await startStubServer({ '/rest/api/2/issue/PROJ-123': [200, CLOUD_ISSUE] });
+
+      const issue = await fetchIssue(stub.baseUrl, 'PROJ-123');
+
+      expect(issue).to.deep.equal({
+        key: 'PROJ-123',
+        summary: 'Fix login redirect loop',
+        url: `${stub.baseUrl}/browse/PROJ-123`,
+        type: 'Bug',
+        status: 'In Progress',
+        priority: 'High',
+        assignee: 'Alex Doe',
+        reporter: 'Sam Roe',
+        parent: 'PROJ-100',
+        sprint: 'Sprint 42',
+        labels: ['auth', 'frontend'],
+        fixVersions: ['2.4.0', '2.5.0'],
+      });
+      expect(stub.requests[0]).to.equal('/rest/api/2/issue/PROJ-123?fields=*navigable&expand=names');
+    });
+
+    it('should keep the context path of self-hosted instances', async () => {
+      stub = await startStubServer({ '/jira/rest/api/2/issue/OPS-7': [200, SERVER_ISSUE] });
+
+      const issue = await fetchIssue(`${stub.baseUrl}/jira`, 'OPS-7');
+
+      expect(issue.url).to.equal(`${stub.baseUrl}/jira/browse/OPS-7`);
+    });
+
+    it('should fall back to the v3 API when v2 is not found', async () => {
+      stub = await startStubServer({ '/rest/api/3/issue/PROJ-123': [200, CLOUD_ISSUE] });
+
+      const issue = await fetchIssue(stub.baseUrl, 'PROJ-123');
+
+      expect(issue.summary).to.equal('Fix login redirect loop');
+      expect(stub.requests.map((url) => url.split('?')[0])).to.deep.equal([
+        '/rest/api/2/issue/PROJ-123',
+        '/rest/api/3/issue/PROJ-123',
+      ]);
+    });
+
+    it('should reject when the API is forbidden', async () => {
+      stub = await startStubServer({ '/rest/api/2/issue/PROJ-123': [403, { errorMessages: ['Forbidden'] }] });
+
+      let error = null;
+      try {
+        await fetchIssue(stub.baseUrl, 'PROJ-123');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.an('error');
+      expect(error.message).to.include('403');
+      expect(stub.requests).to.have.length(1);
+    });
+
+    it('should reject when no API version exists', async () => {
+      stub = await startStubServer({});
+
+      let error = null;
+      try {
+        await fetchIssue(stub.baseUrl, 'PROJ-123');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.an('error');
+      expect(stub.requests).to.have.length(2);
+    });
+
+    it('should reject when the API does not answer in time', async () => {
+      stub = await startStubServer({ '/rest/api/2/issue/PROJ-123': ['hang'] });
+
+      let error = null;
+      try {
+        await fetchIssue(stub.baseUrl, 'PROJ-123', fetch, 50);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.have.property('name', 'AbortError');
+    });
+  });
+
+  describe('fetchIssues', () => {
+    const searchResult = {
+      issues: [
+        { key: 'PROJ-2', fields: { summary: 'Second', status: { name: 'Done' } } },
+        { key: 'PROJ-1', fields: { summary: 'First', status: { name: 'To Do' } } },
+      ],
+    };
+
+    it('should search by key and keep the requested order', async () => {
+      stub = await startStubServer({ '/rest/api/2/search/jql': [200, searchResult] });
+
+      const issues = await fetchIssues(stub.baseUrl, ['PROJ-1', 'PROJ-2', 'PROJ-3']);
+
+      expect(issues.map((issue) => [issue.key, issue.status])).to.deep.equal([
+        ['PROJ-1', 'To Do'],
+        ['PROJ-2', 'Done'],
+      ]);
+      const query = new URL(stub.requests[0], stub.baseUrl).searchParams;
+      expect(query.get('jql')).to.equal('key in (PROJ-1,PROJ-2,PROJ-3)');
+    });
+
+    it('should fall back to the Server/DC search endpoint', async () => {
+      stub = await startStubServer({ '/rest/api/2/search': [200, searchResult] });
+
+      const issues = await fetchIssues(stub.baseUrl, ['PROJ-2']);
+
+      expect(issues).to.have.length(1);
+      expect(stub.requests.map((url) => url.split('?')[0])).to.deep.equal([
+        '/rest/api/2/search/jql',
+        '/rest/api/2/search',
+      ]);
+    });
+
+    it('should search in batches', async () => {
+      stub = await startStubServer({ '/rest/api/2/search/jql': [200, { issues: [] }] });
+      const keys = Array.from({ length: 120 }, (_, index) => `PROJ-${index + 1}`);
+
+      await fetchIssues(stub.baseUrl, keys);
+
+      expect(stub.requests).to.have.length(3);
+    });
+
+    it('should keep the other keys when one of them does not exist', async () => {
+      stub = await startStubServer({
+        '/rest/api/2/search/jql': (params) => {
+          const keys = params.get('jql').match(/\((.*)\)/)[1].split(',');
+          if (keys.includes('PROJ-404')) {
+            return [400, { errorMessages: ["An issue with key 'PROJ-404' does not exist for field 'key'."] }];
+          }
+          return [200, { issues: searchResult.issues.filter((issue) => keys.includes(issue.key)) }];
+        },
+      });
+
+      const issues = await fetchIssues(stub.baseUrl, ['PROJ-1', 'PROJ-404', 'PROJ-2']);
+
+      expect(issues.map((issue) => issue.key)).to.deep.equal(['PROJ-1', 'PROJ-2']);
+      expect(stub.requests).to.have.length(4);
+    });
+
+    it('should not call the API for an empty list', async () => {
+      expect(await fetchIssues('http://127.0.0.1:9', [])).to.deep.equal([]);
+    });
+  });
+
+  describe('fetchRelatedIssues', () => {
+    const DONE = { name: 'Closed', statusCategory: { key: 'done' } };
+    const OPEN = { name: 'Open', statusCategory: { key: 'new' } };
+
+    const PARENT = {
+      key: 'PROJ-1',
+      fields: {
+        summary: 'Parent',
+        status: OPEN,
+        subtasks: [
+          { key: 'PROJ-2', fields: { summary: 'Sub one', status: DONE } },
+          { key: 'PROJ-3', fields: { summary: 'Sub two', status: OPEN } },
+        ],
+        issuelinks: [
+          {
+            type: { name: 'Blocks', inward: 'is blocked by', outward: 'blocks' },
+            outwardIssue: { key: 'PROJ-4', fields: { summary: 'Blocked', status: OPEN } },
+          },
+          {
+            type: { name: 'Blocks', inward: 'is blocked by', outward: 'blocks' },
+            inwardIssue: { key: 'PROJ-5', fields: { summary: 'Blocker', status: DONE } },
+          },
+          {
+            type: { name: 'Blocks', inward: 'is blocked by', outward: 'blocks' },
+            outwardIssue: { key: 'PROJ-6', fields: { summary: 'Also blocked', status: OPEN } },
+          },
+        ],
+      },
+    };
+
+    const summary = (groups) =>
+      groups.map((group) => [group.label, group.issues.map((issue) => [issue.key, issue.done])]);
+
+    it('should read subtasks with their done state', async () => {
+      stub = await startStubServer({ '/rest/api/2/issue/PROJ-1': [200, PARENT] });
+
+      const related = await fetchRelatedIssues(stub.baseUrl, 'PROJ-1', 'subtasks');
+
+      expect(related.issue.key).to.equal('PROJ-1');
+      expect(related.issue.done).to.equal(false);
+      expect(summary(related.groups)).to.deep.equal([
+        [null, [['PROJ-2', true], ['PROJ-3', false]]],
+      ]);
+    });
+
+    it('should group linked issues by link direction', async () => {
+      stub = await startStubServer({ '/rest/api/2/issue/PROJ-1': [200, PARENT] });
+
+      const related = await fetchRelatedIssues(stub.baseUrl, 'PROJ-1', 'links');
+
+      expect(summary(related.groups)).to.deep.equal([
+        ['blocks', [['PROJ-4', false], ['PROJ-6', false]]],
+        ['is blocked by', [['PROJ-5', true]]],
+      ]);
+    });
+
+    it('should search for epic children by parent', async () => {
+      stub = await startStubServer({
+        '/rest/api/2/issue/PROJ-1': [200, PARENT],
+        '/rest/api/2/search/jql': [
+          200,
+          { issues: [{ key: 'PROJ-7', fields: { summary: 'Child', status: DONE } }] },
+        ],
+      });
+
+      const related = await fetchRelatedIssues(stub.baseUrl, 'PROJ-1', 'children');
+
+      expect(summary(related.groups)).to.deep.equal([[null, [['PROJ-7', true]]]]);
+      const query = new URL(stub.requests[1], stub.baseUrl).searchParams;
+      expect(query.get('jql')).to.equal('parent = PROJ-1 ORDER BY key ASC');
+    });
+
+    it('should fall back to Epic Link for Server/DC epics', async () => {
+      stub = await startStubServer({
+        '/rest/api/2/issue/PROJ-1': [200, PARENT],
+        '/rest/api/2/search/jql': [200, { issues: [] }],
+      });
+
+      const related = await fetchRelatedIssues(stub.baseUrl, 'PROJ-1', 'children');
+
+      expect(related.groups).to.deep.equal([]);
+      const queries = stub.requests
+        .slice(1)
+        .map((url) => new URL(url, stub.baseUrl).searchParams.get('jql'));
+      expect(queries).to.deep.equal([
+        'parent = PROJ-1 ORDER BY key ASC',
+        '"Epic Link" = PROJ-1 ORDER BY key ASC',
+      ]);
+    });
+
+    it('should reject when every search fails', async () => {
+      stub = await startStubServer({
+        '/rest/api/2/issue/PROJ-1': [200, PARENT],
+        '/rest/api/2/search/jql': [403, { errorMessages: ['Forbidden'] }],
+      });
+
+      let error = null;
+      try {
+        await fetchRelatedIssues(stub.baseUrl, 'PROJ-1', 'children');
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.an('error');
+      expect(error.message).to.include('403');
+    });
+  });
+
+  describe('fetchIssueContent', () => {
+    const ADF = { type: 'doc', version: 1, content: [] };
+
+    it('should read ADF from the v3 API', async () => {
+      stub = await startStubServer({
+        '/rest/api/3/issue/PROJ-1': [
+          200,
+          {
+            key: 'PROJ-1',
+            fields: {
+              description: ADF,
+              comment: {
+                comments: [
+                  { author: { displayName: 'Jane Doe' }, created: '2024-05-01T10:00:00.000+0000', body: ADF },
+                ],
+              },
+              attachment: [{ filename: 'shot.png', content: 'https://x/attachment/1' }],
+            },
+          },
+        ],
+      });
+
+      const content = await fetchIssueContent(stub.baseUrl, 'PROJ-1');
+
+      expect(content).to.deep.equal({
+        format: 'adf',
+        description: ADF,
+        comments: [{ author: 'Jane Doe', created: '2024-05-01T10:00:00.000+0000', body: ADF }],
+        attachments: { 'shot.png': 'https://x/attachment/1' },
+      });
+    });
+
+    it('should fall back to rendered HTML from the v2 API', async () => {
+      stub = await startStubServer({
+        '/rest/api/2/issue/OPS-7': [
+          200,
+          {
+            key: 'OPS-7',
+            fields: {
+              description: 'h3. Steps',
+              comment: { comments: [{ author: { name: 'jdoe' }, created: '2024-05-01', body: '*Done*' }] },
+            },
+            renderedFields: {
+              description: '<h3>Steps</h3>',
+              comment: { comments: [{ body: '<p><b>Done</b></p>' }] },
+            },
+          },
+        ],
+      });
+
+      const content = await fetchIssueContent(stub.baseUrl, 'OPS-7');
+
+      expect(content.format).to.equal('html');
+      expect(content.description).to.equal('<h3>Steps</h3>');
+      expect(content.comments).to.deep.equal([
+        { author: 'jdoe', created: '2024-05-01', body: '<p><b>Done</b></p>' },
+      ]);
+      expect(new URL(stub.requests[1], stub.baseUrl).searchParams.get('expand')).to.equal('renderedFields');
+    });
+  });
+
+  describe('fetchRelease', () => {
+    const DONE = { name: 'Done', statusCategory: { key: 'done' } };
+    const ISSUES = {
+      issues: [
+        { key: 'PROJ-2', fields: { summary: 'Fix login', issuetype: { name: 'Bug' }, status: DONE } },
+        { key: 'PROJ-3', fields: { summary: 'Dark mode', issuetype: { name: 'Story' } } },
+      ],
+    };
+    const jqlOf = (url) => new URL(url, stub.baseUrl).searchParams.get('jql');
+
+    it('should read a fix version and its issues', async () => {
+      stub = await startStubServer({
+        '/rest/api/2/version/10001': [200, { id: '10001', name: '2.4.0', releaseDate: '2024-05-01' }],
+        '/rest/api/2/search/jql': [200, ISSUES],
+      });
+
+      const release = await fetchRelease(stub.baseUrl, { kind: 'version', id: '10001' });
+
+      expect(release.name).to.equal('2.4.0');
+      expect(release.date).to.equal('2024-05-01');
+      expect(release.issues.map((issue) => [issue.key, issue.type, issue.done])).to.deep.equal([
+        ['PROJ-2', 'Bug', true],
+        ['PROJ-3', 'Story', false],
+      ]);
+      expect(jqlOf(stub.requests[1])).to.equal('fixVersion = 10001 ORDER BY key ASC');
+    });
+
+    it("should use a board's active sprint and its end date", async () => {
+      stub = await startStubServer({
+        '/rest/agile/1.0/board/7/sprint': [
+          200,
+          { values: [{ id: 42, name: 'Sprint 42', endDate: '2024-05-14T16:00:00.000Z' }] },
+        ],
+        '/rest/api/2/search/jql': [200, ISSUES],
+      });
+
+      const release = await fetchRelease(stub.baseUrl, { kind: 'sprint', id: null, boardId: '7' });
+
+      expect(release.name).to.equal('Sprint 42');
+      expect(release.date).to.equal('2024-05-14');
+      expect(stub.requests[0]).to.equal('/rest/agile/1.0/board/7/sprint?state=active');
+      expect(jqlOf(stub.requests[1])).to.equal('sprint = 42 ORDER BY key ASC');
+    });
+
+    it('should reject when the board has no active sprint', async () => {
+      stub = await startStubServer({ '/rest/agile/1.0/board/7/sprint': [200, { values: [] }] });
+
+      let error = null;
+      try {
+        await fetchRelease(stub.baseUrl, { kind: 'sprint', id: null, boardId: '7' });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.an('error');
+      expect(error.message).to.include('no active sprint');
+    });
+
+    it('should run a JQL search as given', async () => {
+      stub = await startStubServer({ '/rest/api/2/search/jql': [200, ISSUES] });
+
+      const release = await fetchRelease(stub.baseUrl, { kind: 'jql', jql: 'labels = release' });
+
+      expect(release.name).to.equal(null);
+      expect(release.date).to.equal(null);
+      expect(release.issues).to.have.lengthOf(2);
+      expect(release.truncated).to.equal(false);
+      expect(jqlOf(stub.requests[0])).to.equal('labels = release');
+    });
+
+    it('should page through Server/DC search results with startAt', async () => {
+      const all = Array.from({ length: 230 }, (_, i) => ({ key: `OPS-${i + 1}`, fields: { status: DONE } }));
+      stub = await startStubServer({
+        '/rest/api/2/search': (params) => {
+          const startAt = Number(params.get('startAt') || 0);
+          const page = all.slice(startAt, startAt + Number(params.get('maxResults')));
+          return [200, { startAt: startAt, total: all.length, issues: page }];
+        },
+      });
+
+      const release = await fetchRelease(stub.baseUrl, { kind: 'jql', jql: 'project = OPS' });
+
+      expect(release.issues).to.have.lengthOf(230);
+      expect(release.issues[229].key).to.equal('OPS-230');
+      expect(release.truncated).to.equal(false);
+      expect(stub.requests.slice(1).map((url) => new URL(url, stub.baseUrl).searchParams.get('startAt')))
+        .to.deep.equal([null, '100', '200']);
+    });
+
+    it('should follow Cloud page tokens and mark notes cut off at the limit', async () => {
+      let page = 0;
+      stub = await startStubServer({
+        '/rest/api/2/search/jql': (params) => {
+          expect(params.get('nextPageToken')).to.equal(page === 0 ? null : `page-${page}`);
+          page++;
+          const issues = Array.from({ length: 100 }, (_, i) => ({ key: `PROJ-${page * 100 + i}`, fields: {} }));
+          return [200, { issues: issues, nextPageToken: `page-${page}`, isLast: false }];
+        },
+      });
+
+      const release = await fetchRelease(stub.baseUrl, { kind: 'jql', jql: 'project = PROJ' });
+
+      expect(release.issues).to.have.lengthOf(1000);
+      expect(release.truncated).to.equal(true);
+      expect(stub.requests).to.have.lengthOf(10);
+    });
+  });
+
+  describe('issueFromApi', () => {
+    it('should read Server/DC epic links and sprint strings', () => {
+      const issue = issueFromApi(SERVER_ISSUE, 'https://jira.corp.example');
+
+      expect(issue.parent).to.equal('OPS-1');
+      expect(issue.sprint).to.equal('Ops 4');
+      expect(issue.reporter).to.equal('Jane Doe');
+      expect(issue.assignee).to.be.null;
+      expect(issue.priority).to.be.null;
+    });
+
+    it('should cope with missing fields', () => {
+      const issue = issueFromApi({ key: 'PROJ-1' }, 'https://mycompany.atlassian.net');
+
+      expect(issue.summary).to.be.null;
+      expect(issue.sprint).to.be.null;
+      expect(issue.labels).to.deep.equal([]);
+      expect(issue.fixVersions).to.deep.equal([]);
+    });
+  });
+
+  describe('mergeIssueData', () => {
+    it('should prefer API values and keep DOM values for gaps', () => {
+      const dom = { key: 'PROJ-1', summary: 'From page', status: 'Done', labels: ['page'] };
+      const apiData = { key: 'PROJ-1', summary: 'From API', status: null, labels: [] };
+
+      expect(mergeIssueData(dom, apiData)).to.deep.equal({
+        key: 'PROJ-1',
+        summary: 'From API',
+        status: 'Done',
+        labels: ['page'],
+      });
+    });
+  });
+});
@@ -0,0 +1,255 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for description and comment conversion in lib/issue_content.js
+ */
+
+const { expect } = require('chai');
+const { readHtml, toMarkdown, toHtml, formatComments } = require('../lib/issue_content');
+
+const BASE_URL = 'https://mycompany.atlassian.net';
+
+const text = (value, marks) => (marks ? { type: 'text', text: value, marks } : { type: 'text', text: value });
+const paragraph = (...content) => ({ type: 'paragraph', content });
+const doc = (...content) => ({ type: 'doc', version: 1, content });
+
+/**
+ * Minimal DOM nodes, as readHtml only needs a few properties
+ */
+function element(tag, attributes = {}, ...children) {
+  return {
+    nodeType: 1,
+    nodeName: tag.toUpperCase(),
+    childNodes: children.map((child) =>
+      typeof child === 'string' ? { nodeType: 3, nodeName: '#text', textContent: child } : child,
+    ),
+    getAttribute(name) {
+      return name in attributes ? attributes[name] : null;
+    },
+    get textContent() {
+      return this.childNodes.map((child) => child.textContent).join('');
+    },
+  };
+}
+
+describe('Issue Content', () => {
+  describe('toMarkdown', () => {
+    it('should convert headings, marks and links', () => {
+      const adf = doc(
+        { type: 'heading', attrs: { level: 2 }, content: [text('Steps')] },
+        paragraph(
+          text('Open '),
+          text('settings', [{ type: 'strong' }]),
+          text(', then see '),
+          text('the docs', [{ type: 'link', attrs: { href: '/wiki/spaces/X' } }]),
+          text(' and run '),
+          text('npm test', [{ type: 'code' }]),
+        ),
+      );
+
+      expect(toMarkdown(adf, { baseUrl: BASE_URL })).to.equal(
+        '## Steps\n\n' +
+        'Open **settings**, then see [the docs](https://mycompany.atlassian.net/wiki/spaces/X) and run `npm test`',
+      );
+    });
+
+    it('should nest lists and indent their content', () => {
+      const adf = doc({
+        type: 'bulletList',
+        content: [
+          {
+            type: 'listItem',
+            content: [
+              paragraph(text('One')),
+              {
+                type: 'orderedList',
+                attrs: { order: 1 },
+                content: [
+                  { type: 'listItem', content: [paragraph(text('First'))] },
+                  { type: 'listItem', content: [paragraph(text('Second'))] },
+                ],
+              },
+            ],
+          },
+          { type: 'listItem', content: [paragraph(text('Two'))] },
+        ],
+      });
+
+      expect(toMarkdown(adf)).to.equal('- One\n  1. First\n  2. Second\n- Two');
+    });
+
+    it('should fence code blocks with their language', () => {
+      const adf = doc({
+        type: 'codeBlock',
+        attrs: { language: 'js' },
+        content: [text('const a = `b`;\n')],
+      });
+      expect(toMarkdown(adf)).to.equal('```js\nconst a = `b`;\n```');
+    });
+
+    it('should write tables with the first row as header', () => {
+      const cell = (type, value) => ({ type, content: [paragraph(text(value))] });
+      const adf = doc({
+        type: 'table',
+        content: [
+          { type: 'tableRow', content: [cell('tableHeader', 'Env'), cell('tableHeader', 'URL')] },
+          { type: 'tableRow', content: [cell('tableCell', 'prod'), cell('tableCell', 'a | b')] },
+        ],
+      });
+
+      expect(toMarkdown(adf)).to.equal('| Env | URL |\n| --- | --- |\n| prod | a \\| b |');
+    });
+
+    it('should write mentions, issue cards, task lists and quotes', () => {
+      const adf = doc(
+        paragraph(
+          { type: 'mention', attrs: { id: 'abc', text: '@Jane Doe' } },
+          text(' see '),
+          { type: 'inlineCard', attrs: { url: `${BASE_URL}/browse/PROJ-7` } },
+        ),
+        {
+          type: 'taskList',
+          content: [
+            { type: 'taskItem', attrs: { state: 'DONE' }, content: [text('Ship')] },
+            { type: 'taskItem', attrs: { state: 'TODO' }, content: [text('Announce')] },
+          ],
+        },
+        { type: 'blockquote', content: [paragraph(text('Quoted'))] },
+      );
+
+      expect(toMarkdown(adf)).to.equal(
+        `@Jane Doe see [PROJ-7](${BASE_URL}/browse/PROJ-7)\n\n` +
+        '- [x] Ship\n- [ ] Announce\n\n' +
+        '> Quoted',
+      );
+    });
+
+    it('should link images through the attachment list', () => {
+      const adf = doc({
+        type: 'mediaSingle',
+        content: [{ type: 'media', attrs: { id: 'uuid', type: 'file', alt: 'screen.png' } }],
+      });
+      const options = {
+        baseUrl: BASE_URL,
+        attachments: { 'screen.png': `${BASE_URL}/rest/api/3/attachment/content/10001` },
+      };
+
+      expect(toMarkdown(adf, options)).to.equal(
+        `![screen.png](${BASE_URL}/rest/api/3/attachment/content/10001)`,
+      );
+    });
+
+    it('should escape Markdown characters and drop unsafe links', () => {
+      const adf = doc(
+        paragraph(text('a_b *c*', [{ type: 'link', attrs: { href: 'javascript:alert(1)' } }])),
+      );
+      expect(toMarkdown(adf)).to.equal('a\\_b \\*c\\*');
+    });
+
+    it('should return an empty string for no content', () => {
+      expect(toMarkdown(null)).to.equal('');
+    });
+  });
+
+  describe('toHtml', () => {
+    it('should write plain tags with escaped text and absolute links', () => {
+      const adf = doc(
+        paragraph(
+          text('<b>', [{ type: 'em' }]),
+          text(' link', [{ type: 'link', attrs: { href: '/browse/PROJ-1' } }]),
+        ),
+        { type: 'bulletList', content: [{ type: 'listItem', content: [paragraph(text('Item'))] }] },
+      );
+
+      expect(toHtml(adf, { baseUrl: BASE_URL })).to.equal(
+        `<p><em>&lt;b&gt;</em><a href="${BASE_URL}/browse/PROJ-1"> link</a></p>` +
+        '<ul><li>Item</li></ul>',
+      );
+    });
+  });
+
+  describe('readHtml', () => {
+    it('should read rendered Server/DC markup', () => {
+      const body = element(
+        'div',
+        {},
+        element('h3', {}, 'Steps'),
+        '\n',
+        element(
+          'p',
+          {},
+          'Ask ',
+          element('a', { class: 'user-hover', href: '/secure/ViewProfile.jspa?name=jdoe' }, 'Jane Doe'),
+          ' about ',
+          element('a', { class: 'issue-link', href: '/browse/PROJ-2' }, 'PROJ-2'),
+        ),
+        element(
+          'div',
+          { class: 'code panel' },
+          element('pre', { class: 'code-java' }, 'int a = 1;'),
+        ),
+        element('ul', {}, element('li', {}, 'One'), '\n', element('li', {}, element('b', {}, 'Two'))),
+        element(
+          'p',
+          {},
+          element('a', { href: '/secure/attachment/1/shot.png' }, element('img', { src: '/secure/thumbnail/1/shot.png', alt: 'shot.png' })),
+        ),
+      );
+
+      expect(toMarkdown(readHtml(body), { baseUrl: 'https://jira.corp.example' })).to.equal(
+        '### Steps\n\n' +
+        'Ask @Jane Doe about [PROJ-2](https://jira.corp.example/browse/PROJ-2)\n\n' +
+        '```java\nint a = 1;\n```\n\n' +
+        '- One\n- **Two**\n\n' +
+        '![shot.png](https://jira.corp.example/secure/attachment/1/shot.png)',
+      );
+    });
+
+    it('should read tables and turn loose text into paragraphs', () => {
+      const body = element(
+        'div',
+        {},
+        'Intro   text',
+        element(
+          'table',
+          {},
+          element(
+            'tbody',
+            {},
+            element('tr', {}, element('th', {}, 'A'), element('th', {}, 'B')),
+            element('tr', {}, element('td', {}, '1'), element('td', {}, '2')),
+          ),
+        ),
+        element('script', {}, 'alert(1)'),
+      );
+
+      expect(toMarkdown(readHtml(body))).to.equal('Intro text\n\n| A | B |\n| --- | --- |\n| 1 | 2 |');
+      expect(toHtml(readHtml(body))).to.equal(
+        '<p>Intro text</p><table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></table>',
+      );
+    });
+  });
+
+  describe('formatComments', () => {
+    const comments = [
+      { author: 'Jane Doe', created: '2024-05-01T10:00:00.000+0000', body: doc(paragraph(text('Looks good'))) },
+      { author: 'Sam Roe', created: '2024-05-02T09:30:00.000+0000', body: doc(paragraph(text('Merged'))) },
+    ];
+
+    it('should quote each comment under its author and date', () => {
+      expect(formatComments(comments, 'markdown')).to.equal(
+        '**Jane Doe** commented on 2024-05-01:\n\n> Looks good\n\n' +
+        '**Sam Roe** commented on 2024-05-02:\n\n> Merged',
+      );
+    });
+
+    it('should write HTML comments', () => {
+      expect(formatComments(comments.slice(1), 'html')).to.equal(
+        '<p><strong>Sam Roe</strong> commented on 2024-05-02:</p><blockquote><p>Merged</p></blockquote>',
+      );
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for multi-issue copy formats in lib/issue_list.js
+ */
+
+const { expect } = require('chai');
+const { formatIssueList, formatIssueTree } = require('../lib/issue_list');
+
+const issues = [
+  { key: 'PROJ-1', summary: 'First <thing>', url: 'https://mycompany.atlassian.net/browse/PROJ-1' },
+  { key: 'PROJ-2', summary: null, url: 'https://mycompany.atlassian.net/browse/PROJ-2' },
+];
+
+describe('Issue List Formats', () => {
+  it('should format a Markdown bullet list', () => {
+    expect(formatIssueList(issues, 'markdownList')).to.equal(
+      '- [PROJ-1 - First <thing>](https://mycompany.atlassian.net/browse/PROJ-1)\n' +
+      '- [PROJ-2](https://mycompany.atlassian.net/browse/PROJ-2)',
+    );
+  });
+
+  it('should format a Markdown task list', () => {
+    expect(formatIssueList(issues, 'markdownTasks')).to.equal(
+      '- [ ] [PROJ-1 - First <thing>](https://mycompany.atlassian.net/browse/PROJ-1)\n' +
+      '- [ ] [PROJ-2](https://mycompany.atlassian.net/browse/PROJ-2)',
+    );
+  });
+
+  it('should format a plain newline list', () => {
+    expect(formatIssueList(issues, 'plainList')).to.equal('PROJ-1 - First <thing>\nPROJ-2');
+  });
+
+  it('should format an escaped HTML list', () => {
+    expect(formatIssueList(issues, 'htmlList')).to.equal(
+      '<ul>' +
+      '<li><a href="https://mycompany.atlassian.net/browse/PROJ-1">PROJ-1 - First &lt;thing&gt;</a></li>' +
+      '<li><a href="https://mycompany.atlassian.net/browse/PROJ-2">PROJ-2</a></li>' +
+      '</ul>',
+    );
+  });
+
+  it('should return null for an empty list or unknown format', () => {
+    expect(formatIssueList([], 'plainList')).to.be.null;
+    expect(formatIssueList(issues, 'nope')).to.be.null;
+  });
+
+  describe('formatIssueTree', () => {
+    const epic = { key: 'PROJ-10', summary: 'Epic', url: 'https://x.atlassian.net/browse/PROJ-10', done: false };
+    const children = [
+      { key: 'PROJ-11', summary: 'Done child', url: 'https://x.atlassian.net/browse/PROJ-11', done: true },
+      { key: 'PROJ-12', summary: 'Open child', url: 'https://x.atlassian.net/browse/PROJ-12', done: false },
+    ];
+
+    it('should nest children below the issue', () => {
+      expect(formatIssueTree(epic, [{ label: null, issues: children }], 'markdownList')).to.equal(
+        '- [PROJ-10 - Epic](https://x.atlassian.net/browse/PROJ-10)\n' +
+        '  - [PROJ-11 - Done child](https://x.atlassian.net/browse/PROJ-11)\n' +
+        '  - [PROJ-12 - Open child](https://x.atlassian.net/browse/PROJ-12)',
+      );
+    });
+
+    it('should tick off done issues in task lists', () => {
+      expect(formatIssueTree(epic, [{ label: null, issues: children }], 'markdownTasks')).to.equal(
+        '- [ ] [PROJ-10 - Epic](https://x.atlassian.net/browse/PROJ-10)\n' +
+        '  - [x] [PROJ-11 - Done child](https://x.atlassian.net/browse/PROJ-11)\n' +
+        '  - [ ] [PROJ-12 - Open child](https://x.atlassian.net/browse/PROJ-12)',
+      );
+    });
+
+    it('should give each link type its own level', () => {
+      const groups = [
+        { label: 'blocks', issues: [children[0]] },
+        { label: 'is blocked by', issues: [children[1]] },
+      ];
+      expect(formatIssueTree(epic, groups, 'plainList')).to.equal(
+        'PROJ-10 - Epic\n' +
+        '  blocks\n' +
+        '    PROJ-11 - Done child\n' +
+        '  is blocked by\n' +
+        '    PROJ-12 - Open child',
+      );
+    });
+
+    it('should nest escaped HTML lists', () => {
+      expect(formatIssueTree(epic, [{ label: 'relates to <x>', issues: [children[1]] }], 'htmlList')).to.equal(
+        '<ul><li><a href="https://x.atlassian.net/browse/PROJ-10">PROJ-10 - Epic</a>' +
+        '<ul><li>relates to &lt;x&gt;' +
+        '<ul><li><a href="https://x.atlassian.net/browse/PROJ-12">PROJ-12 - Open child</a></li></ul>' +
+        '</li></ul></li></ul>',
+      );
+    });
+
+    it('should return null for an unknown format', () => {
+      expect(formatIssueTree(epic, [], 'nope')).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for search result tables in lib/issue_table.js
+ */
+
+const { expect } = require('chai');
+const { formatIssueTable } = require('../lib/issue_table');
+
+const issues = [
+  {
+    key: 'PROJ-1',
+    summary: 'Pipes | and "quotes", commas',
+    url: 'https://mycompany.atlassian.net/browse/PROJ-1',
+    status: 'In Progress',
+    assignee: 'Alex Doe',
+    labels: ['a', 'b'],
+  },
+  {
+    key: 'PROJ-2',
+    summary: 'Tabs\tand\nnewlines <b>',
+    url: 'https://mycompany.atlassian.net/browse/PROJ-2',
+    status: 'Done',
+    assignee: null,
+    labels: [],
+  },
+];
+
+describe('Issue Tables', () => {
+  it('should format a Markdown table with linked keys', () => {
+    expect(formatIssueTable(issues, ['key', 'summary', 'assignee'], 'markdownTable')).to.equal(
+      '| Key | Summary | Assignee |\n' +
+      '| --- | --- | --- |\n' +
+      '| [PROJ-1](https://mycompany.atlassian.net/browse/PROJ-1) | Pipes \\| and "quotes", commas | Alex Doe |\n' +
+      '| [PROJ-2](https://mycompany.atlassian.net/browse/PROJ-2) | Tabs\tand newlines <b> |  |',
+    );
+  });
+
+  it('should format an escaped HTML table with linked keys', () => {
+    expect(formatIssueTable(issues.slice(1), ['key', 'summary'], 'htmlTable')).to.equal(
+      '<table><thead><tr><th>Key</th><th>Summary</th></tr></thead><tbody>' +
+      '<tr><td><a href="https://mycompany.atlassian.net/browse/PROJ-2">PROJ-2</a></td>' +
+      '<td>Tabs\tand\nnewlines &lt;b&gt;</td></tr>' +
+      '</tbody></table>',
+    );
+  });
+
+  it('should quote CSV cells only when needed', () => {
+    expect(formatIssueTable(issues, ['key', 'summary', 'labels'], 'csv')).to.equal(
+      'Key,Summary,Labels\r\n' +
+      'PROJ-1,"Pipes | and ""quotes"", commas","a, b"\r\n' +
+      'PROJ-2,"Tabs\tand\nnewlines <b>",',
+    );
+  });
+
+  it('should flatten tabs and newlines in TSV cells', () => {
+    expect(formatIssueTable(issues, ['key', 'summary', 'status'], 'tsv')).to.equal(
+      'Key\tSummary\tStatus\n' +
+      'PROJ-1\tPipes | and "quotes", commas\tIn Progress\n' +
+      'PROJ-2\tTabs and newlines <b>\tDone',
+    );
+  });
+
+  it('should ignore unknown columns', () => {
+    expect(formatIssueTable(issues, ['key', 'bogus'], 'tsv')).to.equal('Key\nPROJ-1\nPROJ-2');
+  });
+
+  it('should return null without issues, columns or a known format', () => {
+    expect(formatIssueTable([], ['key'], 'csv')).to.be.null;
+    expect(formatIssueTable(issues, [], 'csv')).to.be.null;
+    expect(formatIssueTable(issues, ['key'], 'xlsx')).to.be.null;
+  });
+});
@@ -0,0 +1,103 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for self-hosted Jira host handling in lib/jira_urls.js
+ * Covers parsing of user-entered hosts, the match patterns derived from
+ * them, and issue key / base URL extraction for Server/DC URL shapes
+ */
+
+const { expect } = require('chai');
+const {
+  parseHost,
+  permissionPattern,
+  contentScriptPattern,
+  keyFromPath,
+  inferBaseUrl,
+} = require('../lib/jira_urls');
+
+describe('Self-hosted Jira Hosts', () => {
+  describe('parseHost', () => {
+    it('should default to https when no scheme is given', () => {
+      const host = parseHost('jira.corp.example');
+      expect(host.origin).to.equal('https://jira.corp.example');
+      expect(host.contextPath).to.equal('');
+      expect(host.baseUrl).to.equal('https://jira.corp.example');
+    });
+
+    it('should keep an explicit http scheme and port', () => {
+      const host = parseHost('http://jira.corp.example:8080');
+      expect(host.origin).to.equal('http://jira.corp.example:8080');
+      expect(host.baseUrl).to.equal('http://jira.corp.example:8080');
+    });
+
+    it('should keep the context path without a trailing slash', () => {
+      const host = parseHost('https://tools.corp.example/jira/');
+      expect(host.contextPath).to.equal('/jira');
+      expect(host.baseUrl).to.equal('https://tools.corp.example/jira');
+    });
+
+    it('should trim surrounding whitespace', () => {
+      expect(parseHost('  jira.corp.example  ').hostname).to.equal('jira.corp.example');
+    });
+
+    it('should reject empty and non-http input', () => {
+      expect(parseHost('')).to.be.null;
+      expect(parseHost(null)).to.be.null;
+      expect(parseHost('ftp://jira.corp.example')).to.be.null;
+      expect(parseHost('https://')).to.be.null;
+    });
+  });
+
+  describe('Match patterns', () => {
+    it('should request permission for the whole host, without port', () => {
+      const host = parseHost('http://jira.corp.example:8080/jira');
+      expect(permissionPattern(host)).to.equal('http://jira.corp.example/*');
+    });
+
+    it('should register the content script under the context path', () => {
+      const host = parseHost('https://tools.corp.example/jira');
+      expect(contentScriptPattern(host)).to.equal('https://tools.corp.example/jira/*');
+    });
+  });
+
+  describe('keyFromPath', () => {
+    it('should read the key from /browse/', () => {
+      expect(keyFromPath('/browse/PROJ-123')).to.equal('PROJ-123');
+    });
+
+    it('should read the key from /browse/ under a context path', () => {
+      expect(keyFromPath('/jira/browse/proj-123')).to.equal('PROJ-123');
+    });
+
+    it('should read the key from /projects/X/issues/', () => {
+      expect(keyFromPath('/projects/PROJ/issues/PROJ-7')).to.equal('PROJ-7');
+    });
+
+    it('should return null when the path has no key', () => {
+      expect(keyFromPath('/projects/PROJ/issues')).to.be.null;
+      expect(keyFromPath('/secure/RapidBoard.jspa')).to.be.null;
+    });
+  });
+
+  describe('inferBaseUrl', () => {
+    it('should use the origin for Jira Cloud', () => {
+      const url = 'https://mycompany.atlassian.net/jira/software/c/projects/PROJ/boards/1?selectedIssue=PROJ-1';
+      expect(inferBaseUrl(url)).to.equal('https://mycompany.atlassian.net');
+    });
+
+    it('should use the origin for a self-hosted site at the root', () => {
+      expect(inferBaseUrl('https://jira.corp.example/browse/PROJ-1')).to.equal('https://jira.corp.example');
+    });
+
+    it('should keep the context path for a self-hosted site', () => {
+      expect(inferBaseUrl('https://tools.corp.example/jira/browse/PROJ-1')).to.equal('https://tools.corp.example/jira');
+      expect(inferBaseUrl('https://tools.corp.example/jira/secure/RapidBoard.jspa?selectedIssue=PROJ-1'))
+        .to.equal('https://tools.corp.example/jira');
+      expect(inferBaseUrl('https://tools.corp.example/jira/projects/PROJ/issues/PROJ-1'))
+        .to.equal('https://tools.corp.example/jira');
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for linking issue keys in selected text in lib/linkify.js
+ */
+
+const { expect } = require('chai');
+const { parsePrefix, projectSites, findKeys, linkifyText } = require('../lib/linkify');
+
+const CLOUD = 'https://mycompany.atlassian.net';
+const SERVER = 'https://jira.corp.example';
+
+const options = { defaultSite: `${CLOUD}/`, projectSites: { OPS: SERVER } };
+
+describe('Linkify', () => {
+  describe('findKeys', () => {
+    it('should link mapped prefixes to their site and others to the default', () => {
+      expect(findKeys('Fixed in PROJ-12, see OPS-7.', options)).to.deep.equal([
+        { key: 'PROJ-12', index: 9, url: `${CLOUD}/browse/PROJ-12` },
+        { key: 'OPS-7', index: 22, url: `${SERVER}/browse/OPS-7` },
+      ]);
+    });
+
+    it('should skip look-alikes, versions, paths and lowercase words', () => {
+      const text = 'UTF-8, ISO-8601, ABC-1.2, ABC-1-2, /browse/ABC-3, x-ABC-4, abc-5, ABC-6a';
+      expect(findKeys(text, options)).to.deep.equal([]);
+    });
+
+    it('should link look-alike prefixes once they are mapped', () => {
+      const keys = findKeys('RFC-42', { defaultSite: CLOUD, projectSites: { RFC: SERVER } });
+      expect(keys.map((found) => found.url)).to.deep.equal([`${SERVER}/browse/RFC-42`]);
+    });
+
+    it('should only link mapped prefixes without a default site', () => {
+      const keys = findKeys('PROJ-1 and OPS-2', { projectSites: { OPS: SERVER } });
+      expect(keys.map((found) => found.key)).to.deep.equal(['OPS-2']);
+    });
+  });
+
+  describe('linkifyText', () => {
+    const text = 'Blocked by PROJ-1 <urgent>\nand OPS-2';
+
+    it('should write Markdown and Jira wiki links', () => {
+      expect(linkifyText(text, 'markdown', options)).to.equal(
+        `Blocked by [PROJ-1](${CLOUD}/browse/PROJ-1) <urgent>\nand [OPS-2](${SERVER}/browse/OPS-2)`,
+      );
+      expect(linkifyText('PROJ-1', 'jiraWiki', options)).to.equal(`[PROJ-1|${CLOUD}/browse/PROJ-1]`);
+    });
+
+    it('should escape HTML and keep line breaks', () => {
+      expect(linkifyText(text, 'html', options)).to.equal(
+        `Blocked by <a href="${CLOUD}/browse/PROJ-1">PROJ-1</a> &lt;urgent&gt;<br>\n` +
+        `and <a href="${SERVER}/browse/OPS-2">OPS-2</a>`,
+      );
+    });
+  });
+
+  describe('projectSites', () => {
+    it('should take the most recent site per prefix, overridden by mappings', () => {
+      const history = [
+        { key: 'PROJ-3', url: `${CLOUD}/browse/PROJ-3` },
+        { key: 'PROJ-1', url: `${SERVER}/browse/PROJ-1` },
+        { key: 'OPS-1', url: `${CLOUD}/browse/OPS-1` },
+      ];
+      expect(projectSites(history, { OPS: SERVER })).to.deep.equal({ PROJ: CLOUD, OPS: SERVER });
+    });
+  });
+
+  describe('parsePrefix', () => {
+    it('should upper-case project keys and reject anything else', () => {
+      expect(parsePrefix(' ops ')).to.equal('OPS');
+      expect(parsePrefix('OPS-1')).to.equal(null);
+      expect(parsePrefix('1OPS')).to.equal(null);
+    });
+  });
+});
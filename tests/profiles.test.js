@@ -0,0 +1,156 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for per-site and per-project formatting profiles in
+ * lib/profiles.js
+ */
+
+const { expect } = require('chai');
+const {
+  matchProfile,
+  resolveSettings,
+  excludesFormat,
+  findExcludedIssue,
+  normalizeProfile,
+} = require('../lib/profiles');
+const { DEFAULT_SETTINGS } = require('../lib/settings');
+const { listFormats } = require('../lib/formats');
+
+const clientIssue = { key: 'CLI-7', url: 'https://jira.client.example/browse/CLI-7' };
+const cloudIssue = { key: 'OPS-3', url: 'https://mycompany.atlassian.net/browse/OPS-3' };
+
+const clientSite = {
+  id: 'profile-client',
+  name: 'Client',
+  hosts: ['jira.client.example'],
+  projects: [],
+  formats: ['markdownShort', 'tpl-key-link'],
+  defaultFormat: '',
+};
+const opsProject = {
+  id: 'profile-ops',
+  name: 'Ops',
+  hosts: [],
+  projects: ['OPS', 'CLI'],
+  formats: null,
+  defaultFormat: 'tpl-bracketed',
+};
+
+const templates = [
+  { id: 'tpl-bracketed', name: '[KEY] Summary', template: '[{key}] {summary}', mime: 'text/plain' },
+  { id: 'tpl-key-link', name: 'Key link', template: '<a href="{url}">{key}</a>', mime: 'text/html' },
+];
+
+const settings = Object.assign({}, DEFAULT_SETTINGS, {
+  templates: templates,
+  profiles: [clientSite, opsProject],
+});
+
+describe('Formatting Profiles', () => {
+  describe('matchProfile', () => {
+    it('should prefer a project profile over a site profile', () => {
+      expect(matchProfile(settings.profiles, clientIssue)).to.equal(opsProject);
+      expect(matchProfile([clientSite], clientIssue)).to.equal(clientSite);
+    });
+
+    it('should need both site and project when a profile has both', () => {
+      const both = Object.assign({}, clientSite, { projects: ['CLI'] });
+      expect(matchProfile([opsProject, both], clientIssue)).to.equal(both);
+      expect(matchProfile([both], { key: 'ABC-1', url: clientIssue.url })).to.equal(null);
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(matchProfile(settings.profiles, { key: 'ABC-1', url: cloudIssue.url })).to.equal(null);
+      expect(matchProfile([{ hosts: [], projects: [] }], cloudIssue)).to.equal(null);
+    });
+  });
+
+  describe('resolveSettings', () => {
+    it('should keep the global settings without a matching profile', () => {
+      const resolved = resolveSettings(settings, { key: 'ABC-1', url: cloudIssue.url });
+      expect(resolved.profile).to.equal(null);
+      expect(resolved.templates).to.equal(templates);
+      expect(resolved.disabledFormats).to.deep.equal(DEFAULT_SETTINGS.disabledFormats);
+    });
+
+    it('should offer only the formats and templates the profile lists', () => {
+      const resolved = resolveSettings(Object.assign({}, settings, { profiles: [clientSite] }), clientIssue);
+      expect(listFormats(resolved.templates, resolved.disabledFormats).map((format) => format.id))
+        .to.deep.equal(['markdownShort', 'tpl-key-link']);
+      expect(resolved.defaultFormat).to.equal('markdownShort');
+    });
+
+    it('should use the profile default format', () => {
+      const resolved = resolveSettings(settings, cloudIssue);
+      expect(resolved.profile).to.equal(opsProject);
+      expect(resolved.defaultFormat).to.equal('tpl-bracketed');
+      expect(resolved.templates).to.equal(templates);
+    });
+
+    it('should drop templates deleted since the profile was saved', () => {
+      const deleted = Object.assign({}, clientSite, { formats: ['markdownShort', 'tpl-gone'] });
+      const resolved = resolveSettings(Object.assign({}, settings, { profiles: [deleted] }), clientIssue);
+      expect(resolved.profile.formats).to.deep.equal(['markdownShort']);
+      expect(excludesFormat(resolved, 'tpl-gone')).to.equal(true);
+
+      const onlyDeleted = Object.assign({}, clientSite, { formats: ['tpl-gone'] });
+      const empty = resolveSettings(Object.assign({}, settings, { profiles: [onlyDeleted] }), clientIssue);
+      expect(listFormats(empty.templates, empty.disabledFormats)).to.deep.equal([]);
+    });
+  });
+
+  describe('excludesFormat', () => {
+    it('should only rule out formats a matched profile leaves out', () => {
+      const client = resolveSettings(Object.assign({}, settings, { profiles: [clientSite] }), clientIssue);
+      expect(excludesFormat(client, 'markdown')).to.equal(true);
+      expect(excludesFormat(client, 'markdownShort')).to.equal(false);
+      expect(excludesFormat(resolveSettings(settings, cloudIssue), 'asciidoc')).to.equal(false);
+    });
+  });
+
+  describe('findExcludedIssue', () => {
+    const clientSettings = Object.assign({}, settings, { profiles: [clientSite, opsProject] });
+    const otherIssue = { key: 'ABC-1', url: cloudIssue.url };
+
+    it('should keep issues under a profile that limits formats out of lists', () => {
+      expect(findExcludedIssue(clientSettings, [otherIssue, cloudIssue])).to.equal(null);
+      const clientOnly = Object.assign({}, settings, { profiles: [clientSite] });
+      expect(findExcludedIssue(clientOnly, [otherIssue, clientIssue])).to.deep.equal({
+        issue: clientIssue,
+        profile: clientSite,
+      });
+    });
+
+    it('should allow a format every issue profile offers', () => {
+      const clientOnly = Object.assign({}, settings, { profiles: [clientSite] });
+      expect(findExcludedIssue(clientOnly, [otherIssue, clientIssue], 'markdownShort')).to.equal(null);
+      expect(findExcludedIssue(clientOnly, [otherIssue, clientIssue], 'markdown').issue).to.equal(clientIssue);
+    });
+  });
+
+  describe('normalizeProfile', () => {
+    it('should clean up hosts and projects typed in the form', () => {
+      const { profile } = normalizeProfile({
+        name: ' Client ',
+        hosts: 'https://Jira.Client.example/jira, jira2.client.example',
+        projects: 'cli ops',
+        formats: null,
+      });
+      expect(profile.name).to.equal('Client');
+      expect(profile.hosts).to.deep.equal(['jira.client.example', 'jira2.client.example']);
+      expect(profile.projects).to.deep.equal(['CLI', 'OPS']);
+      expect(profile.id).to.match(/^profile-/);
+    });
+
+    it('should reject profiles that match nothing or offer nothing', () => {
+      expect(normalizeProfile({ name: 'A' }).error).to.include('at least one site or project');
+      expect(normalizeProfile({ name: 'A', projects: 'X-1' }).error).to.include('not a project key');
+      expect(normalizeProfile({ name: 'A', hosts: 'a b_c' }).error).to.include('not a hostname');
+      expect(normalizeProfile({ name: 'A', projects: 'OPS', formats: [] }).error).to.include('at least one format');
+      expect(normalizeProfile({ name: ' ', projects: 'OPS' }).error).to.include('name');
+    });
+  });
+});
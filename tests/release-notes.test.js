@@ -0,0 +1,126 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for release notes in lib/release_notes.js
+ */
+
+const { expect } = require('chai');
+const { groupIssues, buildReleaseNotes } = require('../lib/release_notes');
+const { createTemplate } = require('../lib/templates');
+
+const BASE_URL = 'https://mycompany.atlassian.net';
+
+function issue(key, summary, fields = {}) {
+  return Object.assign({ key, summary, url: `${BASE_URL}/browse/${key}`, done: true }, fields);
+}
+
+const release = {
+  name: '2.4.0',
+  date: '2024-05-01',
+  issues: [
+    issue('PROJ-10', 'Fix login', { type: 'Bug', priority: 'High' }),
+    issue('PROJ-9', 'Dark mode', { type: 'Story', priority: 'Low' }),
+    issue('PROJ-12', 'Update docs', { type: 'Documentation' }),
+    issue('PROJ-11', 'Export <CSV>', { type: 'Story', done: false }),
+    issue('PROJ-2', 'Faster search', { type: 'Improvement', priority: 'High' }),
+  ],
+};
+
+describe('Release Notes', () => {
+  describe('groupIssues', () => {
+    const titles = (sections) => sections.map((section) => [section.title, section.issues.map((i) => i.key)]);
+
+    it('should put known types in fixed sections and others after them', () => {
+      expect(titles(groupIssues(release.issues, 'type', 'key'))).to.deep.equal([
+        ['Features', ['PROJ-9', 'PROJ-11']],
+        ['Improvements', ['PROJ-2']],
+        ['Bugs', ['PROJ-10']],
+        ['Documentation', ['PROJ-12']],
+      ]);
+    });
+
+    it('should order priorities by urgency and list issues without one last', () => {
+      expect(titles(groupIssues(release.issues, 'priority', 'summary'))).to.deep.equal([
+        ['High', ['PROJ-2', 'PROJ-10']],
+        ['Low', ['PROJ-9']],
+        ['Other', ['PROJ-11', 'PROJ-12']],
+      ]);
+    });
+
+    it('should keep one untitled section without grouping', () => {
+      expect(titles(groupIssues(release.issues, 'none', 'key'))).to.deep.equal([
+        [null, ['PROJ-2', 'PROJ-9', 'PROJ-10', 'PROJ-11', 'PROJ-12']],
+      ]);
+    });
+  });
+
+  describe('buildReleaseNotes', () => {
+    it('should write Markdown with a header and done issues only', () => {
+      expect(buildReleaseNotes(release)).to.equal(
+        '## 2.4.0 (2024-05-01)\n\n' +
+        '### Features\n\n' +
+        `- [PROJ-9 - Dark mode](${BASE_URL}/browse/PROJ-9)\n\n` +
+        '### Improvements\n\n' +
+        `- [PROJ-2 - Faster search](${BASE_URL}/browse/PROJ-2)\n\n` +
+        '### Bugs\n\n' +
+        `- [PROJ-10 - Fix login](${BASE_URL}/browse/PROJ-10)\n\n` +
+        '### Documentation\n\n' +
+        `- [PROJ-12 - Update docs](${BASE_URL}/browse/PROJ-12)`,
+      );
+    });
+
+    it('should write HTML, escaping text templates and keeping HTML templates', () => {
+      const textTemplate = createTemplate('Changelog', '{key}: {summary}');
+      const htmlTemplate = createTemplate('Key link', '<a href="{url}">{key}</a>', 'text/html');
+      const templates = [textTemplate, htmlTemplate];
+      const notes = {
+        name: 'Sprint <7>',
+        date: null,
+        issues: [issue('PROJ-11', 'Export <CSV>', { type: 'Story' })],
+      };
+      const options = { format: 'html', templates, today: new Date(2024, 4, 14) };
+
+      expect(buildReleaseNotes(notes, Object.assign({ linkFormat: textTemplate.id }, options))).to.equal(
+        '<h2>Sprint &lt;7&gt; (2024-05-14)</h2>\n<h3>Features</h3>\n<ul>\n<li>PROJ-11: Export &lt;CSV&gt;</li>\n</ul>',
+      );
+      expect(buildReleaseNotes(notes, Object.assign({ linkFormat: htmlTemplate.id }, options)))
+        .to.include(`<li><a href="${BASE_URL}/browse/PROJ-11">PROJ-11</a></li>`);
+    });
+
+    it('should write link formats as HTML links in HTML', () => {
+      const notes = buildReleaseNotes(release, { format: 'html', groupBy: 'none', headerTemplate: '' });
+      expect(notes.split('\n')[1]).to.equal(
+        `<li><a href="${BASE_URL}/browse/PROJ-2">PROJ-2 - Faster search</a></li>`,
+      );
+    });
+
+    it('should fill the header template and translate section titles', () => {
+      const notes = buildReleaseNotes(
+        { name: null, date: null, issues: release.issues },
+        {
+          headerTemplate: '{name|Release notes} - {count} issues, {date}',
+          doneOnly: false,
+          linkFormat: 'plainText',
+          sectionTitle: (id, title) => (id === 'bugs' ? 'Fehler' : title),
+          today: new Date(2024, 4, 14),
+        },
+      );
+
+      expect(notes.split('\n')[0]).to.equal('## Release notes - 5 issues, 2024-05-14');
+      expect(notes).to.include('### Fehler\n\n- PROJ-10 - Fix login');
+    });
+
+    it('should leave out the header when the template is empty', () => {
+      expect(buildReleaseNotes(release, { headerTemplate: '', groupBy: 'none', linkFormat: 'plainText' }))
+        .to.equal('- PROJ-2 - Faster search\n- PROJ-9 - Dark mode\n- PROJ-10 - Fix login\n- PROJ-12 - Update docs');
+    });
+
+    it('should return null when no issue is done', () => {
+      expect(buildReleaseNotes({ name: 'x', issues: [issue('PROJ-1', 'Open', { done: false })] })).to.equal(null);
+      expect(buildReleaseNotes({ name: 'x', issues: [] })).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for the user-overridable page selectors in lib/selectors.js
+ */
+
+const { expect } = require('chai');
+const {
+  GROUPS,
+  DEFAULT_SELECTORS,
+  mergeGroup,
+  resolveSelectors,
+  toOverride,
+  compileTitlePattern,
+  normalizeTitle,
+  validateEntry,
+  exportOverrides,
+  parseImport,
+} = require('../lib/selectors');
+
+describe('Page Selectors', () => {
+  it('should have defaults for every group', () => {
+    for (const group of Object.keys(GROUPS)) {
+      expect(DEFAULT_SELECTORS[group], group).to.be.an('array').that.is.not.empty;
+    }
+  });
+
+  describe('mergeGroup', () => {
+    it('should return the built-ins when the user changed nothing', () => {
+      const entries = mergeGroup('summary');
+      expect(entries.map((entry) => entry.value)).to.deep.equal(DEFAULT_SELECTORS.summary);
+      expect(entries.every((entry) => entry.enabled && entry.builtIn)).to.equal(true);
+    });
+
+    it('should put the user order first and append unplaced built-ins', () => {
+      const entries = mergeGroup('type', {
+        type: [
+          { value: '.my-type', enabled: true },
+          { value: '#type-val', enabled: false },
+        ],
+      });
+
+      expect(entries.slice(0, 2)).to.deep.equal([
+        { value: '.my-type', enabled: true, builtIn: false },
+        { value: '#type-val', enabled: false, builtIn: true },
+      ]);
+      expect(entries).to.have.length(DEFAULT_SELECTORS.type.length + 1);
+    });
+
+    it('should ignore duplicate and empty entries', () => {
+      const entries = mergeGroup('key', {
+        key: [{ value: '.a' }, { value: '.a' }, { value: '' }],
+      });
+      expect(entries.filter((entry) => entry.value === '.a')).to.have.length(1);
+      expect(entries).to.have.length(DEFAULT_SELECTORS.key.length + 1);
+    });
+  });
+
+  describe('resolveSelectors', () => {
+    it('should leave out disabled entries', () => {
+      const selectors = resolveSelectors({
+        key: [{ value: '#key-val', enabled: false }],
+      });
+
+      expect(selectors.key).not.to.include('#key-val');
+      expect(selectors.summary).to.deep.equal(DEFAULT_SELECTORS.summary);
+      expect(selectors).to.have.all.keys(Object.keys(GROUPS));
+    });
+  });
+
+  describe('toOverride', () => {
+    it('should return null for the built-in list', () => {
+      expect(toOverride('status', mergeGroup('status'))).to.equal(null);
+    });
+
+    it('should store reordered or disabled lists', () => {
+      const entries = mergeGroup('status').reverse();
+      expect(toOverride('status', entries)[0]).to.deep.equal({
+        value: DEFAULT_SELECTORS.status[DEFAULT_SELECTORS.status.length - 1],
+        enabled: true,
+      });
+
+      const disabled = mergeGroup('status');
+      disabled[0].enabled = false;
+      expect(toOverride('status', disabled)).to.have.length(DEFAULT_SELECTORS.status.length);
+    });
+  });
+
+  describe('Title patterns', () => {
+    it('should read key and summary from the default pattern', () => {
+      const match = '[PROJ-123] Fix login - Jira'.match(
+        compileTitlePattern(DEFAULT_SELECTORS.titlePatterns[0]),
+      );
+      expect(match[1]).to.equal('PROJ-123');
+      expect(match[2]).to.equal('Fix login');
+    });
+
+    it('should read localized titles and leave the product name out', () => {
+      const pattern = compileTitlePattern(DEFAULT_SELECTORS.titlePatterns[0]);
+      const read = (title) => normalizeTitle(title).match(pattern).slice(1, 3);
+
+      expect(read('[PROJ-1] Anmeldung reparieren – Jira Software')).to.deep.equal(['PROJ-1', 'Anmeldung reparieren']);
+      expect(read('[PROJ-2] ログインできない - Jira')).to.deep.equal(['PROJ-2', 'ログインできない']);
+      expect(read('[PROJ-3] Fix - login | ACME JIRA (prod)')).to.deep.equal(['PROJ-3', 'Fix - login']);
+      expect(read('[PROJ-4] Move to Jira')).to.deep.equal(['PROJ-4', 'Move to Jira']);
+    });
+
+    it('should drop the direction marks around right-to-left summaries', () => {
+      const pattern = compileTitlePattern(DEFAULT_SELECTORS.titlePatterns[0]);
+      const match = normalizeTitle('\u200F[PROJ-5] \u202Bתיקון התחברות\u202C - Jira').match(pattern);
+      expect(match[2]).to.equal('תיקון התחברות');
+    });
+
+    it('should return null for invalid patterns', () => {
+      expect(compileTitlePattern('([A-Z]')).to.equal(null);
+    });
+  });
+
+  describe('validateEntry', () => {
+    it('should accept selectors and two-group patterns', () => {
+      expect(validateEntry('summary', 'h1.title')).to.equal(null);
+      expect(validateEntry('titlePatterns', '^(\\w+-\\d+): (.+)$')).to.equal(null);
+    });
+
+    it('should reject empty values and unknown groups', () => {
+      expect(validateEntry('summary', '  ')).to.be.a('string');
+      expect(validateEntry('nope', '.a')).to.include('Unknown');
+    });
+
+    it('should reject invalid or one-group patterns', () => {
+      expect(validateEntry('titlePatterns', '([A-Z]')).to.include('regular expression');
+      expect(validateEntry('titlePatterns', '^(\\w+-\\d+)')).to.include('two groups');
+    });
+  });
+
+  describe('Import and export', () => {
+    it('should read back its own export', () => {
+      const overrides = {
+        summary: [{ value: 'h1.title', enabled: true }],
+        key: [{ value: '#key-val', enabled: false }],
+      };
+      expect(parseImport(exportOverrides(overrides))).to.deep.equal(overrides);
+    });
+
+    it('should accept plain strings as enabled entries', () => {
+      const text = JSON.stringify({
+        format: 'jira-issue-copy-helper-selectors',
+        version: 1,
+        selectors: { sprint: ['.sprint-name'] },
+      });
+      expect(parseImport(text)).to.deep.equal({
+        sprint: [{ value: '.sprint-name', enabled: true }],
+      });
+    });
+
+    it('should reject other files', () => {
+      expect(() => parseImport('not json')).to.throw('not valid JSON');
+      expect(() => parseImport('{"templates": []}')).to.throw('not a selector export');
+    });
+
+    it('should reject unknown groups and invalid entries', () => {
+      const file = (selectors) =>
+        JSON.stringify({ format: 'jira-issue-copy-helper-selectors', version: 1, selectors });
+
+      expect(() => parseImport(file({ colour: ['.a'] }))).to.throw('Unknown');
+      expect(() => parseImport(file({ key: '.a' }))).to.throw('must be a list');
+      expect(() => parseImport(file({ titlePatterns: ['(x'] }))).to.throw('regular expression');
+    });
+  });
+});
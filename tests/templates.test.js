@@ -0,0 +1,144 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Test suite for user-defined copy templates in lib/templates.js
+ */
+
+const { expect } = require('chai');
+const {
+  MIME_HTML,
+  renderTemplate,
+  fillPlaceholders,
+  findUnknownPlaceholders,
+  createTemplate,
+} = require('../lib/templates');
+
+const issue = {
+  key: 'PROJ-123',
+  summary: 'Fix <login> & "redirect"',
+  url: 'https://mycompany.atlassian.net/browse/PROJ-123',
+};
+
+describe('Copy Templates', () => {
+  describe('renderTemplate', () => {
+    it('should replace placeholders with issue values', () => {
+      expect(renderTemplate('{key} {url}', issue))
+        .to.equal('PROJ-123 https://mycompany.atlassian.net/browse/PROJ-123');
+    });
+
+    it('should render {title} as key and summary', () => {
+      expect(renderTemplate('{title}', issue)).to.equal('PROJ-123 - Fix <login> & "redirect"');
+    });
+
+    it('should render {title} as key only when there is no summary', () => {
+      expect(renderTemplate('{title}', { key: 'PROJ-1', summary: null })).to.equal('PROJ-1');
+    });
+
+    it('should use the fallback when a value is missing', () => {
+      const data = { key: 'PROJ-1', summary: null, url: 'u' };
+      expect(renderTemplate('{key}: {summary|no summary}', data)).to.equal('PROJ-1: no summary');
+    });
+
+    it('should allow an empty fallback', () => {
+      expect(renderTemplate('{key}{summary|}', { key: 'PROJ-1', summary: '' })).to.equal('PROJ-1');
+    });
+
+    it('should ignore the fallback when the value is present', () => {
+      expect(renderTemplate('{key|none}', issue)).to.equal('PROJ-123');
+    });
+
+    it('should render unknown placeholders as their fallback or nothing', () => {
+      expect(renderTemplate('{key} ({status|unknown})', issue)).to.equal('PROJ-123 (unknown)');
+      expect(renderTemplate('{key}{status}', issue)).to.equal('PROJ-123');
+    });
+
+    it('should not resolve inherited object properties', () => {
+      expect(renderTemplate('{constructor|x}', issue)).to.equal('x');
+    });
+
+    it('should turn doubled braces into literal braces', () => {
+      expect(renderTemplate('{{{key}}}', issue)).to.equal('{PROJ-123}');
+    });
+
+    it('should leave stray braces alone', () => {
+      expect(renderTemplate('{ key } {', issue)).to.equal('{ key } {');
+    });
+
+    it('should not escape values in plain text templates', () => {
+      expect(renderTemplate('{summary}', issue)).to.equal('Fix <login> & "redirect"');
+    });
+
+    it('should escape values but not markup in HTML templates', () => {
+      expect(renderTemplate('<a href="{url}">{summary}</a>', issue, MIME_HTML)).to.equal(
+        '<a href="https://mycompany.atlassian.net/browse/PROJ-123">Fix &lt;login&gt; &amp; &quot;redirect&quot;</a>',
+      );
+    });
+  });
+
+  describe('Issue field placeholders', () => {
+    const detailed = Object.assign({}, issue, {
+      type: 'Bug',
+      status: 'In Progress',
+      assignee: 'Alex Doe',
+      parent: 'PROJ-100',
+      labels: ['auth', 'frontend'],
+      fixVersions: [],
+    });
+
+    it('should render single-value fields', () => {
+      expect(renderTemplate('{key} [{type}] ({status}) @{assignee} < {parent}', detailed))
+        .to.equal('PROJ-123 [Bug] (In Progress) @Alex Doe < PROJ-100');
+    });
+
+    it('should join list fields with commas', () => {
+      expect(renderTemplate('{labels}', detailed)).to.equal('auth, frontend');
+    });
+
+    it('should treat empty lists as missing', () => {
+      expect(renderTemplate('{fixVersions|unscheduled}', detailed)).to.equal('unscheduled');
+    });
+
+    it('should use fallbacks for fields that were not extracted', () => {
+      expect(renderTemplate('{priority|-}/{sprint|backlog}/{reporter|?}', detailed)).to.equal('-/backlog/?');
+    });
+  });
+
+  describe('findUnknownPlaceholders', () => {
+    it('should list unknown placeholder names once', () => {
+      expect(findUnknownPlaceholders('{key} {foo} {bar|x} {foo}')).to.deep.equal(['foo', 'bar']);
+    });
+
+    it('should ignore escaped braces', () => {
+      expect(findUnknownPlaceholders('{{foo}}')).to.deep.equal([]);
+    });
+
+    it('should check against other placeholder sets', () => {
+      expect(findUnknownPlaceholders('{name} {key}', { name: 'Name' })).to.deep.equal(['key']);
+    });
+  });
+
+  describe('fillPlaceholders', () => {
+    it('should fill any values with the template syntax', () => {
+      expect(fillPlaceholders('{name|Release} ({date}) {{x}}', { name: null, date: '2024-05-01' }))
+        .to.equal('Release (2024-05-01) {x}');
+      expect(fillPlaceholders('<b>{name}</b>', { name: 'A & B' }, MIME_HTML)).to.equal('<b>A &amp; B</b>');
+    });
+  });
+
+  describe('createTemplate', () => {
+    it('should create templates with unique ids', () => {
+      const a = createTemplate('A', '{key}');
+      const b = createTemplate('B', '{key}');
+      expect(a.id).to.not.equal(b.id);
+      expect(a).to.include({ name: 'A', template: '{key}', mime: 'text/plain' });
+    });
+
+    it('should only accept plain text or HTML', () => {
+      expect(createTemplate('A', '{key}', 'text/html').mime).to.equal('text/html');
+      expect(createTemplate('A', '{key}', 'image/png').mime).to.equal('text/plain');
+    });
+  });
+});
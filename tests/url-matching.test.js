@@ -4,67 +4,22 @@
  */
 
 /**
- * Test suite for URL pattern matching in background_script.js
+ * Test suite for URL pattern matching in lib/jira_urls.js
  * Ensures the page action icon is only shown when an issue can be identified
  */
 
 const { expect } = require('chai');
-
-/**
- * Extracted hasIdentifiableIssue function from background_script.js
- * This function determines whether a URL points to an identifiable Jira issue
- */
-function hasIdentifiableIssue(url) {
-  if (!url) return false;
-
-  try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname;
-    const pathname = urlObj.pathname;
-    const searchParams = urlObj.searchParams;
-
-    // Must be an Atlassian site
-    if (!hostname.endsWith(".atlassian.net")) {
-      return false;
-    }
-
-    // Pattern 1: Direct issue view - /browse/ISSUE-123
-    // Always show - the issue key is in the URL path
-    if (/\/browse\/[A-Z][A-Z0-9]+-\d+/i.test(pathname)) {
-      return true;
-    }
-
-    // Pattern 2: Board view - /jira/software/*/boards/*
-    // Only show if selectedIssue parameter exists
-    if (/\/jira\/software\/[^/]+\/boards\/\d+\/?$/.test(pathname)) {
-      return searchParams.has("selectedIssue");
-    }
-
-    // Pattern 3: Backlog view - /jira/software/*/boards/*/backlog
-    // Only show if selectedIssue parameter exists
-    if (/\/jira\/software\/[^/]+\/boards\/\d+\/backlog\/?/.test(pathname)) {
-      return searchParams.has("selectedIssue");
-    }
-
-    // Pattern 4: Timeline view - /jira/software/*/boards/*/timeline
-    // Only show if selectedIssue parameter exists
-    if (/\/jira\/software\/[^/]+\/boards\/\d+\/timeline\/?/.test(pathname)) {
-      return searchParams.has("selectedIssue");
-    }
-
-    // Pattern 5: Issue detail panel in other views
-    // Check for selectedIssue in any /jira/ path
-    if (pathname.startsWith("/jira/") && searchParams.has("selectedIssue")) {
-      return true;
-    }
-
-    // No identifiable issue found
-    return false;
-  } catch (e) {
-    console.debug("Error parsing URL:", e);
-    return false;
-  }
-}
+const {
+  hasIdentifiableIssue,
+  hasIssueList,
+  isBoard,
+  hasCopyableIssues,
+  isIssueSearch,
+  releaseSourceFromUrl,
+  keyFromUrl,
+  issueFromLink,
+  parseKeys,
+} = require('../lib/jira_urls');
 
 describe('Jira URL Pattern Matching', () => {
   describe('Direct Issue View (/browse/*)', () => {
@@ -281,4 +236,265 @@ describe('Jira URL Pattern Matching', () => {
       expect(hasIdentifiableIssue(url)).to.be.true;
     });
   });
+
+  describe('Self-hosted Jira Server / Data Center', () => {
+    const customHosts = ['https://jira.corp.example', 'https://tools.corp.example/jira'];
+
+    it('should NOT show icon on a self-hosted site that is not configured', () => {
+      const url = 'https://jira.other.example/browse/PROJ-123';
+      expect(hasIdentifiableIssue(url, customHosts)).to.be.false;
+    });
+
+    it('should show icon on direct issue page of a configured host', () => {
+      const url = 'https://jira.corp.example/browse/PROJ-123';
+      expect(hasIdentifiableIssue(url, customHosts)).to.be.true;
+    });
+
+    it('should show icon on direct issue page under a context path', () => {
+      const url = 'https://tools.corp.example/jira/browse/PROJ-123';
+      expect(hasIdentifiableIssue(url, customHosts)).to.be.true;
+    });
+
+    it('should NOT show icon outside the configured context path', () => {
+      const url = 'https://tools.corp.example/wiki/browse/PROJ-123';
+      expect(hasIdentifiableIssue(url, customHosts)).to.be.false;
+    });
+
+    it('should NOT match a context path that is only a prefix of a segment', () => {
+      const url = 'https://tools.corp.example/jira2/browse/PROJ-123';
+      expect(hasIdentifiableIssue(url, customHosts)).to.be.false;
+    });
+
+    it('should NOT show icon on a configured host with a different scheme', () => {
+      const url = 'http://jira.corp.example/browse/PROJ-123';
+      expect(hasIdentifiableIssue(url, customHosts)).to.be.false;
+    });
+
+    it('should show icon on RapidBoard with selectedIssue', () => {
+      const url = 'https://jira.corp.example/secure/RapidBoard.jspa?rapidView=12&selectedIssue=PROJ-123';
+      expect(hasIdentifiableIssue(url, customHosts)).to.be.true;
+    });
+
+    it('should NOT show icon on RapidBoard without selectedIssue', () => {
+      const url = 'https://jira.corp.example/secure/RapidBoard.jspa?rapidView=12';
+      expect(hasIdentifiableIssue(url, customHosts)).to.be.false;
+    });
+
+    it('should show icon on RapidBoard under a context path', () => {
+      const url = 'https://tools.corp.example/jira/secure/RapidBoard.jspa?rapidView=3&view=planning&selectedIssue=PROJ-9';
+      expect(hasIdentifiableIssue(url, customHosts)).to.be.true;
+    });
+
+    it('should show icon on project issue view', () => {
+      const url = 'https://jira.corp.example/projects/PROJ/issues/PROJ-123?filter=allopenissues';
+      expect(hasIdentifiableIssue(url, customHosts)).to.be.true;
+    });
+
+    it('should NOT show icon on project issue list without an issue', () => {
+      const url = 'https://jira.corp.example/projects/PROJ/issues';
+      expect(hasIdentifiableIssue(url, customHosts)).to.be.false;
+    });
+
+    it('should NOT show icon on the dashboard of a configured host', () => {
+      const url = 'https://jira.corp.example/secure/Dashboard.jspa';
+      expect(hasIdentifiableIssue(url, customHosts)).to.be.false;
+    });
+
+    it('should match configured hosts entered without a scheme', () => {
+      const url = 'https://jira.corp.example/browse/PROJ-123';
+      expect(hasIdentifiableIssue(url, ['jira.corp.example'])).to.be.true;
+    });
+  });
+
+  describe('Issue List Views', () => {
+    const customHosts = ['https://tools.corp.example/jira'];
+
+    it('should find a list on a Cloud board', () => {
+      const url = 'https://mycompany.atlassian.net/jira/software/c/projects/PROJ/boards/1';
+      expect(hasIssueList(url)).to.be.true;
+    });
+
+    it('should find a list on a Cloud backlog', () => {
+      const url = 'https://mycompany.atlassian.net/jira/software/c/projects/PROJ/boards/1/backlog';
+      expect(hasIssueList(url)).to.be.true;
+    });
+
+    it('should find a list on a Cloud board with an issue selected', () => {
+      const url = 'https://mycompany.atlassian.net/jira/software/c/projects/PROJ/boards/1?selectedIssue=PROJ-1';
+      expect(hasIssueList(url)).to.be.true;
+    });
+
+    it('should find a list on JQL search results', () => {
+      const url = 'https://mycompany.atlassian.net/issues/?jql=project%20%3D%20PROJ';
+      expect(hasIssueList(url)).to.be.true;
+    });
+
+    it('should find a list on saved filter results', () => {
+      const url = 'https://mycompany.atlassian.net/issues/?filter=10001';
+      expect(hasIssueList(url)).to.be.true;
+    });
+
+    it('should find a list on Cloud project issue lists', () => {
+      expect(hasIssueList('https://mycompany.atlassian.net/jira/software/c/projects/PROJ/issues')).to.be.true;
+      expect(hasIssueList('https://mycompany.atlassian.net/jira/issues/?jql=assignee%3DcurrentUser()')).to.be.true;
+    });
+
+    it('should find a list on a Server/DC board under a context path', () => {
+      const url = 'https://tools.corp.example/jira/secure/RapidBoard.jspa?rapidView=3&view=planning';
+      expect(hasIssueList(url, customHosts)).to.be.true;
+    });
+
+    it('should find a list on Server/DC search results', () => {
+      const url = 'https://tools.corp.example/jira/issues/?jql=project%20%3D%20OPS';
+      expect(hasIssueList(url, customHosts)).to.be.true;
+    });
+
+    it('should NOT find a list on timelines, reports or settings', () => {
+      expect(hasIssueList('https://mycompany.atlassian.net/jira/software/c/projects/PROJ/boards/1/timeline')).to.be.false;
+      expect(hasIssueList('https://mycompany.atlassian.net/jira/software/c/projects/PROJ/boards/1/reports')).to.be.false;
+      expect(hasIssueList('https://mycompany.atlassian.net/jira/software/c/projects/PROJ/settings')).to.be.false;
+    });
+
+    it('should NOT find a list on a direct issue page', () => {
+      expect(hasIssueList('https://mycompany.atlassian.net/browse/PROJ-123')).to.be.false;
+    });
+
+    it('should NOT find a list on non-Jira sites', () => {
+      expect(hasIssueList('https://example.com/issues/?jql=x')).to.be.false;
+      expect(hasIssueList(null)).to.be.false;
+    });
+
+    it('should tell boards and backlogs from search results', () => {
+      expect(isBoard('https://mycompany.atlassian.net/jira/software/c/projects/PROJ/boards/1/backlog')).to.be.true;
+      expect(isBoard('https://tools.corp.example/jira/secure/RapidBoard.jspa?rapidView=3', customHosts)).to.be.true;
+      expect(isBoard('https://mycompany.atlassian.net/issues/?jql=project%20%3D%20PROJ')).to.be.false;
+      expect(isBoard('https://mycompany.atlassian.net/browse/PROJ-123')).to.be.false;
+    });
+
+    it('should show icon on boards without selectedIssue via hasCopyableIssues', () => {
+      const url = 'https://mycompany.atlassian.net/jira/software/c/projects/PROJ/boards/1';
+      expect(hasIdentifiableIssue(url)).to.be.false;
+      expect(hasCopyableIssues(url)).to.be.true;
+    });
+
+    it('should still hide icon on pages with neither an issue nor a list', () => {
+      const url = 'https://mycompany.atlassian.net/jira/software/c/projects/PROJ/boards/1/timeline';
+      expect(hasCopyableIssues(url)).to.be.false;
+    });
+  });
+
+  describe('Release Sources', () => {
+    const customHosts = ['https://tools.corp.example/jira'];
+
+    it('should find fix versions on Cloud and Server/DC', () => {
+      expect(releaseSourceFromUrl('https://mycompany.atlassian.net/projects/PROJ/versions/10001/tab/release-report-all-issues'))
+        .to.deep.equal({ kind: 'version', id: '10001' });
+      expect(releaseSourceFromUrl('https://mycompany.atlassian.net/jira/software/c/projects/PROJ/versions/10001'))
+        .to.deep.equal({ kind: 'version', id: '10001' });
+      expect(releaseSourceFromUrl('https://tools.corp.example/jira/browse/OPS/fixforversion/20002', customHosts))
+        .to.deep.equal({ kind: 'version', id: '20002' });
+    });
+
+    it("should use a sprint in the URL, else the board's active sprint", () => {
+      expect(releaseSourceFromUrl('https://mycompany.atlassian.net/jira/software/c/projects/PROJ/boards/7/reports/sprint-retrospective?sprint=42'))
+        .to.deep.equal({ kind: 'sprint', id: '42', boardId: '7' });
+      expect(releaseSourceFromUrl('https://mycompany.atlassian.net/jira/software/c/projects/PROJ/boards/7'))
+        .to.deep.equal({ kind: 'sprint', id: null, boardId: '7' });
+      expect(releaseSourceFromUrl('https://tools.corp.example/jira/secure/RapidBoard.jspa?rapidView=3', customHosts))
+        .to.deep.equal({ kind: 'sprint', id: null, boardId: '3' });
+    });
+
+    it('should use the JQL or saved filter of search results', () => {
+      expect(releaseSourceFromUrl('https://mycompany.atlassian.net/issues/?jql=fixVersion%20%3D%202.4'))
+        .to.deep.equal({ kind: 'jql', jql: 'fixVersion = 2.4' });
+      expect(releaseSourceFromUrl('https://mycompany.atlassian.net/issues/?filter=10001'))
+        .to.deep.equal({ kind: 'jql', jql: 'filter = 10001' });
+    });
+
+    it('should find no release on issue pages or non-Jira sites', () => {
+      expect(releaseSourceFromUrl('https://mycompany.atlassian.net/browse/PROJ-123')).to.equal(null);
+      expect(releaseSourceFromUrl('https://mycompany.atlassian.net/issues/?filter=-4')).to.equal(null);
+      expect(releaseSourceFromUrl('https://example.com/projects/PROJ/versions/1')).to.equal(null);
+    });
+
+    it('should show icon on release pages via hasCopyableIssues', () => {
+      const url = 'https://mycompany.atlassian.net/projects/PROJ/versions/10001';
+      expect(hasIssueList(url)).to.be.false;
+      expect(hasCopyableIssues(url)).to.be.true;
+    });
+  });
+
+  describe('Issue Search Views', () => {
+    it('should treat JQL and filter results as search pages', () => {
+      expect(isIssueSearch('https://mycompany.atlassian.net/issues/?jql=project%20%3D%20PROJ')).to.be.true;
+      expect(isIssueSearch('https://mycompany.atlassian.net/issues/?filter=10001')).to.be.true;
+      expect(isIssueSearch('https://tools.corp.example/jira/secure/IssueNavigator.jspa', ['https://tools.corp.example/jira'])).to.be.true;
+    });
+
+    it('should NOT treat boards and backlogs as search pages', () => {
+      expect(isIssueSearch('https://mycompany.atlassian.net/jira/software/c/projects/PROJ/boards/1')).to.be.false;
+      expect(isIssueSearch('https://mycompany.atlassian.net/jira/software/c/projects/PROJ/boards/1/backlog')).to.be.false;
+    });
+
+    it('should NOT treat non-Jira sites as search pages', () => {
+      expect(isIssueSearch('https://example.com/issues/?jql=x')).to.be.false;
+    });
+  });
+
+  describe('Issue Links', () => {
+    it('should read the key from the path or selectedIssue', () => {
+      expect(keyFromUrl('https://mycompany.atlassian.net/browse/proj-123')).to.equal('PROJ-123');
+      expect(keyFromUrl('https://mycompany.atlassian.net/jira/software/c/projects/PROJ/boards/1?selectedIssue=PROJ-7')).to.equal('PROJ-7');
+      expect(keyFromUrl('not a url')).to.be.null;
+    });
+
+    it('should take the summary from the link text', () => {
+      const issue = issueFromLink('https://mycompany.atlassian.net/browse/PROJ-123', 'PROJ-123: Fix login redirect');
+      expect(issue).to.deep.equal({
+        key: 'PROJ-123',
+        summary: 'Fix login redirect',
+        url: 'https://mycompany.atlassian.net/browse/PROJ-123',
+      });
+    });
+
+    it('should leave the summary empty for key-only or URL link text', () => {
+      const url = 'https://mycompany.atlassian.net/browse/PROJ-123';
+      expect(issueFromLink(url, 'PROJ-123').summary).to.be.null;
+      expect(issueFromLink(url, url).summary).to.be.null;
+      expect(issueFromLink(url, '').summary).to.be.null;
+    });
+
+    it('should build the canonical URL from board links', () => {
+      const issue = issueFromLink('https://mycompany.atlassian.net/jira/software/c/projects/PROJ/boards/1?selectedIssue=PROJ-7', '[PROJ-7] Board item');
+      expect(issue.url).to.equal('https://mycompany.atlassian.net/browse/PROJ-7');
+      expect(issue.summary).to.equal('Board item');
+    });
+
+    it('should keep the context path of self-hosted sites', () => {
+      const issue = issueFromLink('https://tools.corp.example/jira/browse/OPS-9', 'OPS-9', ['https://tools.corp.example/jira']);
+      expect(issue.url).to.equal('https://tools.corp.example/jira/browse/OPS-9');
+    });
+
+    it('should ignore links that are not to a single issue', () => {
+      expect(issueFromLink('https://mycompany.atlassian.net/issues/?jql=x', 'Search')).to.be.null;
+      expect(issueFromLink('https://github.com/org/repo/pull/1', 'PROJ-1')).to.be.null;
+    });
+  });
+
+  describe('Issue Keys in Text', () => {
+    it('should find every key in a pasted list or message', () => {
+      expect(parseKeys('PROJ-1\nPROJ-22, ops-3; see https://x.atlassian.net/browse/AB-9')).to.deep.equal([
+        'PROJ-1',
+        'PROJ-22',
+        'OPS-3',
+        'AB-9',
+      ]);
+    });
+
+    it('should drop duplicates and text without keys', () => {
+      expect(parseKeys('PROJ-1 and PROJ-1 again')).to.deep.equal(['PROJ-1']);
+      expect(parseKeys('no keys, X-1 or PROJ-')).to.deep.equal([]);
+      expect(parseKeys(null)).to.deep.equal([]);
+    });
+  });
 });